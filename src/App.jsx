@@ -1,4 +1,4 @@
-import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useRef, useEffect, useCallback, useMemo, memo, Profiler } from 'react';
 import {
   MapPin,
   Plane,
@@ -9,7 +9,6 @@ import {
   Maximize,
   Trash2,
   Calendar,
-  DollarSign,
   Link as LinkIcon,
   Sparkles,
   BookOpen,
@@ -24,7 +23,56 @@ import {
   PieChart,
   BrainCircuit,
   Settings,
+  FolderOpen,
+  ChevronDown,
+  Copy,
+  Archive,
+  ArchiveRestore,
+  Pencil,
+  Check,
+  Undo2,
+  Redo2,
+  Download,
+  Upload,
+  AlertTriangle,
+  Navigation,
+  LocateFixed,
+  Map as MapIcon,
+  LayoutDashboard,
+  Columns3,
+  CalendarPlus,
+  Clock,
+  Users,
+  UserPlus,
+  ArrowRight,
+  MessageSquare,
+  Send,
+  Route,
+  CalendarDays,
+  Workflow,
+  LayoutGrid,
+  CopyPlus,
+  Group,
+  Ungroup,
+  Layers,
+  ChevronUp,
+  ArrowLeftRight,
+  Gauge,
 } from 'lucide-react';
+import { LLM_PROVIDERS, DEFAULT_LLM_PROVIDER, requestLLM } from './llm.js';
+import {
+  GAZETTEER,
+  GEOCODERS,
+  DEFAULT_GEOCODER,
+  isValidLat,
+  isValidLng,
+  isValidLatLng,
+  greatCircleKm,
+  TRANSPORT_MODES,
+  suggestTransportMode,
+  estimateTravelMinutes,
+  formatDuration,
+} from './geo.js';
 
 // --- 常量与配置 ---
 const NODE_TYPES = {
@@ -40,1063 +88,6746 @@ const WEATHER_TYPES = [
   { icon: CloudRain, label: '小雨', color: 'text-blue-400' },
 ];
 
-// --- Volcengine ARK API Helper ---
-const DEFAULT_ARK_API_BASE = import.meta.env.VITE_ARK_API_BASE || 'https://ark.cn-beijing.volces.com/api/v3';
-const DEFAULT_ARK_MODEL = import.meta.env.VITE_ARK_MODEL || '';
-const DEFAULT_ARK_API_KEY = import.meta.env.VITE_ARK_API_KEY || '';
+// --- 币种与预算 ---
+const CURRENCIES = {
+  CNY: { symbol: '¥', label: '人民币' },
+  USD: { symbol: '$', label: '美元' },
+  EUR: { symbol: '€', label: '欧元' },
+  GBP: { symbol: '£', label: '英镑' },
+  JPY: { symbol: 'JP¥', label: '日元' },
+  HKD: { symbol: 'HK$', label: '港币' },
+  KRW: { symbol: '₩', label: '韩元' },
+  THB: { symbol: '฿', label: '泰铢' },
+  SGD: { symbol: 'S$', label: '新加坡元' },
+};
+const DEFAULT_CURRENCY = 'CNY';
 
-const getDefaultArkConfig = () => ({
-  apiKey: DEFAULT_ARK_API_KEY,
-  model: DEFAULT_ARK_MODEL,
-  baseUrl: DEFAULT_ARK_API_BASE,
-});
+// 默认汇率：1 单位外币 = 多少人民币，可在预算设置中修改
+const DEFAULT_EXCHANGE_RATES = {
+  CNY: 1,
+  USD: 7.2,
+  EUR: 7.8,
+  GBP: 9.1,
+  JPY: 0.048,
+  HKD: 0.92,
+  KRW: 0.0052,
+  THB: 0.2,
+  SGD: 5.3,
+};
 
-const extractJsonFromText = (rawText) => {
-  if (!rawText) return null;
-  try {
-    return JSON.parse(rawText);
-  } catch {
-    const matched = rawText.match(/\{[\s\S]*\}/);
-    if (!matched) return null;
-    try {
-      return JSON.parse(matched[0]);
-    } catch {
-      return null;
-    }
+// 按顺序匹配，较长 / 较具体的写法在前 (HK$ 先于 $，日元先于元)；S$ 不能匹配 US$ 的后半截
+const CURRENCY_PATTERNS = [
+  ['HKD', /HK\$|港币|港元|HKD/i],
+  ['SGD', /(?<!U)S\$|新币|新加坡元|SGD/i],
+  ['JPY', /JP¥|円|日元|JPY/i],
+  ['USD', /US\$|\$|美元|美金|USD/i],
+  ['KRW', /₩|韩元|KRW/i],
+  ['THB', /฿|泰铢|THB/i],
+  ['EUR', /€|欧元|EUR/i],
+  ['GBP', /£|英镑|GBP/i],
+  ['CNY', /¥|￥|元|RMB|CNY/i],
+];
+
+// 解析 "¥100-200"、"$50"、"3000日元" 等写法为 { amount, max, currency }；没有数字时返回 null
+const parseCost = (text, fallbackCurrency = DEFAULT_CURRENCY) => {
+  const value = String(text ?? '').replace(/,/g, '');
+  // 去掉币种写法后再取数字，"120元~150元" 这类区间才能识别
+  const numeric = CURRENCY_PATTERNS.reduce(
+    (rest, [, pattern]) => rest.replace(new RegExp(pattern.source, 'gi'), ' '),
+    value,
+  );
+  const matched = /(\d+(?:\.\d+)?)(?:\s*(?:-|~|～|—|至|到)\s*(\d+(?:\.\d+)?))?/.exec(numeric);
+  if (!matched) return null;
+  const amount = Number(matched[1]);
+  const max = matched[2] ? Number(matched[2]) : null;
+  const currency = CURRENCY_PATTERNS.find(([, pattern]) => pattern.test(value))?.[0] || fallbackCurrency;
+  return { amount, max: max !== null && max > amount ? max : null, currency };
+};
+
+// 兼容旧版字符串价格与结构化价格
+const normalizeCost = (cost, fallbackCurrency = DEFAULT_CURRENCY) => {
+  if (cost && typeof cost === 'object') {
+    if (!Number.isFinite(cost.amount) || cost.amount < 0) return null;
+    return {
+      amount: cost.amount,
+      max: Number.isFinite(cost.max) && cost.max > cost.amount ? cost.max : null,
+      currency: CURRENCIES[cost.currency] ? cost.currency : fallbackCurrency,
+    };
   }
+  if (typeof cost === 'number' || typeof cost === 'string') return parseCost(cost, fallbackCurrency);
+  return null;
 };
 
-const callArk = async (prompt, systemInstruction = '', config = getDefaultArkConfig()) => {
-  const { apiKey, model, baseUrl } = config || {};
-  if (!apiKey || !model || !baseUrl) return null;
+const formatCostAmount = (cost) => (cost ? `${cost.amount}${cost.max ? `-${cost.max}` : ''}` : '');
 
-  const response = await fetch(`${baseUrl}/responses`, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      model,
-      input: [
-        {
-          role: 'system',
-          content: [{ type: 'input_text', text: systemInstruction }],
-        },
-        {
-          role: 'user',
-          content: [{ type: 'input_text', text: prompt }],
-        },
-      ],
-    }),
-  });
+const formatCost = (cost) => (cost ? `${CURRENCIES[cost.currency]?.symbol || ''}${formatCostAmount(cost)}` : '');
 
-  if (!response.ok) {
-    throw new Error(`ARK API Error: ${response.status}`);
-  }
+const formatMoney = (value, currency) =>
+  `${CURRENCIES[currency]?.symbol || ''}${Math.round(value).toLocaleString('zh-CN')}`;
 
-  const data = await response.json();
-  return data.output_text || data?.output?.[0]?.content?.[0]?.text || '';
+const convertCurrency = (amount, from, to, rates) => {
+  if (from === to) return amount;
+  const fromRate = rates[from] ?? DEFAULT_EXCHANGE_RATES[from] ?? 1;
+  const toRate = rates[to] ?? DEFAULT_EXCHANGE_RATES[to] ?? 1;
+  return (amount * fromRate) / toRate;
 };
 
-const generateWithArk = async (prompt, systemInstruction, responseSchema, config) => {
-  try {
-    const schemaHint = responseSchema
-      ? `\n\n严格按此 JSON Schema 输出（不要输出多余文本）:\n${JSON.stringify(responseSchema)}`
-      : '';
-    const fullPrompt = `${prompt}${schemaHint}`;
-    const resultText = await callArk(fullPrompt, systemInstruction, config);
-    return extractJsonFromText(resultText);
-  } catch (error) {
-    console.error('AI Generation Failed:', error);
-    return null;
-  }
+// 区间价格按中间值估算，并换算为本币
+const costInCurrency = (cost, currency, rates) => {
+  if (!cost) return 0;
+  const expected = cost.max ? (cost.amount + cost.max) / 2 : cost.amount;
+  return convertCurrency(expected, cost.currency, currency, rates);
 };
 
-// 定义 Schema
-const SINGLE_NODE_SCHEMA = {
-  type: 'OBJECT',
-  properties: {
-    title: { type: 'STRING' },
-    content: { type: 'STRING' },
-    cost: { type: 'STRING' },
-    type: { type: 'STRING', enum: ['location', 'stay', 'transport', 'note'] },
-    image_keyword: { type: 'STRING' },
-  },
+// 价格输入：允许输入 "100-200" 这类区间，失焦或回车时解析；父组件用 key 在外部修改后重置草稿
+const CostInput = ({ cost, defaultCurrency, onChange, className = '' }) => {
+  const [draft, setDraft] = useState(formatCostAmount(cost));
+  const currency = cost?.currency || defaultCurrency;
+
+  return (
+    <div className={`flex items-center gap-1 ${className}`}>
+      <select
+        value={currency}
+        onChange={(e) => onChange(cost ? { ...cost, currency: e.target.value } : parseCost(draft, e.target.value))}
+        title={CURRENCIES[currency]?.label}
+        className="shrink-0 appearance-none border-none bg-transparent p-0 text-xs font-semibold text-slate-400 outline-none"
+      >
+        {Object.entries(CURRENCIES).map(([code, config]) => (
+          <option key={code} value={code}>
+            {config.symbol}
+          </option>
+        ))}
+      </select>
+      <input
+        type="text"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={() => {
+          const next = parseCost(draft, currency);
+          if (formatCost(next) !== formatCost(cost)) onChange(next);
+        }}
+        onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+        className="w-full min-w-0 border-none bg-transparent p-0 text-xs font-medium text-slate-600 outline-none"
+        placeholder="价格"
+      />
+    </div>
+  );
 };
 
-const MULTI_STEP_SCHEMA = {
-  type: 'OBJECT',
-  properties: {
-    steps: {
-      type: 'ARRAY',
-      items: {
-        type: 'OBJECT',
-        properties: {
-          title: { type: 'STRING' },
-          content: { type: 'STRING' },
-          cost: { type: 'STRING' },
-          type: { type: 'STRING', enum: ['location', 'stay', 'transport', 'note'] },
-          image_keyword: { type: 'STRING' },
-        },
-      },
-    },
-  },
+// --- 费用分摊 ---
+const SPLIT_MODES = {
+  equal: '平均分摊',
+  shares: '按份额',
 };
 
-const App = () => {
-  // --- 状态管理 ---
-  const [apiSettingsOpen, setApiSettingsOpen] = useState(false);
-  const [apiConfig, setApiConfig] = useState(() => {
-    const defaults = getDefaultArkConfig();
-    try {
-      const saved = localStorage.getItem('voyage_api_config');
-      if (!saved) return defaults;
-      const parsed = JSON.parse(saved);
-      return {
-        apiKey: parsed.apiKey || defaults.apiKey || '',
-        model: parsed.model || defaults.model || '',
-        baseUrl: parsed.baseUrl || defaults.baseUrl || DEFAULT_ARK_API_BASE,
-      };
-    } catch {
-      return defaults;
-    }
-  });
+// 分摊规则：mode 为平均或按份额，shares 为各成员份数 (缺省 1)，excluded 为不参与分摊的成员
+const normalizeSplit = (split) => ({
+  mode: SPLIT_MODES[split?.mode] ? split.mode : 'equal',
+  shares: Object.fromEntries(
+    Object.entries(split?.shares || {}).filter(([, value]) => Number.isFinite(value) && value >= 0),
+  ),
+  excluded: Array.isArray(split?.excluded) ? split.excluded.filter((id) => typeof id === 'string') : [],
+});
 
-  const [nodes, setNodes] = useState(() => {
-    try {
-      const saved = localStorage.getItem('voyage_nodes');
-      const initialNodes = saved
-        ? JSON.parse(saved)
-        : [
-            {
-              id: '1',
-              x: 100,
-              y: 100,
-              type: 'location',
-              title: '北京首都国际机场',
-              content: '中午12点落地，乘坐机场快轨前往市区。',
-              date: '2024-10-01',
-              cost: '¥50',
-              weather: 0,
-              image:
-                'https://images.unsplash.com/photo-1569336415962-a4bd9f69cd83?auto=format&fit=crop&w=600&q=80',
-            },
-            {
-              id: '2',
-              x: 600,
-              y: 200,
-              type: 'stay',
-              title: '王府井酒店',
-              content: '办理入住，放下行李，周边逛逛。',
-              date: '2024-10-01',
-              cost: '¥650',
-              weather: 0,
-              image:
-                'https://images.unsplash.com/photo-1618773928121-c32242e63f39?auto=format&fit=crop&w=600&q=80',
-            },
-          ];
+const normalizeTravellers = (travellers) =>
+  Array.isArray(travellers)
+    ? travellers
+        .filter((t) => t && typeof t.id === 'string' && typeof t.name === 'string')
+        .map((t) => ({ id: t.id, name: t.name }))
+    : [];
 
-      // 数据清洗：确保所有字段存在且类型正确，防止 undefined 错误
-      if (Array.isArray(initialNodes)) {
-        return initialNodes.map((n) => ({
-          ...n,
-          title: n.title || '',
-          content: n.content || '',
-          cost: n.cost ? String(n.cost) : '',
-          date: n.date || '',
-          type: n.type || 'note',
-          image: n.image || null,
-          weather: typeof n.weather === 'number' ? n.weather : 0,
-        }));
-      }
-      return [];
-    } catch (e) {
-      console.error('Failed to load nodes from local storage', e);
-      return [];
-    }
-  });
+// 结算：节点与连线上的费用按本币累计每人已付与应付，再把欠款方和垫付方按金额从大到小配对，得到最少的转账笔数。
+// 连线与预算统计一致，只计出发节点还在的；付款人未定或无人分摊的费用记入 unsettled，不参与配对
+const computeSettlement = (nodes, connections, travellers, currency, rates) => {
+  const balances = new Map(travellers.map((t) => [t.id, { traveller: t, paid: 0, owed: 0 }]));
+  const nodeIds = new Set(nodes.map((n) => n.id));
+  let unsettled = 0;
 
-  const [connections, setConnections] = useState(() => {
-    try {
-      const saved = localStorage.getItem('voyage_connections');
-      return saved ? JSON.parse(saved) : [{ id: 'c1', from: '1', to: '2' }];
-    } catch (e) {
-      return [];
+  [...nodes, ...connections.filter((c) => nodeIds.has(c.from))].forEach((item) => {
+    const amount = costInCurrency(item.cost, currency, rates);
+    if (!amount) return;
+    const split = normalizeSplit(item.split);
+    const participants = travellers.filter((t) => !split.excluded.includes(t.id));
+    const weights = participants.map((t) => (split.mode === 'shares' ? (split.shares[t.id] ?? 1) : 1));
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+    if (!balances.has(item.payerId) || totalWeight <= 0) {
+      unsettled += amount;
+      return;
     }
-  });
 
-  const [canvasTransform, setCanvasTransform] = useState({ x: 0, y: 0, scale: 1 });
-  const [isPanning, setIsPanning] = useState(false);
-  const [draggedNodeId, setDraggedNodeId] = useState(null);
-  const [dragOffset, setDragOffset] = useState({ x: 0, y: 0 });
-  const [lastMousePos, setLastMousePos] = useState({ x: 0, y: 0 });
+    balances.get(item.payerId).paid += amount;
+    participants.forEach((t, i) => {
+      balances.get(t.id).owed += (amount * weights[i]) / totalWeight;
+    });
+  });
 
-  const [connectingSourceId, setConnectingSourceId] = useState(null);
-  const [showRoadbook, setShowRoadbook] = useState(false);
-  const [loadingNodes, setLoadingNodes] = useState(new Set());
-  const [isAnalyzing, setIsAnalyzing] = useState(false);
-  const [tripAdvice, setTripAdvice] = useState('');
+  const rows = [...balances.values()].map((b) => ({ ...b, net: b.paid - b.owed }));
+  const creditors = rows.filter((r) => r.net > 0.005).map((r) => ({ ...r, left: r.net }));
+  const debtors = rows.filter((r) => r.net < -0.005).map((r) => ({ ...r, left: -r.net }));
+  creditors.sort((a, b) => b.left - a.left);
+  debtors.sort((a, b) => b.left - a.left);
 
-  const viewportRef = useRef(null);
+  const transfers = [];
+  let ci = 0;
+  let di = 0;
+  while (ci < creditors.length && di < debtors.length) {
+    const amount = Math.min(creditors[ci].left, debtors[di].left);
+    transfers.push({ from: debtors[di].traveller, to: creditors[ci].traveller, amount });
+    creditors[ci].left -= amount;
+    debtors[di].left -= amount;
+    if (creditors[ci].left < 0.005) ci += 1;
+    if (debtors[di].left < 0.005) di += 1;
+  }
 
-  // --- 持久化逻辑 ---
-  useEffect(() => {
-    localStorage.setItem('voyage_api_config', JSON.stringify(apiConfig));
-  }, [apiConfig]);
+  return { balances: rows, transfers, unsettled };
+};
 
-  useEffect(() => {
-    const timer = setTimeout(() => {
-      localStorage.setItem('voyage_nodes', JSON.stringify(nodes));
-      localStorage.setItem('voyage_connections', JSON.stringify(connections));
-    }, 1000);
-    return () => clearTimeout(timer);
-  }, [nodes, connections]);
+const escapeCsv = (value) => {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
 
-  // --- 核心逻辑 ---
+const settlementToCsv = ({ balances, transfers, unsettled }, currency) => {
+  const lines = [
+    ['成员', `已付 (${currency})`, `应付 (${currency})`, `差额 (${currency})`],
+    ...balances.map((b) => [b.traveller.name, b.paid.toFixed(2), b.owed.toFixed(2), b.net.toFixed(2)]),
+    [],
+    ['付款人', '收款人', `金额 (${currency})`],
+    ...transfers.map((t) => [t.from.name, t.to.name, t.amount.toFixed(2)]),
+    ...(unsettled > 0.005 ? [[], ['付款人未定 (未计入结算)', unsettled.toFixed(2)]] : []),
+  ];
+  return lines.map((line) => line.map(escapeCsv).join(',')).join('\r\n');
+};
 
-  const startConnection = (e, nodeId) => {
-    e.stopPropagation();
-    if (connectingSourceId === nodeId) {
-      setConnectingSourceId(null);
-    } else if (connectingSourceId) {
-      if (connectingSourceId !== nodeId) {
-        const exists = connections.some(
-          (c) =>
-            (c.from === connectingSourceId && c.to === nodeId) ||
-            (c.from === nodeId && c.to === connectingSourceId),
-        );
-        if (!exists) {
-          setConnections([...connections, { id: `c-${Date.now()}`, from: connectingSourceId, to: nodeId }]);
-        }
-        setConnectingSourceId(null);
-      }
-    } else {
-      setConnectingSourceId(nodeId);
-    }
-  };
+const downloadFile = (filename, content, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename.replace(/[\\/:*?"<>|]/g, '_');
+  link.click();
+  // 点击后立即释放会让部分浏览器 (Firefox、Safari) 取消下载
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
 
-  // --- AI 功能 1: 智能填充 ---
-  const handleAIFill = async (nodeId) => {
-    const currentNode = nodes.find((n) => n.id === nodeId);
-    // 安全检查：使用 || '' 确保 trim 不会报错
-    if (!currentNode || !(currentNode.content || '').trim()) return;
+// 节点或连线费用的付款人与分摊方式编辑
+const SplitEditor = ({ expense, travellers, onChange }) => {
+  const split = normalizeSplit(expense.split);
+  const updateSplit = (fields) => onChange('split', { ...split, ...fields });
 
-    setLoadingNodes((prev) => new Set(prev).add(nodeId));
+  return (
+    <div className="space-y-1.5 rounded-lg border border-slate-100 bg-slate-50 p-1.5 text-xs text-slate-600">
+      <div className="flex items-center gap-1.5">
+        <Users size={14} className="shrink-0 text-slate-400" />
+        <select
+          value={travellers.some((t) => t.id === expense.payerId) ? expense.payerId : ''}
+          onChange={(e) => onChange('payerId', e.target.value || null)}
+          className="min-w-0 flex-1 border-none bg-transparent p-0 text-xs outline-none"
+        >
+          <option value="">付款人未定</option>
+          {travellers.map((t) => (
+            <option key={t.id} value={t.id}>
+              {t.name} 付款
+            </option>
+          ))}
+        </select>
+        <select
+          value={split.mode}
+          onChange={(e) => updateSplit({ mode: e.target.value })}
+          className="shrink-0 border-l border-slate-200 bg-transparent p-0 pl-1.5 text-xs outline-none"
+        >
+          {Object.entries(SPLIT_MODES).map(([mode, label]) => (
+            <option key={mode} value={mode}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="flex flex-wrap gap-1">
+        {travellers.map((t) => {
+          const included = !split.excluded.includes(t.id);
+          return (
+            <span
+              key={t.id}
+              className={`flex items-center gap-1 rounded-full border px-1.5 py-0.5 ${included ? 'border-red-200 bg-white text-slate-700' : 'border-slate-200 text-slate-400 line-through'}`}
+            >
+              <button
+                onClick={() =>
+                  updateSplit({
+                    excluded: included ? [...split.excluded, t.id] : split.excluded.filter((id) => id !== t.id),
+                  })
+                }
+                title={included ? '不参与分摊' : '参与分摊'}
+              >
+                {t.name}
+              </button>
+              {included && split.mode === 'shares' && (
+                <input
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={split.shares[t.id] ?? 1}
+                  onChange={(e) => updateSplit({ shares: { ...split.shares, [t.id]: Number(e.target.value) } })}
+                  className="w-8 border-none bg-transparent p-0 text-center text-[10px] outline-none"
+                />
+              )}
+            </span>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
 
-    const prompt = `用户需求: "${currentNode.content}".
-    请分析这是单一地点的查询，还是一个包含多个步骤/地点的行程规划需求。
-    如果是行程规划（例如"北京三日游"、"先吃饭再看电影"、"去成都看熊猫吃火锅"），请将其拆分为多个具体的节点步骤（建议 2-5 个步骤）。
-    如果是单一查询（例如"故宫"、"附近的咖啡馆"），返回一个步骤即可。`;
+// --- 交通连线 ---
+// 连线从 from 指向 to，表示一段交通；交通方式、出发 / 到达时间、时长 (分钟) 和费用都可以不填
+const cleanConnection = (c) => ({
+  ...c,
+  mode: TRANSPORT_MODES[c.mode] ? c.mode : null,
+  departTime: TIME_PATTERN.test(c.departTime || '') ? c.departTime : '',
+  arriveTime: TIME_PATTERN.test(c.arriveTime || '') ? c.arriveTime : '',
+  durationMin: Number.isFinite(c.durationMin) && c.durationMin > 0 ? Math.round(c.durationMin) : null,
+  cost: normalizeCost(c.cost),
+  payerId: typeof c.payerId === 'string' ? c.payerId : null,
+  split: normalizeSplit(c.split),
+});
 
-    const systemInstruction = `你是一个专业的旅行规划助手。
-    请严格以 JSON 格式返回结果，包含一个 "steps" 数组。
-    数组中的每个对象字段：
-    - title: 地点名称
-    - content: 简短描述
-    - cost: 预估花费 (如 "¥60")
-    - type: "location" | "stay" | "transport" | "note"
-    - image_keyword: 用于生成图片的英文关键词`;
+const minutesOfDay = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
 
-    const result = await generateWithArk(prompt, systemInstruction, MULTI_STEP_SCHEMA, apiConfig);
-
-    if (result && result.steps && result.steps.length > 0) {
-      const steps = result.steps;
-      const newNodes = [];
-      const newConnections = [];
-      let previousNodeId = nodeId;
-      const startX = currentNode.x;
-      const startY = currentNode.y;
-
-      let updatedNodes = [...nodes];
-      const updatedConnections = [...connections];
-
-      // 处理第一步
-      const firstStep = steps[0];
-      updatedNodes = updatedNodes.map((n) =>
-        n.id === nodeId
-          ? {
-              ...n,
-              title: firstStep.title || '',
-              type: firstStep.type || 'note',
-              content: firstStep.content || '',
-              cost: firstStep.cost ? String(firstStep.cost) : '',
-              date: n.date || '2024-10-02',
-              image: `https://image.pollinations.ai/prompt/${encodeURIComponent(
-                firstStep.image_keyword || 'travel',
-              )}?width=600&height=400&nologo=true&seed=${Math.random()}`,
-              weather: Math.floor(Math.random() * 3),
-            }
-          : n,
-      );
+// 未指定交通方式时按距离推荐；时长优先取手填值，其次按出发、到达时间推算 (到达早于出发视为次日)，
+// 最后按距离估算 (estimated 为 true)。没有坐标又没有填写时，distKm / modeId / minutes 为 null
+const describeConnection = (conn, from, to) => {
+  const distKm = isValidLatLng(from.lat, from.lng) && isValidLatLng(to.lat, to.lng) ? greatCircleKm(from, to) : null;
+  const modeId = TRANSPORT_MODES[conn.mode] ? conn.mode : distKm !== null ? suggestTransportMode(distKm) : null;
+  if (conn.durationMin) return { distKm, modeId, minutes: conn.durationMin, estimated: false };
+  if (conn.departTime && conn.arriveTime) {
+    const minutes = (minutesOfDay(conn.arriveTime) - minutesOfDay(conn.departTime) + 1440) % 1440;
+    return { distKm, modeId, minutes, estimated: false };
+  }
+  return { distKm, modeId, minutes: distKm !== null ? estimateTravelMinutes(distKm, modeId) : null, estimated: true };
+};
 
-      // 处理后续步骤
-      for (let i = 1; i < steps.length; i++) {
-        const step = steps[i];
-        const newNodeId = `${Date.now()}-${i}`;
+// --- LLM Provider 抽象 ---
+// provider 描述与请求、流式读取见 llm.js
 
-        const newX = startX + i * 380;
-        const newY = startY + (Math.random() * 60 - 30);
+// 设置按 provider 分别保存，切换 provider 不会丢失另一套配置
+const getDefaultApiConfig = () => ({
+  provider: DEFAULT_LLM_PROVIDER,
+  ...Object.fromEntries(Object.entries(LLM_PROVIDERS).map(([id, provider]) => [id, { ...provider.defaults }])),
+  usage: { ...DEFAULT_AI_USAGE_SETTINGS },
+});
 
-        const newNode = {
-          id: newNodeId,
-          x: newX,
-          y: newY,
-          type: step.type || 'note',
-          title: step.title || '',
-          content: step.content || '',
-          cost: step.cost ? String(step.cost) : '',
-          date: currentNode.date || '',
-          image: `https://image.pollinations.ai/prompt/${encodeURIComponent(
-            step.image_keyword || 'travel',
-          )}?width=600&height=400&nologo=true&seed=${Math.random()}`,
-          weather: Math.floor(Math.random() * 3),
-        };
-
-        newNodes.push(newNode);
-        newConnections.push({
-          id: `c-${newNodeId}`,
-          from: previousNodeId,
-          to: newNodeId,
-        });
+// 兼容旧版只有 { apiKey, model, baseUrl } 的 ARK 配置
+const loadApiConfig = () => {
+  const defaults = getDefaultApiConfig();
+  try {
+    const saved = JSON.parse(localStorage.getItem('voyage_api_config') || 'null');
+    if (!saved) return defaults;
+    const legacy = saved.provider ? null : saved;
+    return {
+      provider: LLM_PROVIDERS[saved.provider] ? saved.provider : DEFAULT_LLM_PROVIDER,
+      usage: normalizeAiUsageSettings(saved.usage),
+      ...Object.fromEntries(
+        Object.keys(LLM_PROVIDERS).map((id) => {
+          const stored = (id === 'ark' && legacy) || saved[id] || {};
+          return [
+            id,
+            {
+              apiKey: stored.apiKey || defaults[id].apiKey || '',
+              model: stored.model || defaults[id].model || '',
+              baseUrl: stored.baseUrl || defaults[id].baseUrl,
+            },
+          ];
+        }),
+      ),
+    };
+  } catch {
+    return defaults;
+  }
+};
 
-        previousNodeId = newNodeId;
-      }
+// 当前生效的扁平配置 { provider, apiKey, model, baseUrl, usage }
+const resolveLLMConfig = (apiConfig) => ({
+  provider: apiConfig.provider,
+  ...apiConfig[apiConfig.provider],
+  usage: apiConfig.usage,
+});
 
-      setNodes([...updatedNodes, ...newNodes]);
-      setConnections([...updatedConnections, ...newConnections]);
-    }
+const isLLMConfigured = (config) => {
+  const provider = LLM_PROVIDERS[config?.provider];
+  return Boolean(provider && config.model && config.baseUrl && (config.apiKey || !provider.requiresApiKey));
+};
 
-    setLoadingNodes((prev) => {
-      const next = new Set(prev);
-      next.delete(nodeId);
-      return next;
-    });
-  };
+// --- AI 用量记录、缓存与限流 ---
+const AI_USAGE_STORAGE_KEY = 'voyage_ai_usage';
+const AI_CACHE_STORAGE_KEY = 'voyage_ai_cache';
+// 日志最多保留 500 条，足以覆盖每日上限的统计
+const AI_USAGE_LOG_LIMIT = 500;
+const AI_LOG_PROMPT_LENGTH = 200;
+const AI_CACHE_LIMIT = 50;
+const AI_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+// 上限为 0 表示不限制
+const DEFAULT_AI_USAGE_SETTINGS = { perMinute: 10, perDay: 200, cache: true };
 
-  // --- AI 功能 2: 下一站推荐 ---
-  const generateNextStop = async (sourceNodeId) => {
-    const sourceNode = nodes.find((n) => n.id === sourceNodeId);
-    if (!sourceNode) return;
+const AI_USAGE_OUTCOMES = {
+  ok: { label: '成功', className: 'bg-emerald-50 text-emerald-700' },
+  cache: { label: '缓存', className: 'bg-sky-50 text-sky-700' },
+  error: { label: '失败', className: 'bg-red-50 text-red-700' },
+  limited: { label: '限流', className: 'bg-amber-50 text-amber-700' },
+  aborted: { label: '取消', className: 'bg-slate-100 text-slate-500' },
+};
 
-    const newNodeId = Date.now().toString();
-    const newX = sourceNode.x + 380;
-    const newY = sourceNode.y + (Math.random() * 100 - 50);
+// 限流按调用记录计数，记录只保留最近 AI_USAGE_LOG_LIMIT 条，上限不能超过这个数 (设置界面有提示)
+const normalizeAiUsageSettings = (settings) => {
+  const limit = (value, fallback) =>
+    Number.isFinite(value) && value >= 0 ? Math.min(Math.floor(value), AI_USAGE_LOG_LIMIT) : fallback;
+  return {
+    perMinute: limit(settings?.perMinute, DEFAULT_AI_USAGE_SETTINGS.perMinute),
+    perDay: limit(settings?.perDay, DEFAULT_AI_USAGE_SETTINGS.perDay),
+    cache: typeof settings?.cache === 'boolean' ? settings.cache : DEFAULT_AI_USAGE_SETTINGS.cache,
+  };
+};
 
-    const tempNode = {
-      id: newNodeId,
-      x: newX,
-      y: newY,
-      type: 'note',
-      title: 'AI 思考中...',
-      content: '正在规划最佳路线...',
-      date: sourceNode.date || '',
-      cost: '...',
-      weather: 0,
-      image: null,
-    };
+const readStoredList = (key) => {
+  try {
+    const list = JSON.parse(localStorage.getItem(key) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+};
 
-    setNodes((prev) => [...prev, tempNode]);
-    setConnections((prev) => [...prev, { id: `c-${Date.now()}`, from: sourceNodeId, to: newNodeId }]);
-    setLoadingNodes((prev) => new Set(prev).add(newNodeId));
+const loadAiUsageLog = () => readStoredList(AI_USAGE_STORAGE_KEY);
+const loadAiCache = () => readStoredList(AI_CACHE_STORAGE_KEY).filter((e) => Date.now() - e.time < AI_CACHE_TTL_MS);
 
-    const prompt = `当前行程点是: "${sourceNode.title}" (${sourceNode.content})。
-    请推荐 **一个** 逻辑上合理的下一站。
-    要求：距离适中，顺路。`;
+// 用量或缓存变化时通知界面刷新
+const aiUsageListeners = new Set();
+const subscribeAiUsage = (listener) => {
+  aiUsageListeners.add(listener);
+  return () => aiUsageListeners.delete(listener);
+};
+const notifyAiUsage = () => aiUsageListeners.forEach((listener) => listener());
 
-    const systemInstruction = `你是一个资深导游。请以 JSON 格式返回 **一个** 推荐地点。
-    JSON 字段: title, content, cost, type (location/stay/transport), image_keyword (英文)。`;
+const recordAiUsage = (entry) => {
+  const id = `u-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+  const log = [...loadAiUsageLog(), { id, time: Date.now(), ...entry }];
+  localStorage.setItem(AI_USAGE_STORAGE_KEY, JSON.stringify(log.slice(-AI_USAGE_LOG_LIMIT)));
+  notifyAiUsage();
+};
 
-    const result = await generateWithArk(prompt, systemInstruction, SINGLE_NODE_SCHEMA, apiConfig);
+const clearAiUsageLog = () => {
+  localStorage.removeItem(AI_USAGE_STORAGE_KEY);
+  notifyAiUsage();
+};
 
-    if (result) {
-      setNodes((prev) =>
-        prev.map((n) =>
-          n.id === newNodeId
-            ? {
-                ...n,
-                title: result.title || '',
-                type: result.type || 'location',
-                content: result.content || '',
-                cost: result.cost ? String(result.cost) : '',
-                image: `https://image.pollinations.ai/prompt/${encodeURIComponent(
-                  result.image_keyword || 'travel',
-                )}?width=600&height=400&nologo=true&seed=${Math.random()}`,
-              }
-            : n,
-        ),
-      );
-    } else {
-      setNodes((prev) => prev.map((n) => (n.id === newNodeId ? { ...n, title: '生成失败', content: '请重试' } : n)));
-    }
+const isSameLocalDay = (a, b) => new Date(a).toDateString() === new Date(b).toDateString();
 
-    setLoadingNodes((prev) => {
-      const next = new Set(prev);
-      next.delete(newNodeId);
-      return next;
-    });
+// 只统计真正发出的请求 (缓存命中与被限流的不计)
+const summarizeAiUsage = (log, now = Date.now()) => {
+  const today = log.filter((e) => isSameLocalDay(e.time, now));
+  const sent = (list) => list.filter((e) => e.outcome !== 'cache' && e.outcome !== 'limited');
+  const timed = today.filter((e) => e.outcome === 'ok');
+  return {
+    lastMinute: sent(log.filter((e) => now - e.time < 60 * 1000)).length,
+    today: sent(today).length,
+    cacheHits: today.filter((e) => e.outcome === 'cache').length,
+    errors: today.filter((e) => e.outcome === 'error').length,
+    inputTokens: today.reduce((sum, e) => sum + (e.inputTokens || 0), 0),
+    outputTokens: today.reduce((sum, e) => sum + (e.outputTokens || 0), 0),
+    avgLatencyMs: timed.length > 0 ? Math.round(timed.reduce((sum, e) => sum + e.latencyMs, 0) / timed.length) : null,
   };
+};
 
-  // --- AI 功能 3: 全局行程分析 ---
-  const analyzeTrip = async () => {
-    setIsAnalyzing(true);
-    setTripAdvice('');
+const checkAiRateLimit = (settings) => {
+  const usage = summarizeAiUsage(loadAiUsageLog());
+  if (settings.perMinute && usage.lastMinute >= settings.perMinute) {
+    return `已达到每分钟 ${settings.perMinute} 次的调用上限，请稍后再试。`;
+  }
+  if (settings.perDay && usage.today >= settings.perDay) {
+    return `已达到每日 ${settings.perDay} 次的调用上限，可在 AI 设置中调整。`;
+  }
+  return null;
+};
 
-    const tripSummary = nodes.map((n) => `${n.date || '未定日期'}: ${n.title} (${n.cost})`).join('\n');
-    const prompt = `请分析以下这份旅游行程，给出 3 条简短、犀利的建议。\n\n行程列表:\n${tripSummary}`;
+// 缓存键：provider、地址、模型与完整提示词共同决定。直接保存完整文本、读取时逐字比较，
+// 不用哈希，不同的提示词不会因碰撞拿到彼此的结果 (旧版的哈希键不再命中，过期后自然清除)
+const aiCacheKey = (prompt, systemInstruction, config) =>
+  JSON.stringify([config.provider, config.baseUrl, config.model, systemInstruction, prompt]);
 
-    if (!apiConfig.apiKey || !apiConfig.model || !apiConfig.baseUrl) {
-      setTripAdvice('请先在设置中填写 ARK API Key / Model / Base URL。');
-      setIsAnalyzing(false);
-      return;
-    }
+const readCachedResponse = (key) => loadAiCache().find((e) => e.key === key)?.text || null;
 
-    try {
-      const advice = await callArk(prompt, '你是旅游规划顾问，请用中文给出3条简短建议。', apiConfig);
-      setTripAdvice(advice || '分析失败，请稍后重试。');
-    } catch (e) {
-      setTripAdvice('无法连接到 AI 助手。');
-    } finally {
-      setIsAnalyzing(false);
-    }
-  };
+const writeCachedResponse = (key, text) => {
+  const cache = [...loadAiCache().filter((e) => e.key !== key), { key, text, time: Date.now() }];
+  try {
+    localStorage.setItem(AI_CACHE_STORAGE_KEY, JSON.stringify(cache.slice(-AI_CACHE_LIMIT)));
+  } catch {
+    // 存储空间不足时放弃缓存
+  }
+  notifyAiUsage();
+};
 
-  // --- 画布交互逻辑 ---
-  const handleWheel = (e) => {
-    if (e.ctrlKey || e.metaKey) {
-      e.preventDefault();
-      const zoomSpeed = 0.001;
-      const newScale = Math.min(Math.max(canvasTransform.scale - e.deltaY * zoomSpeed, 0.2), 3);
-      setCanvasTransform((prev) => ({ ...prev, scale: newScale }));
-    } else {
-      setCanvasTransform((prev) => ({ ...prev, x: prev.x - e.deltaX, y: prev.y - e.deltaY }));
-    }
-  };
+const forgetCachedResponse = (key) => {
+  localStorage.setItem(AI_CACHE_STORAGE_KEY, JSON.stringify(loadAiCache().filter((e) => e.key !== key)));
+  notifyAiUsage();
+};
 
-  const handleMouseDown = (e) => {
-    if (e.target === viewportRef.current || e.target.closest('.canvas-bg')) {
-      setConnectingSourceId(null);
-    }
-    if (e.button === 1 || (e.button === 0 && e.altKey)) {
-      setIsPanning(true);
-      setLastMousePos({ x: e.clientX, y: e.clientY });
-    }
-  };
+const clearAiCache = () => {
+  localStorage.removeItem(AI_CACHE_STORAGE_KEY);
+  notifyAiUsage();
+};
 
-  const handleMouseMove = useCallback(
-    (e) => {
-      if (isPanning) {
-        const dx = e.clientX - lastMousePos.x;
-        const dy = e.clientY - lastMousePos.y;
-        setCanvasTransform((prev) => ({ ...prev, x: prev.x + dx, y: prev.y + dy }));
-        setLastMousePos({ x: e.clientX, y: e.clientY });
+// 调用上限输入：编辑时只改草稿，失焦或回车时提交；清空或输入无效时不提交，恢复为当前值，
+// 避免删掉数字重新输入的过程中变成 0 (不限)。父组件用 key 在保存后重置草稿
+const LimitInput = ({ value, max, onChange, className = '' }) => {
+  const [draft, setDraft] = useState(String(value));
+
+  return (
+    <input
+      type="number"
+      min="0"
+      max={max}
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={() => {
+        const next = draft.trim() === '' ? NaN : Number(draft);
+        if (Number.isFinite(next) && next >= 0 && next !== value) onChange(next);
+        setDraft(String(value));
+      }}
+      onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+      className={className}
+    />
+  );
+};
+
+// 从模型输出中取出第一个完整的 JSON 对象：先去掉 ``` 代码块，再按括号配对扫描，避免贪婪正则吞掉多余文本
+const extractJsonFromText = (rawText) => {
+  if (!rawText) return null;
+  const text = rawText.replace(/```(?:json)?/gi, '');
+  try {
+    return JSON.parse(text);
+  } catch {
+    for (let start = text.indexOf('{'); start !== -1; start = text.indexOf('{', start + 1)) {
+      let depth = 0;
+      let inString = false;
+      for (let i = start; i < text.length; i++) {
+        const ch = text[i];
+        if (inString) {
+          if (ch === '\\') i++;
+          else if (ch === '"') inString = false;
+        } else if (ch === '"') {
+          inString = true;
+        } else if (ch === '{') {
+          depth++;
+        } else if (ch === '}' && --depth === 0) {
+          try {
+            return JSON.parse(text.slice(start, i + 1));
+          } catch {
+            break;
+          }
+        }
       }
+    }
+    return null;
+  }
+};
 
-      if (draggedNodeId) {
-        const rect = viewportRef.current.getBoundingClientRect();
-        const canvasX = (e.clientX - rect.left - canvasTransform.x) / canvasTransform.scale;
-        const canvasY = (e.clientY - rect.top - canvasTransform.y) / canvasTransform.scale;
-        setNodes((prev) =>
-          prev.map((node) =>
-            node.id === draggedNodeId ? { ...node, x: canvasX - dragOffset.x, y: canvasY - dragOffset.y } : node,
-          ),
-        );
+// 按 (简化的) JSON Schema 校验并纠正结果：能安全转换的字段就地转换，不能的记录为错误
+const validateAgainstSchema = (value, schema, path = '$') => {
+  const errors = [];
+  switch (schema.type) {
+    case 'OBJECT': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { value: null, errors: [`${path} 应为对象`] };
+      }
+      const result = {};
+      Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+        if (value[key] === undefined || value[key] === null || value[key] === '') {
+          if (schema.required?.includes(key)) errors.push(`${path}.${key} 缺失`);
+          return;
+        }
+        const checked = validateAgainstSchema(value[key], propSchema, `${path}.${key}`);
+        errors.push(...checked.errors);
+        if (checked.value !== null) result[key] = checked.value;
+      });
+      return { value: result, errors };
+    }
+    case 'ARRAY': {
+      // 模型偶尔把单个对象直接返回，包成数组
+      const items = Array.isArray(value) ? value : value && typeof value === 'object' ? [value] : null;
+      if (!items) return { value: null, errors: [`${path} 应为数组`] };
+      const result = [];
+      items.forEach((item, index) => {
+        const checked = validateAgainstSchema(item, schema.items, `${path}[${index}]`);
+        errors.push(...checked.errors);
+        if (checked.value !== null) result.push(checked.value);
+      });
+      if (schema.minItems && result.length < schema.minItems) {
+        errors.push(`${path} 至少需要 ${schema.minItems} 项`);
+      }
+      return { value: result, errors };
+    }
+    case 'NUMBER': {
+      const number = typeof value === 'number' ? value : Number.parseFloat(value);
+      return Number.isFinite(number) ? { value: number, errors } : { value: null, errors: [`${path} 应为数字`] };
+    }
+    case 'STRING': {
+      if (typeof value === 'object') return { value: null, errors: [`${path} 应为字符串`] };
+      const text = String(value).trim();
+      if (!schema.enum) return { value: text, errors };
+      const matched = schema.enum.find((option) => option === text.toLowerCase());
+      return matched
+        ? { value: matched, errors }
+        : { value: null, errors: [`${path} 必须是 ${schema.enum.join(' / ')} 之一，收到 "${text}"`] };
+    }
+    default:
+      return { value, errors };
+  }
+};
+
+// 传入 onDelta 时使用流式输出；signal 用于取消请求 (抛出 AbortError)
+// 每次调用都会写入用量日志；命中缓存时直接返回，超过调用上限时抛出错误
+const callLLM = async (
+  prompt,
+  systemInstruction = '',
+  config = resolveLLMConfig(getDefaultApiConfig()),
+  { signal, onDelta, cache = true } = {},
+) => {
+  if (!isLLMConfigured(config)) return null;
+  const provider = LLM_PROVIDERS[config.provider];
+  const settings = normalizeAiUsageSettings(config.usage);
+  const entry = { provider: config.provider, model: config.model, prompt: prompt.slice(0, AI_LOG_PROMPT_LENGTH) };
+
+  const cacheKey = cache && settings.cache ? aiCacheKey(prompt, systemInstruction, config) : null;
+  const cached = cacheKey && readCachedResponse(cacheKey);
+  if (cached) {
+    recordAiUsage({ ...entry, latencyMs: 0, outcome: 'cache' });
+    if (onDelta) onDelta(cached, cached);
+    return cached;
+  }
+
+  const limitError = checkAiRateLimit(settings);
+  if (limitError) {
+    recordAiUsage({ ...entry, latencyMs: 0, outcome: 'limited', error: limitError });
+    throw new Error(limitError);
+  }
+
+  const startedAt = Date.now();
+  try {
+    const { text, usage } = await requestLLM(provider, config, prompt, systemInstruction, { signal, onDelta });
+    recordAiUsage({
+      ...entry,
+      latencyMs: Date.now() - startedAt,
+      inputTokens: usage?.input ?? null,
+      outputTokens: usage?.output ?? null,
+      outcome: 'ok',
+    });
+    if (cacheKey && text) writeCachedResponse(cacheKey, text);
+    return text;
+  } catch (error) {
+    recordAiUsage({
+      ...entry,
+      latencyMs: Date.now() - startedAt,
+      outcome: error.name === 'AbortError' ? 'aborted' : 'error',
+      error: error.message,
+    });
+    throw error;
+  }
+};
+
+// 从尚未结束的流式 JSON 中取出 key 数组里已经完整输出的对象
+const extractStreamedArrayItems = (text, key) => {
+  const keyIndex = text.indexOf(`"${key}"`);
+  const arrayStart = keyIndex === -1 ? -1 : text.indexOf('[', keyIndex);
+  if (arrayStart === -1) return [];
+
+  const items = [];
+  let depth = 0;
+  let inString = false;
+  let itemStart = -1;
+  for (let i = arrayStart + 1; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{') {
+      if (depth === 0) itemStart = i;
+      depth++;
+    } else if (ch === '}') {
+      depth--;
+      if (depth === 0) {
+        try {
+          items.push(JSON.parse(text.slice(itemStart, i + 1)));
+        } catch {
+          return items;
+        }
       }
+    } else if (ch === ']' && depth === 0) {
+      break;
+    }
+  }
+  return items;
+};
+
+const LLM_REPAIR_RETRIES = 1;
+
+// 返回 { data, error, aborted }：输出不合法时把校验错误发回给模型要求修正，重试仍失败则给出可展示的错误原因
+// onText 会收到当前这次尝试已流式输出的全部文本；onRetry 在一次尝试未通过校验、重新请求之前调用
+const generateWithLLM = async (prompt, systemInstruction, responseSchema, config, { signal, onText, onRetry } = {}) => {
+  const schemaHint = responseSchema
+    ? `\n\n严格按此 JSON Schema 输出（不要输出多余文本）:\n${JSON.stringify(responseSchema)}`
+    : '';
+  let fullPrompt = `${prompt}${schemaHint}`;
+  let lastError = '';
+
+  for (let attempt = 0; attempt <= LLM_REPAIR_RETRIES; attempt++) {
+    let resultText;
+    try {
+      resultText = await callLLM(fullPrompt, systemInstruction, config, {
+        signal,
+        onDelta: onText ? (_, text) => onText(text) : undefined,
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') return { data: null, error: '已取消', aborted: true };
+      console.error('AI Generation Failed:', error);
+      return { data: null, error: error.message || '无法连接到 AI 服务' };
+    }
+    if (resultText === null) return { data: null, error: '请先在设置中完成 AI 模型配置' };
+
+    const parsed = extractJsonFromText(resultText);
+    const problems = parsed
+      ? responseSchema
+        ? validateAgainstSchema(parsed, responseSchema).errors
+        : []
+      : ['输出不是合法的 JSON'];
+    if (problems.length === 0) {
+      return { data: responseSchema ? validateAgainstSchema(parsed, responseSchema).value : parsed, error: null };
+    }
+
+    // 不合格的输出不应留在缓存里：首次请求和修正重试的输出各自按本次的 prompt 缓存，失败时都要删掉
+    forgetCachedResponse(aiCacheKey(fullPrompt, systemInstruction, config));
+    lastError = problems.slice(0, 3).join('；');
+    if (attempt < LLM_REPAIR_RETRIES) onRetry?.();
+    fullPrompt = `${prompt}${schemaHint}
+
+你上一次的输出:
+${resultText.slice(0, 2000)}
+
+未通过校验:
+${problems.map((problem) => `- ${problem}`).join('\n')}
+
+请修正以上问题，只输出符合 Schema 的 JSON。`;
+  }
+
+  return { data: null, error: `AI 返回格式有误：${lastError}` };
+};
+
+// 定义 Schema
+const SINGLE_NODE_SCHEMA = {
+  type: 'OBJECT',
+  required: ['title', 'type'],
+  properties: {
+    title: { type: 'STRING' },
+    content: { type: 'STRING' },
+    cost: { type: 'STRING' },
+    type: { type: 'STRING', enum: ['location', 'stay', 'transport', 'note'] },
+    image_keyword: { type: 'STRING' },
+  },
+};
+
+// 行程步骤：day 为第几天 (从 1 开始)，用于多日方案排日期
+const PLAN_STEP_SCHEMA = {
+  ...SINGLE_NODE_SCHEMA,
+  properties: { ...SINGLE_NODE_SCHEMA.properties, day: { type: 'NUMBER' } },
+};
+
+const MULTI_STEP_SCHEMA = {
+  type: 'OBJECT',
+  required: ['steps'],
+  properties: {
+    steps: { type: 'ARRAY', minItems: 1, items: PLAN_STEP_SCHEMA },
+  },
+};
+
+// 备选方案：同一需求的多套行程，供用户对比后选择或合并
+const PLAN_SCHEMA = {
+  type: 'OBJECT',
+  required: ['name', 'steps'],
+  properties: {
+    name: { type: 'STRING' },
+    summary: { type: 'STRING' },
+    steps: { type: 'ARRAY', minItems: 1, items: PLAN_STEP_SCHEMA },
+  },
+};
+
+const ALTERNATIVE_PLANS_SCHEMA = {
+  type: 'OBJECT',
+  required: ['plans'],
+  properties: {
+    plans: { type: 'ARRAY', minItems: 1, items: PLAN_SCHEMA },
+  },
+};
+
+const PLAN_STEP_GUIDE = `每个步骤对象字段：
+    - title: 地点名称
+    - content: 简短描述
+    - cost: 预估花费 (如 "¥60")
+    - type: "location" | "stay" | "transport" | "note"
+    - day: 第几天 (从 1 开始，单日行程填 1)
+    - image_keyword: 用于生成图片的英文关键词`;
+
+const AI_PLAN_COUNT_OPTIONS = [1, 2, 3, 4];
+const DEFAULT_AI_PLAN_COUNT = 3;
+
+// 结构化画布操作：对话规划与分析修复建议共用
+const PLAN_OPERATION_SCHEMA = {
+  type: 'OBJECT',
+  required: ['op'],
+  properties: {
+    op: { type: 'STRING', enum: ['add', 'update', 'delete', 'connect'] },
+    id: { type: 'STRING' },
+    ref: { type: 'STRING' },
+    from: { type: 'STRING' },
+    to: { type: 'STRING' },
+    fields: {
+      type: 'OBJECT',
+      properties: {
+        title: { type: 'STRING' },
+        content: { type: 'STRING' },
+        cost: { type: 'STRING' },
+        type: { type: 'STRING', enum: ['location', 'stay', 'transport', 'note'] },
+        date: { type: 'STRING' },
+        time: { type: 'STRING' },
+      },
+    },
+  },
+};
+
+const PLAN_OPERATIONS_SCHEMA = {
+  type: 'OBJECT',
+  required: ['reply', 'operations'],
+  properties: {
+    reply: { type: 'STRING' },
+    operations: { type: 'ARRAY', items: PLAN_OPERATION_SCHEMA },
+  },
+};
+
+const PLAN_OPERATIONS_GUIDE = `operations 数组中的每一项:
+    - {"op":"add","ref":"new1","fields":{...}} 新增节点，ref 为临时编号供 connect 引用
+    - {"op":"update","id":"节点 id","fields":{...}} 只填写需要修改的字段
+    - {"op":"delete","id":"节点 id"}
+    - {"op":"connect","from":"节点 id 或 ref","to":"节点 id 或 ref"}
+    fields 可包含 title, content, cost (如 "¥300"), type (location/stay/transport/note), date (YYYY-MM-DD), time (HH:mm)。
+    只能引用画布中已有的 id。`;
+
+// 行程分析：每条发现带严重程度、相关节点与可选的修复操作
+const FINDING_SEVERITIES = {
+  high: { label: '严重', badge: 'bg-red-100 text-red-700', ring: 'ring-red-400' },
+  medium: { label: '注意', badge: 'bg-amber-100 text-amber-700', ring: 'ring-amber-400' },
+  low: { label: '建议', badge: 'bg-sky-100 text-sky-700', ring: 'ring-sky-300' },
+};
+
+const FINDING_SCHEMA = {
+  type: 'OBJECT',
+  required: ['severity', 'title'],
+  properties: {
+    severity: { type: 'STRING', enum: Object.keys(FINDING_SEVERITIES) },
+    title: { type: 'STRING' },
+    detail: { type: 'STRING' },
+    nodeIds: { type: 'ARRAY', items: { type: 'STRING' } },
+    fix: {
+      type: 'OBJECT',
+      properties: {
+        description: { type: 'STRING' },
+        operations: { type: 'ARRAY', items: PLAN_OPERATION_SCHEMA },
+      },
     },
-    [isPanning, draggedNodeId, lastMousePos, canvasTransform, dragOffset],
+  },
+};
+
+const TRIP_ANALYSIS_SCHEMA = {
+  type: 'OBJECT',
+  required: ['findings'],
+  properties: {
+    summary: { type: 'STRING' },
+    findings: { type: 'ARRAY', items: FINDING_SCHEMA },
+  },
+};
+
+const PLAN_FIELD_LABELS = { title: '标题', content: '描述', type: '类型', date: '日期', time: '时间', cost: '花费' };
+
+// 丢弃缺少必要参数的操作
+const isPlanOperationComplete = (op) =>
+  (op.op === 'add' && Boolean(op.fields?.title)) ||
+  (op.op === 'update' && Boolean(op.id && op.fields && Object.keys(op.fields).length > 0)) ||
+  (op.op === 'delete' && Boolean(op.id)) ||
+  (op.op === 'connect' && Boolean(op.from && op.to && op.from !== op.to));
+
+// 把助手给出的字段转换为节点字段，无法识别的日期 / 时间直接忽略
+const planFieldsToNode = (fields = {}, currency) => {
+  const result = {};
+  if (fields.title !== undefined) result.title = fields.title;
+  if (fields.content !== undefined) result.content = fields.content;
+  if (fields.type !== undefined) result.type = fields.type;
+  if (fields.date !== undefined && isValidDate(normalizeDate(fields.date))) result.date = normalizeDate(fields.date);
+  if (fields.time !== undefined && TIME_PATTERN.test(fields.time)) result.time = fields.time;
+  if (fields.cost !== undefined) result.cost = normalizeCost(fields.cost, currency);
+  return result;
+};
+
+const formatPlanValue = (field, value) => {
+  if (field === 'cost') return formatCost(value) || '未定价';
+  if (field === 'type') return (NODE_TYPES[(value || 'note').toUpperCase()] || NODE_TYPES.NOTE).label;
+  return value || '空';
+};
+
+// 画布快照：带 id 供助手引用
+const describeBoardForPrompt = (nodes, connections) => {
+  const nodeLines = [...nodes]
+    .sort(compareItinerary)
+    .map((n) => `${n.id} | ${describeNodeForPrompt(n)}${n.content ? ` | ${n.content.slice(0, 60)}` : ''}`);
+  const connectionLines = connections.map(
+    (c) => `${c.from} -> ${c.to}${TRANSPORT_MODES[c.mode] ? ` (${TRANSPORT_MODES[c.mode].label})` : ''}`,
   );
+  return `节点 (id | 日期 时间 [类型] 标题 (花费) | 描述):\n${nodeLines.join('\n') || '无'}\n\n连线:\n${connectionLines.join('\n') || '无'}`;
+};
 
-  const handleMouseUp = () => {
-    setIsPanning(false);
-    setDraggedNodeId(null);
+// --- AI 行程上下文与旅行偏好 ---
+const TRIP_PACES = {
+  relaxed: { label: '轻松', hint: '每天 2-3 个点，留足休息时间' },
+  moderate: { label: '适中', hint: '每天 3-4 个点' },
+  intense: { label: '紧凑', hint: '每天 5 个以上的点，尽量多看' },
+};
+const PREFERENCE_FIELDS = ['interests', 'dietary', 'mobility'];
+
+const normalizePreferences = (preferences) => ({
+  pace: TRIP_PACES[preferences?.pace] ? preferences.pace : 'moderate',
+  ...Object.fromEntries(
+    PREFERENCE_FIELDS.map((field) => [
+      field,
+      typeof preferences?.[field] === 'string' ? preferences[field].slice(0, 200) : '',
+    ]),
+  ),
+});
+
+const describePreferences = (preferences) =>
+  [
+    `节奏: ${TRIP_PACES[preferences.pace].label} (${TRIP_PACES[preferences.pace].hint})`,
+    preferences.interests && `兴趣: ${preferences.interests}`,
+    preferences.dietary && `饮食要求: ${preferences.dietary}`,
+    preferences.mobility && `行动能力: ${preferences.mobility}`,
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+// 沿连线向前、向后收集与 nodeId 相连的链路 (遇到分叉取第一条)
+const collectConnectedPath = (nodeId, nodes, connections) => {
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const seen = new Set([nodeId]);
+  const walk = (fromKey, toKey) => {
+    const path = [];
+    let currentId = nodeId;
+    for (;;) {
+      const next = connections.find((c) => c[fromKey] === currentId && byId.has(c[toKey]) && !seen.has(c[toKey]));
+      if (!next) return path;
+      currentId = next[toKey];
+      seen.add(currentId);
+      path.push(byId.get(currentId));
+    }
   };
+  return { before: walk('to', 'from').reverse(), after: walk('from', 'to') };
+};
 
-  const addNewNode = (type) => {
-    const newNode = {
-      id: Date.now().toString(),
-      x: (-canvasTransform.x + window.innerWidth / 2) / canvasTransform.scale - 140,
-      y: (-canvasTransform.y + window.innerHeight / 2) / canvasTransform.scale - 100,
-      type,
-      title: '未定行程',
-      content: '',
-      date: '',
-      cost: '',
-      weather: 0,
-      image: null,
+const describeNodeForPrompt = (n) => {
+  const typeLabel = (NODE_TYPES[(n.type || 'note').toUpperCase()] || NODE_TYPES.NOTE).label;
+  const when = [n.date || '未定日期', n.time].filter(Boolean).join(' ');
+  const cost = formatCost(n.cost);
+  return `${when} [${typeLabel}] ${n.title || '未命名'}${cost ? ` (${cost})` : ''}`;
+};
+
+// 给 AI 的行程背景：日期、连线路径、住宿、已有地点、剩余预算与旅行偏好
+const buildTripContext = ({ nodes, connections, focusNodeId, startDate, currency, rates, budget, preferences }) => {
+  const sections = [];
+  const dates = nodes
+    .map((n) => n.date)
+    .filter(Boolean)
+    .sort();
+  const firstDate = startDate || dates[0];
+  if (firstDate) {
+    const lastDate = dates[dates.length - 1];
+    sections.push(`行程日期: ${firstDate}${lastDate && lastDate !== firstDate ? ` 至 ${lastDate}` : ''}`);
+  }
+
+  if (focusNodeId) {
+    const { before, after } = collectConnectedPath(focusNodeId, nodes, connections);
+    if (before.length > 0) sections.push(`之前的行程:\n${before.map(describeNodeForPrompt).join('\n')}`);
+    if (after.length > 0) sections.push(`之后的行程:\n${after.map(describeNodeForPrompt).join('\n')}`);
+  }
+
+  const stays = nodes.filter((n) => n.type === 'stay' && n.title);
+  if (stays.length > 0) sections.push(`住宿安排:\n${stays.map(describeNodeForPrompt).join('\n')}`);
+
+  const places = [
+    ...new Set(nodes.filter((n) => n.id !== focusNodeId && n.type !== 'note' && n.title).map((n) => n.title)),
+  ];
+  if (places.length > 0) sections.push(`已在行程中的地点 (不要重复推荐): ${places.join('、')}`);
+
+  const spent = [...nodes, ...connections].reduce((sum, item) => sum + costInCurrency(item.cost, currency, rates), 0);
+  sections.push(
+    budget.total !== null
+      ? `预算: 总预算 ${formatMoney(budget.total, currency)}，已计划 ${formatMoney(spent, currency)}，剩余 ${formatMoney(budget.total - spent, currency)}`
+      : `已计划花费: ${formatMoney(spent, currency)} (未设总预算)`,
+  );
+  if (budget.perDay !== null) sections.push(`每日预算: ${formatMoney(budget.perDay, currency)}`);
+
+  sections.push(`旅行偏好:\n${describePreferences(preferences)}`);
+  return sections.join('\n\n');
+};
+
+// --- 行程库 (多行程存储) ---
+const TRIPS_STORAGE_KEY = 'voyage_trips';
+const ACTIVE_TRIP_STORAGE_KEY = 'voyage_active_trip';
+const LEGACY_NODES_KEY = 'voyage_nodes';
+const LEGACY_CONNECTIONS_KEY = 'voyage_connections';
+const tripStorageKey = (tripId) => `voyage_trip_${tripId}`;
+
+const DEFAULT_TRANSFORM = { x: 0, y: 0, scale: 1 };
+
+// 切换行程时中止上一个行程进行中的 AI 请求；以此原因中止的请求不再把结果写回画布
+const TRIP_SWITCH_ABORT = new DOMException('已切换行程', 'AbortError');
+
+const DEFAULT_NODES = [
+  {
+    id: '1',
+    x: 100,
+    y: 100,
+    type: 'location',
+    title: '北京首都国际机场',
+    content: '中午12点落地，乘坐机场快轨前往市区。',
+    date: '2024-10-01',
+    cost: { amount: 50, max: null, currency: 'CNY' },
+    weather: 0,
+    lat: 40.0799,
+    lng: 116.6031,
+    image: 'https://images.unsplash.com/photo-1569336415962-a4bd9f69cd83?auto=format&fit=crop&w=600&q=80',
+  },
+  {
+    id: '2',
+    x: 600,
+    y: 200,
+    type: 'stay',
+    title: '王府井酒店',
+    content: '办理入住，放下行李，周边逛逛。',
+    date: '2024-10-01',
+    cost: { amount: 650, max: null, currency: 'CNY' },
+    weather: 0,
+    lat: 39.9147,
+    lng: 116.4109,
+    image: 'https://images.unsplash.com/photo-1618773928121-c32242e63f39?auto=format&fit=crop&w=600&q=80',
+  },
+];
+
+const DEFAULT_CONNECTIONS = [{ id: 'c1', from: '1', to: '2' }];
+
+// 数据清洗：确保所有字段存在且类型正确，防止 undefined 错误
+const cleanNode = (n) => ({
+  ...n,
+  title: n.title || '',
+  content: n.content || '',
+  cost: normalizeCost(n.cost),
+  type: n.type || 'note',
+  image: n.image || null,
+  weather: typeof n.weather === 'number' ? n.weather : null, // null 表示未设置，画布上按晴显示
+  date: normalizeDate(n.date),
+  time: TIME_PATTERN.test(n.time || '') ? n.time : '',
+  endDate: normalizeDate(n.endDate),
+  endTime: TIME_PATTERN.test(n.endTime || '') ? n.endTime : '',
+  payerId: typeof n.payerId === 'string' ? n.payerId : null,
+  split: normalizeSplit(n.split),
+  lat: isValidLat(n.lat) ? n.lat : null,
+  lng: isValidLng(n.lng) ? n.lng : null,
+  frameId: typeof n.frameId === 'string' ? n.frameId : null,
+});
+
+const cleanNodes = (list) => (Array.isArray(list) ? list.map(cleanNode) : []);
+
+// 预算上限 (本币)：total 总预算、perDay 每日预算，以及各类别预算；未设置为 null
+const BUDGET_FIELDS = ['total', 'perDay', 'play', 'stay', 'transport', 'other'];
+
+const normalizeBudget = (budget) =>
+  Object.fromEntries(
+    BUDGET_FIELDS.map((field) => [field, Number.isFinite(budget?.[field]) && budget[field] > 0 ? budget[field] : null]),
+  );
+
+const createTripMeta = (name, settings = {}) => ({
+  id: `trip-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+  name,
+  archived: false,
+  createdAt: new Date().toISOString(),
+  startDate: isValidDate(settings.startDate) ? settings.startDate : '',
+  timeZone: settings.timeZone || DEFAULT_TIME_ZONE,
+  homeCurrency: CURRENCIES[settings.homeCurrency] ? settings.homeCurrency : DEFAULT_CURRENCY,
+  budget: normalizeBudget(settings.budget),
+  travellers: normalizeTravellers(settings.travellers),
+  preferences: normalizePreferences(settings.preferences),
+});
+
+const loadTripData = (tripId) => {
+  try {
+    const saved = localStorage.getItem(tripStorageKey(tripId));
+    const parsed = saved ? JSON.parse(saved) : {};
+    return {
+      nodes: cleanNodes(parsed.nodes),
+      connections: Array.isArray(parsed.connections) ? parsed.connections.map(cleanConnection) : [],
+      frames: normalizeFrames(parsed.frames),
+      canvasTransform: { ...DEFAULT_TRANSFORM, ...parsed.canvasTransform },
     };
-    setNodes([...nodes, newNode]);
-  };
+  } catch (e) {
+    console.error('Failed to load trip from local storage', e);
+    return { nodes: [], connections: [], frames: [], canvasTransform: DEFAULT_TRANSFORM };
+  }
+};
 
-  const deleteNode = (id) => {
-    setNodes(nodes.filter((n) => n.id !== id));
-    setConnections(connections.filter((c) => c.from !== id && c.to !== id));
-  };
+const saveTripData = (tripId, data) => {
+  localStorage.setItem(tripStorageKey(tripId), JSON.stringify(data));
+};
 
-  const updateNode = (id, field, value) => {
-    setNodes(nodes.map((n) => (n.id === id ? { ...n, [field]: value } : n)));
-  };
+// --- 行程文件导入 / 导出 (.voyage.json) ---
+const TRIP_FILE_FORMAT = 'voyage-board-trip';
+const TRIP_FILE_VERSION = 2;
+const VALID_NODE_TYPES = Object.values(NODE_TYPES).map((t) => t.id);
 
-  // --- 辅助计算 ---
-  const { roadbookData, budgetStats, totalCost } = useMemo(() => {
-    const sorted = [...nodes].sort((a, b) => {
-      if (!a.date) return 1;
-      if (!b.date) return -1;
-      return a.date.localeCompare(b.date);
-    });
+// 逐版本升级：key 为源版本号，返回升级到下一版本后的文件对象
+const TRIP_FILE_MIGRATIONS = {
+  // v0: 没有版本号的旧数据，即直接保存的 { nodes, connections } 或节点数组
+  0: (file) => ({
+    format: TRIP_FILE_FORMAT,
+    version: 1,
+    trip: {
+      name: file.name || '',
+      nodes: Array.isArray(file) ? file : file.nodes,
+      connections: Array.isArray(file) ? [] : file.connections,
+      canvasTransform: DEFAULT_TRANSFORM,
+    },
+  }),
+  // v1 → v2: 价格从字符串改为 { amount, max, currency }
+  1: (file) => ({
+    ...file,
+    version: 2,
+    trip: {
+      ...file.trip,
+      nodes: Array.isArray(file.trip?.nodes)
+        ? file.trip.nodes.map((n) => (n && typeof n === 'object' ? { ...n, cost: normalizeCost(n.cost) } : n))
+        : file.trip?.nodes,
+    },
+  }),
+};
 
-    const stats = { play: 0, stay: 0, transport: 0, other: 0 };
-    let total = 0;
+const migrateTripFile = (file) => {
+  let current = file;
+  let version = Array.isArray(file) || file.format !== TRIP_FILE_FORMAT ? 0 : Number(file.version);
+  if (!Number.isInteger(version) || version < 0 || version > TRIP_FILE_VERSION) {
+    throw new Error(`不支持的文件版本: ${file.version}`);
+  }
+  while (version < TRIP_FILE_VERSION) {
+    current = TRIP_FILE_MIGRATIONS[version](current);
+    version = current.version;
+  }
+  return current;
+};
 
-    nodes.forEach((n) => {
-      const costStr = typeof n.cost === 'string' ? n.cost : String(n.cost || '');
-      const val = parseFloat(costStr.replace(/[^0-9.]/g, '')) || 0;
+// 解析并校验行程文件。无法读取时抛出错误；个别无效的节点 / 连线会被剔除并记录在 errors 中
+const parseTripFile = (text) => {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error('文件不是有效的 JSON');
+  }
+  if (!file || typeof file !== 'object') throw new Error('文件内容为空或格式错误');
 
-      total += val;
+  const { trip = {} } = migrateTripFile(file);
+  const errors = [];
+  const nodes = [];
+  const nodeIds = new Set();
+  const frames = normalizeFrames(trip.frames);
+  const frameIds = new Set(frames.map((f) => f.id));
 
-      const typeKey = (n.type || 'note').toUpperCase();
-      const nodeTypeConfig = NODE_TYPES[typeKey] || NODE_TYPES.NOTE;
+  if (!Array.isArray(trip.nodes)) errors.push('文件中没有节点列表');
+  (Array.isArray(trip.nodes) ? trip.nodes : []).forEach((n, index) => {
+    const label = `第 ${index + 1} 个节点`;
+    if (!n || typeof n !== 'object' || Array.isArray(n)) {
+      errors.push(`${label}不是有效的对象，已跳过`);
+      return;
+    }
+    if (n.id === undefined || n.id === null || n.id === '') {
+      errors.push(`${label}「${n.title || ''}」缺少 id，已跳过`);
+      return;
+    }
+    const id = String(n.id);
+    if (nodeIds.has(id)) {
+      errors.push(`${label}的 id "${id}" 与其他节点重复，已跳过`);
+      return;
+    }
+    if (!Number.isFinite(n.x) || !Number.isFinite(n.y)) {
+      errors.push(`${label}「${n.title || id}」缺少有效的坐标，已跳过`);
+      return;
+    }
+    if (n.type && !VALID_NODE_TYPES.includes(n.type)) {
+      errors.push(`${label}「${n.title || id}」的类型 "${n.type}" 无效，已改为笔记`);
+    }
+    nodeIds.add(id);
+    const cleaned = cleanNode({ ...n, id, frameId: frameIds.has(n.frameId) ? n.frameId : null });
+    nodes.push(VALID_NODE_TYPES.includes(cleaned.type) ? cleaned : { ...cleaned, type: 'note' });
+  });
 
-      const cat = nodeTypeConfig.category;
-      if (stats[cat] !== undefined) stats[cat] += val;
-      else stats.other += val;
-    });
+  const connections = [];
+  const connectionKeys = new Set();
+  (Array.isArray(trip.connections) ? trip.connections : []).forEach((c, index) => {
+    const label = `第 ${index + 1} 条连线`;
+    if (!c || typeof c !== 'object') {
+      errors.push(`${label}不是有效的对象，已跳过`);
+      return;
+    }
+    const from = String(c.from ?? '');
+    const to = String(c.to ?? '');
+    if (!nodeIds.has(from) || !nodeIds.has(to)) {
+      errors.push(`${label} (${from || '?'} → ${to || '?'}) 指向不存在的节点，已跳过`);
+      return;
+    }
+    if (from === to || connectionKeys.has(`${from}->${to}`)) {
+      errors.push(`${label} (${from} → ${to}) 重复或首尾相同，已跳过`);
+      return;
+    }
+    connectionKeys.add(`${from}->${to}`);
+    connections.push(cleanConnection({ ...c, id: c.id ? String(c.id) : `c-${from}-${to}`, from, to }));
+  });
 
-    return { roadbookData: sorted, budgetStats: stats, totalCost: total };
-  }, [nodes]);
+  const transform = trip.canvasTransform || {};
+  return {
+    trip: {
+      name: typeof trip.name === 'string' ? trip.name.trim() : '',
+      startDate: isValidDate(trip.startDate) ? trip.startDate : '',
+      timeZone: typeof trip.timeZone === 'string' ? trip.timeZone : '',
+      homeCurrency: CURRENCIES[trip.homeCurrency] ? trip.homeCurrency : DEFAULT_CURRENCY,
+      budget: normalizeBudget(trip.budget),
+      travellers: normalizeTravellers(trip.travellers),
+      preferences: normalizePreferences(trip.preferences),
+      nodes,
+      connections,
+      frames,
+      canvasTransform: {
+        x: Number.isFinite(transform.x) ? transform.x : DEFAULT_TRANSFORM.x,
+        y: Number.isFinite(transform.y) ? transform.y : DEFAULT_TRANSFORM.y,
+        scale: Number.isFinite(transform.scale) ? transform.scale : DEFAULT_TRANSFORM.scale,
+      },
+    },
+    errors,
+  };
+};
 
-  return (
-    <div className="relative h-screen w-full overflow-hidden bg-slate-50 font-sans text-slate-900 selection:bg-red-100">
-      {/* 顶部工具栏 */}
-      <header className="absolute left-1/2 top-6 z-50 flex -translate-x-1/2 items-center gap-2 rounded-2xl border border-white/50 bg-white/90 px-4 py-2 shadow-xl backdrop-blur-md transition-all hover:shadow-2xl">
-        <h1 className="mr-4 bg-gradient-to-r from-red-600 to-orange-600 bg-clip-text text-lg font-bold text-transparent">VoyageBoard</h1>
-        <div className="mx-2 h-6 w-[1px] bg-slate-200" />
-        {Object.entries(NODE_TYPES).map(([key, config]) => (
-          <button
-            key={key}
-            onClick={() => addNewNode(config.id)}
-            className="flex items-center gap-2 rounded-lg px-3 py-1.5 text-sm font-medium text-slate-700 transition-colors hover:bg-slate-100"
-          >
-            <config.icon size={16} className={config.color.replace('bg-', 'text-')} />
-            <span>{config.label}</span>
-          </button>
-        ))}
-        <div className="mx-2 h-6 w-[1px] bg-slate-200" />
-        <button
-          onClick={() => setShowRoadbook(true)}
-          className="flex items-center gap-2 rounded-lg bg-red-600 px-3 py-1.5 text-sm font-medium text-white shadow-md shadow-red-200 transition-colors hover:bg-red-700"
-        >
-          <BookOpen size={16} />
-          <span>行程单</span>
-        </button>
-        <div className="ml-2 flex items-center gap-1 text-xs text-slate-400">
-          <Save size={12} />
-          <span>已保存</span>
-        </div>
-        <button
-          onClick={() => setApiSettingsOpen(true)}
-          className="ml-1 flex items-center gap-1 rounded-xl border border-red-100 bg-gradient-to-r from-white to-red-50 px-2.5 py-1.5 text-xs font-semibold text-red-600 shadow-sm transition-all hover:-translate-y-0.5 hover:shadow-md"
-        >
-          <Settings size={13} />
-          API 设置
-        </button>
-      </header>
+const serializeTripFile = (meta, { nodes, connections, frames, canvasTransform }) =>
+  JSON.stringify(
+    {
+      format: TRIP_FILE_FORMAT,
+      version: TRIP_FILE_VERSION,
+      exportedAt: new Date().toISOString(),
+      trip: {
+        name: meta.name,
+        startDate: meta.startDate,
+        timeZone: meta.timeZone,
+        homeCurrency: meta.homeCurrency,
+        budget: meta.budget,
+        travellers: meta.travellers,
+        preferences: meta.preferences,
+        nodes,
+        connections,
+        frames,
+        canvasTransform,
+      },
+    },
+    null,
+    2,
+  );
 
-      {/* 路书侧边栏 (带预算仪表盘 & AI 分析) */}
-      <div
-        className={`absolute inset-y-0 right-0 z-[60] flex w-96 transform flex-col border-l border-slate-100 bg-white shadow-2xl transition-transform duration-300 ease-in-out ${showRoadbook ? 'translate-x-0' : 'translate-x-full'}`}
-      >
-        <div className="flex items-center justify-between border-b border-slate-100 bg-slate-50 p-6">
-          <div>
-            <h2 className="text-xl font-bold text-slate-800">行程概览</h2>
-            <p className="mt-1 text-xs text-slate-500">
-              共 {nodes.length} 个点 • 总计 ¥{totalCost}
-            </p>
-          </div>
-          <button onClick={() => setShowRoadbook(false)} className="rounded-full p-2 transition-colors hover:bg-slate-200">
-            <X size={20} className="text-slate-500" />
-          </button>
-        </div>
+// 读取行程库；旧版单行程数据 (voyage_nodes / voyage_connections) 自动迁移为第一个行程
+const loadTripLibrary = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(TRIPS_STORAGE_KEY) || 'null');
+    if (Array.isArray(saved) && saved.length > 0) {
+      const activeId = localStorage.getItem(ACTIVE_TRIP_STORAGE_KEY);
+      return { trips: saved, activeTripId: saved.some((t) => t.id === activeId) ? activeId : saved[0].id };
+    }
+  } catch (e) {
+    console.error('Failed to load trip library from local storage', e);
+  }
 
-        {/* AI 分析区域 */}
-        <div className="border-b border-indigo-100 bg-indigo-50 px-6 py-4">
-          <div className="mb-2 flex items-center justify-between">
-            <h3 className="flex items-center gap-2 text-xs font-bold uppercase tracking-wider text-indigo-500">
-              <BrainCircuit size={14} /> AI 助手分析
-            </h3>
-            <button
-              onClick={analyzeTrip}
-              disabled={isAnalyzing}
-              className="rounded-md bg-indigo-100 px-2 py-1 text-[10px] text-indigo-700 transition-colors hover:bg-indigo-200"
-            >
-              {isAnalyzing ? '分析中...' : '重新分析'}
-            </button>
-          </div>
+  let nodes = DEFAULT_NODES;
+  let connections = DEFAULT_CONNECTIONS;
+  try {
+    const legacyNodes = localStorage.getItem(LEGACY_NODES_KEY);
+    const legacyConnections = localStorage.getItem(LEGACY_CONNECTIONS_KEY);
+    if (legacyNodes) nodes = JSON.parse(legacyNodes);
+    if (legacyConnections) connections = JSON.parse(legacyConnections);
+  } catch (e) {
+    console.error('Failed to migrate legacy trip data', e);
+  }
+
+  const firstTrip = createTripMeta('我的行程');
+  saveTripData(firstTrip.id, {
+    nodes: cleanNodes(nodes),
+    connections: Array.isArray(connections) ? connections : [],
+    canvasTransform: DEFAULT_TRANSFORM,
+  });
+  localStorage.setItem(TRIPS_STORAGE_KEY, JSON.stringify([firstTrip]));
+  localStorage.setItem(ACTIVE_TRIP_STORAGE_KEY, firstTrip.id);
+  localStorage.removeItem(LEGACY_NODES_KEY);
+  localStorage.removeItem(LEGACY_CONNECTIONS_KEY);
+  return { trips: [firstTrip], activeTripId: firstTrip.id };
+};
+
+// --- 撤销 / 重做 ---
+const HISTORY_LIMIT = 100;
+// 同一来源 (同一节点的拖拽、同一输入框的连续输入) 在此间隔内的修改合并为一步
+const HISTORY_COALESCE_MS = 800;
+const EMPTY_HISTORY = { past: [], future: [] };
+
+// --- 时间线 ---
+// 每天内的时段，按开始时间排序；没有时间的节点归入“未定时间”
+const TIME_SLOTS = [
+  { id: 'morning', label: '上午', start: '08:00' },
+  { id: 'noon', label: '中午', start: '12:00' },
+  { id: 'afternoon', label: '下午', start: '14:00' },
+  { id: 'evening', label: '晚上', start: '18:00' },
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const timeSlotOf = (time) => {
+  if (!TIME_PATTERN.test(time || '')) return null;
+  return [...TIME_SLOTS].reverse().find((slot) => slot.start <= time) || TIME_SLOTS[0];
+};
+
+// 行程顺序：先按日期、再按时间，未定日期的排在最后
+const compareItinerary = (a, b) => {
+  if (!a.date) return b.date ? 1 : 0;
+  if (!b.date) return -1;
+  return a.date.localeCompare(b.date) || (a.time || '').localeCompare(b.time || '');
+};
+
+// 宽松解析常见的日期写法 (2024/10/1、2024.10.01、2024年10月1日)，统一为 YYYY-MM-DD；无法识别时原样保留
+const normalizeDate = (value) => {
+  const text = typeof value === 'string' ? value.trim() : '';
+  const matched = /^(\d{4})[-/.年](\d{1,2})[-/.月](\d{1,2})日?$/.exec(text);
+  if (!matched) return text;
+  return `${matched[1]}-${matched[2].padStart(2, '0')}-${matched[3].padStart(2, '0')}`;
+};
+
+const isValidDate = (date) => {
+  const matched = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+  if (!matched) return false;
+  const parsed = new Date(Date.UTC(Number(matched[1]), Number(matched[2]) - 1, Number(matched[3])));
+  return parsed.toISOString().slice(0, 10) === date;
+};
+
+// 日期 + 时间 → 分钟时间戳 (同一行程内统一按行程时区的当地时间计算，无需换算)
+const toMinuteStamp = (date, time) => {
+  if (!isValidDate(date) || !TIME_PATTERN.test(time || '')) return null;
+  const [hours, minutes] = time.split(':').map(Number);
+  const [year, month, day] = date.split('-').map(Number);
+  return Date.UTC(year, month - 1, day, hours, minutes) / 60000;
+};
+
+const fromMinuteStamp = (stamp) => {
+  const iso = new Date(stamp * 60000).toISOString();
+  return { date: iso.slice(0, 10), time: iso.slice(11, 16) };
+};
+
+const addDays = (date, days) => {
+  const matched = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+  if (!matched) return '';
+  const next = new Date(Date.UTC(Number(matched[1]), Number(matched[2]) - 1, Number(matched[3]) + days));
+  return next.toISOString().slice(0, 10);
+};
+
+const nodeStartStamp = (n) => toMinuteStamp(n.date, n.time);
+// 结束日期缺省时视为与开始同一天；住宿默认次日退房
+const nodeEndStamp = (n) => toMinuteStamp(n.endDate || (n.type === 'stay' ? addDays(n.date, 1) : n.date), n.endTime);
+
+const nodeDurationMinutes = (n) => {
+  const start = nodeStartStamp(n);
+  const end = nodeEndStamp(n);
+  return start !== null && end !== null ? end - start : null;
+};
+
+const TRIP_TIME_ZONES = [
+  'Asia/Shanghai',
+  'Asia/Hong_Kong',
+  'Asia/Tokyo',
+  'Asia/Seoul',
+  'Asia/Singapore',
+  'Asia/Bangkok',
+  'Europe/London',
+  'Europe/Paris',
+  'America/New_York',
+  'America/Los_Angeles',
+  'Australia/Sydney',
+  'UTC',
+];
+
+const DEFAULT_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'Asia/Shanghai';
+
+const todayInTimeZone = (timeZone) => {
+  try {
+    return new Intl.DateTimeFormat('en-CA', { timeZone }).format(new Date());
+  } catch {
+    return new Date().toISOString().slice(0, 10);
+  }
+};
+
+// 行程时间校验：返回 nodeId → 警告文案列表
+const validateSchedule = (nodes, connections, tripStartDate) => {
+  const warnings = new Map();
+  const warn = (id, message) => warnings.set(id, [...(warnings.get(id) || []), message]);
+  const nodeById = new Map(nodes.map((n) => [n.id, n]));
+
+  nodes.forEach((n) => {
+    if (n.date && !isValidDate(n.date)) warn(n.id, `日期 "${n.date}" 格式无效`);
+    if (n.endDate && !isValidDate(n.endDate)) warn(n.id, `结束日期 "${n.endDate}" 格式无效`);
+    if (tripStartDate && isValidDate(n.date) && n.date < tripStartDate) warn(n.id, '早于行程开始日期');
+
+    const start = nodeStartStamp(n);
+    const end = nodeEndStamp(n);
+    if (start !== null && end !== null && end < start) {
+      warn(n.id, n.type === 'stay' ? '退房时间早于入住时间' : '结束时间早于开始时间');
+    }
+  });
+
+  // 活动之间的时间重叠；住宿覆盖整晚、笔记不占时间，均不参与
+  const timed = nodes
+    .filter((n) => n.type !== 'stay' && n.type !== 'note')
+    .map((n) => ({ node: n, start: nodeStartStamp(n), end: nodeEndStamp(n) }))
+    .filter((item) => item.start !== null && item.end !== null && item.end > item.start)
+    .sort((a, b) => a.start - b.start);
+  timed.forEach((a, i) => {
+    timed.slice(i + 1).forEach((b) => {
+      if (b.start < a.end) {
+        warn(a.node.id, `与「${b.node.title || '未命名'}」时间重叠`);
+        warn(b.node.id, `与「${a.node.title || '未命名'}」时间重叠`);
+      }
+    });
+  });
+
+  // 相连节点之间的换乘是否来得及：上一站结束 (无结束时间则用开始) + 预估路程 > 下一站开始。
+  // 住宿入住后随时可以出门，从住宿出发按入住时间算，傍晚外出或次日出发都不误报
+  connections.forEach((conn) => {
+    const from = nodeById.get(conn.from);
+    const to = nodeById.get(conn.to);
+    if (!from || !to) return;
+    const departAt = from.type === 'stay' ? nodeStartStamp(from) : (nodeEndStamp(from) ?? nodeStartStamp(from));
+    const arriveBy = nodeStartStamp(to);
+    if (departAt === null || arriveBy === null) return;
+
+    const travelMinutes = describeConnection(conn, from, to).minutes ?? 0;
+    if (arriveBy < departAt) {
+      warn(to.id, `开始时间早于上一站「${from.title || '未命名'}」`);
+    } else if (arriveBy < departAt + travelMinutes) {
+      warn(to.id, `从「${from.title || '未命名'}」过来约需${formatDuration(travelMinutes)}，时间不够`);
+    }
+  });
+
+  return warnings;
+};
+
+// 把节点从原有连线链中摘出 (前驱直接接到后继)，再插入到新的前后节点之间
+const relinkNodeInChain = (connections, nodeId, prevId, nextId) => {
+  const incoming = connections.filter((c) => c.to === nodeId);
+  const outgoing = connections.filter((c) => c.from === nodeId);
+  const next = connections.filter((c) => c.from !== nodeId && c.to !== nodeId);
+  const hasLink = (from, to) => next.some((c) => c.from === from && c.to === to);
+  const stamp = Date.now();
+
+  if (incoming.length === 1 && outgoing.length === 1) {
+    const from = incoming[0].from;
+    const to = outgoing[0].to;
+    if (from !== to && !hasLink(from, to)) next.push({ id: `c-${stamp}-heal`, from, to });
+  }
+
+  if (prevId && nextId) {
+    const bridgeIndex = next.findIndex((c) => c.from === prevId && c.to === nextId);
+    if (bridgeIndex !== -1) next.splice(bridgeIndex, 1);
+  }
+  if (prevId && !hasLink(prevId, nodeId)) next.push({ id: `c-${stamp}-in`, from: prevId, to: nodeId });
+  if (nextId && !hasLink(nodeId, nextId)) next.push({ id: `c-${stamp}-out`, from: nodeId, to: nextId });
+  return next;
+};
+
+// --- 路线优化 ---
+// 中间站点不超过这个数量时精确求解 (状态压缩 DP)，否则用最近邻 + 2-opt 近似
+const ROUTE_EXACT_LIMIT = 10;
+
+const ROUTE_METRICS = {
+  distance: { label: '最短距离', legCost: (km) => km },
+  time: { label: '最短时间', legCost: (km) => estimateTravelMinutes(km, suggestTransportMode(km)) },
+};
+
+// 能按连线串成一条链时取链的顺序，否则按日期时间排序
+const orderStopsByConnections = (stops, connections) => {
+  const ids = new Set(stops.map((n) => n.id));
+  const byId = new Map(stops.map((n) => [n.id, n]));
+  const next = new Map();
+  const hasIncoming = new Set();
+  connections
+    .filter((c) => ids.has(c.from) && ids.has(c.to))
+    .forEach((c) => {
+      if (!next.has(c.from)) next.set(c.from, c.to);
+      hasIncoming.add(c.to);
+    });
+  const heads = stops.filter((n) => !hasIncoming.has(n.id));
+  if (heads.length === 1) {
+    const chain = [];
+    const seen = new Set();
+    for (let id = heads[0].id; id && !seen.has(id); id = next.get(id)) {
+      seen.add(id);
+      chain.push(byId.get(id));
+    }
+    if (chain.length === stops.length) return chain;
+  }
+  return [...stops].sort(compareItinerary);
+};
+
+const routeLegs = (route) =>
+  route.slice(1).map((node, i) => {
+    const km = greatCircleKm(route[i], node);
+    return { km, minutes: ROUTE_METRICS.time.legCost(km) };
+  });
+
+const routeTotals = (route) =>
+  routeLegs(route).reduce((sum, leg) => ({ km: sum.km + leg.km, minutes: sum.minutes + leg.minutes }), {
+    km: 0,
+    minutes: 0,
+  });
+
+// 起点 (第一站) 和终点 (最后一站) 固定；定了时间的中间站点必须按时间先后出现
+const optimiseRoute = (route, metric) => {
+  if (route.length < 4) return route;
+  const inner = route.slice(1, -1);
+  const m = inner.length;
+  const legCost = (a, b) => ROUTE_METRICS[metric].legCost(greatCircleKm(a, b));
+
+  // before[k]: 访问第 k 个中间站之前必须已访问的定时站点
+  const timed = inner.map((node, k) => ({ node, k })).filter(({ node }) => node.time);
+  const before = inner.map((node) => (node.time ? timed.filter((t) => t.node.time < node.time).map((t) => t.k) : []));
+  // 启发式用于站点很多的情况，已访问站点用布尔数组记录 (位运算只有 32 位，超过 31 站会出错)
+  const isReady = (k, visited) => before[k].every((t) => visited[t]);
+  const isValidOrder = (order) => {
+    const visited = new Array(m).fill(false);
+    return order.every((k) => {
+      const ok = isReady(k, visited);
+      visited[k] = true;
+      return ok;
+    });
+  };
+  const orderCost = (order) => {
+    const full = [route[0], ...order.map((k) => inner[k]), route[route.length - 1]];
+    return full.slice(1).reduce((sum, node, i) => sum + legCost(full[i], node), 0);
+  };
+
+  let best;
+  if (m <= ROUTE_EXACT_LIMIT) {
+    // 精确解的站点数不超过 ROUTE_EXACT_LIMIT，可以用位掩码表示状态
+    const required = before.map((list) => list.reduce((mask, t) => mask | (1 << t), 0));
+    const size = 1 << m;
+    const dp = new Float64Array(size * m).fill(Infinity);
+    const parent = new Int8Array(size * m).fill(-1);
+    for (let k = 0; k < m; k++) {
+      if (required[k] === 0) dp[(1 << k) * m + k] = legCost(route[0], inner[k]);
+    }
+    for (let mask = 1; mask < size; mask++) {
+      for (let last = 0; last < m; last++) {
+        const current = dp[mask * m + last];
+        if (current === Infinity) continue;
+        for (let k = 0; k < m; k++) {
+          if (mask & (1 << k) || (required[k] & mask) !== required[k]) continue;
+          const nextMask = mask | (1 << k);
+          const candidate = current + legCost(inner[last], inner[k]);
+          if (candidate < dp[nextMask * m + k]) {
+            dp[nextMask * m + k] = candidate;
+            parent[nextMask * m + k] = last;
+          }
+        }
+      }
+    }
+    const full = size - 1;
+    let last = -1;
+    let bestCost = Infinity;
+    for (let k = 0; k < m; k++) {
+      const total = dp[full * m + k] + legCost(inner[k], route[route.length - 1]);
+      if (total < bestCost) {
+        bestCost = total;
+        last = k;
+      }
+    }
+    if (last === -1) return route;
+    best = [];
+    let mask = full;
+    while (last !== -1) {
+      best.unshift(last);
+      const previous = parent[mask * m + last];
+      mask &= ~(1 << last);
+      last = previous;
+    }
+  } else {
+    // 最近邻构造初始解
+    best = [];
+    const visited = new Array(m).fill(false);
+    let from = route[0];
+    while (best.length < m) {
+      const candidates = inner.map((node, k) => k).filter((k) => !visited[k] && isReady(k, visited));
+      const k = candidates.reduce((a, b) => (legCost(from, inner[a]) <= legCost(from, inner[b]) ? a : b));
+      best.push(k);
+      visited[k] = true;
+      from = inner[k];
+    }
+    // 2-opt：翻转区间，只接受满足时间约束且更短的结果
+    let bestCost = orderCost(best);
+    let improved = true;
+    while (improved) {
+      improved = false;
+      for (let i = 0; i < m - 1; i++) {
+        for (let j = i + 1; j < m; j++) {
+          const candidate = [...best.slice(0, i), ...best.slice(i, j + 1).reverse(), ...best.slice(j + 1)];
+          if (!isValidOrder(candidate)) continue;
+          const cost = orderCost(candidate);
+          if (cost < bestCost - 1e-9) {
+            best = candidate;
+            bestCost = cost;
+            improved = true;
+          }
+        }
+      }
+    }
+  }
+  return [route[0], ...best.map((k) => inner[k]), route[route.length - 1]];
+};
+
+// 用新顺序替换这些站点之间的连线；方向一致的已有连线 (含交通方式等信息) 原样保留
+const rewireRoute = (connections, route) => {
+  const ids = new Set(route.map((n) => n.id));
+  const isInternal = (c) => ids.has(c.from) && ids.has(c.to);
+  const batchId = Date.now();
+  const chain = route.slice(1).map(
+    (node, i) =>
+      connections.find((c) => c.from === route[i].id && c.to === node.id) || {
+        id: `c-${batchId}-${i}`,
+        from: route[i].id,
+        to: node.id,
+      },
+  );
+  return [...connections.filter((c) => !isInternal(c)), ...chain];
+};
+
+// --- 自动布局 ---
+// 卡片宽度固定；高度随内容变化，布局时用画布上实际渲染的高度，取不到时按估计值
+const LAYOUT_NODE_WIDTH = 280;
+const LAYOUT_DEFAULT_HEIGHT = 360;
+const LAYOUT_GAP_X = 100;
+const LAYOUT_GAP_Y = 40;
+const LAYOUT_ANIMATION_MS = 450;
+
+// 各列从左到右排开，列内按卡片高度依次向下堆叠，保证互不重叠
+const stackColumns = (columns, origin, heightOf) => {
+  const positions = new Map();
+  columns.forEach((column, col) => {
+    let y = origin.y;
+    column.forEach((node) => {
+      positions.set(node.id, { x: origin.x + col * (LAYOUT_NODE_WIDTH + LAYOUT_GAP_X), y });
+      y += heightOf(node) + LAYOUT_GAP_Y;
+    });
+  });
+  return positions;
+};
+
+// 逐行排列，行高取该行最高的卡片
+const stackRows = (rows, origin, heightOf) => {
+  const positions = new Map();
+  let y = origin.y;
+  rows.forEach((row) => {
+    row.forEach((node, col) => positions.set(node.id, { x: origin.x + col * (LAYOUT_NODE_WIDTH + LAYOUT_GAP_X), y }));
+    y += Math.max(...row.map(heightOf)) + LAYOUT_GAP_Y;
+  });
+  return positions;
+};
+
+// 每天一列，未定日期的放在最后一列
+const dayColumns = (nodes) => {
+  const columns = new Map();
+  [...nodes].sort(compareItinerary).forEach((node) => {
+    const key = node.date || '';
+    if (!columns.has(key)) columns.set(key, []);
+    columns.get(key).push(node);
+  });
+  return [...columns.values()];
+};
+
+// 沿连线分层：节点所在列 = 从起点出发的最长路径；成环时忽略回指的连线，没有连线的节点单独放在最后一列
+const flowchartColumns = (nodes, connections) => {
+  const ordered = [...nodes].sort(compareItinerary);
+  const outgoing = new Map(ordered.map((n) => [n.id, []]));
+  const linked = new Set();
+  connections.forEach((c) => {
+    if (c.from === c.to || !outgoing.has(c.from) || !outgoing.has(c.to)) return;
+    outgoing.get(c.from).push(c.to);
+    linked.add(c.from).add(c.to);
+  });
+
+  const predecessors = new Map(ordered.map((n) => [n.id, []]));
+  const state = new Map(); // 1 = 访问中, 2 = 已完成
+  const finished = [];
+  const visit = (id) => {
+    state.set(id, 1);
+    outgoing.get(id).forEach((to) => {
+      if (state.get(to) === 1) return;
+      predecessors.get(to).push(id);
+      if (!state.has(to)) visit(to);
+    });
+    state.set(id, 2);
+    finished.push(id);
+  };
+  const hasIncoming = new Set(connections.map((c) => c.to));
+  const linkedNodes = ordered.filter((n) => linked.has(n.id));
+  [...linkedNodes.filter((n) => !hasIncoming.has(n.id)), ...linkedNodes].forEach((n) => {
+    if (!state.has(n.id)) visit(n.id);
+  });
+
+  const layerOf = new Map();
+  finished.reverse().forEach((id) => {
+    layerOf.set(id, Math.max(0, ...predecessors.get(id).map((p) => layerOf.get(p) + 1)));
+  });
+
+  // 列内按前驱所在行的平均值排序，减少连线交叉
+  const columns = [];
+  linkedNodes.forEach((n) => {
+    const layer = layerOf.get(n.id);
+    (columns[layer] ||= []).push(n);
+  });
+  const rowOf = new Map();
+  columns.forEach((column, layer) => {
+    if (layer > 0) {
+      const barycenter = (n) => {
+        const rows = predecessors.get(n.id).map((p) => rowOf.get(p));
+        return rows.reduce((sum, row) => sum + row, 0) / rows.length;
+      };
+      column.sort((a, b) => barycenter(a) - barycenter(b));
+    }
+    column.forEach((n, row) => rowOf.set(n.id, row));
+  });
+
+  const isolated = ordered.filter((n) => !linked.has(n.id));
+  return isolated.length > 0 ? [...columns, isolated] : columns;
+};
+
+// 按行程顺序铺成接近正方形的网格
+const gridRows = (nodes) => {
+  const ordered = [...nodes].sort(compareItinerary);
+  const perRow = Math.ceil(Math.sqrt(ordered.length));
+  const rows = [];
+  for (let i = 0; i < ordered.length; i += perRow) rows.push(ordered.slice(i, i + perRow));
+  return rows;
+};
+
+// 返回 nodeId -> 目标坐标；布局以现有卡片的左上角为起点，避免整块内容跳到别处
+const AUTO_LAYOUTS = {
+  day: {
+    label: '按天从左到右排列',
+    icon: CalendarDays,
+    arrange: (nodes, connections, origin, heightOf) => stackColumns(dayColumns(nodes), origin, heightOf),
+  },
+  flowchart: {
+    label: '按连线排成流程图',
+    icon: Workflow,
+    arrange: (nodes, connections, origin, heightOf) =>
+      stackColumns(flowchartColumns(nodes, connections), origin, heightOf),
+  },
+  grid: {
+    label: '网格排列',
+    icon: LayoutGrid,
+    arrange: (nodes, connections, origin, heightOf) => stackRows(gridRows(nodes), origin, heightOf),
+  },
+};
+
+// --- 多选与剪贴板 ---
+const DUPLICATE_OFFSET = 40;
+
+// 选框 (画布坐标) 覆盖到的节点，只要有部分重叠即算选中
+const nodesInBox = (nodes, box, heightOf) => {
+  const left = Math.min(box.start.x, box.end.x);
+  const right = Math.max(box.start.x, box.end.x);
+  const top = Math.min(box.start.y, box.end.y);
+  const bottom = Math.max(box.start.y, box.end.y);
+  return nodes.filter((n) => n.x < right && n.x + LAYOUT_NODE_WIDTH > left && n.y < bottom && n.y + heightOf(n) > top);
+};
+
+// 选中的节点及其之间的连线；连到组外的连线不带走
+const pickNodeGroup = (nodes, connections, ids) => {
+  const picked = new Set(ids);
+  return {
+    nodes: nodes.filter((n) => picked.has(n.id)),
+    connections: connections.filter((c) => picked.has(c.from) && picked.has(c.to)),
+  };
+};
+
+// 剪贴板内容就是一份只含节点和连线的行程文件，因此可以粘贴到其他行程，也能粘贴导出的 .voyage.json
+const serializeClipboard = (nodes, connections, ids) =>
+  JSON.stringify({
+    format: TRIP_FILE_FORMAT,
+    version: TRIP_FILE_VERSION,
+    trip: pickNodeGroup(nodes, connections, ids),
+  });
+
+// 不是本应用的数据时返回 null，普通文本照常粘贴
+const parseClipboard = (text) => {
+  try {
+    if (JSON.parse(text)?.format !== TRIP_FILE_FORMAT) return null;
+    const { trip } = parseTripFile(text);
+    return trip.nodes.length > 0 ? { nodes: trip.nodes, connections: trip.connections } : null;
+  } catch {
+    return null;
+  }
+};
+
+// 换上新的 id 并整体平移，组内连线改为指向新节点
+const cloneNodeGroup = (group, offset) => {
+  const stamp = Date.now();
+  const idMap = new Map(group.nodes.map((n, i) => [n.id, `${stamp}-${i}`]));
+  return {
+    nodes: group.nodes.map((n) => ({ ...n, id: idMap.get(n.id), x: n.x + offset.x, y: n.y + offset.y })),
+    connections: group.connections.map((c, i) => ({
+      ...c,
+      id: `c-${stamp}-${i}`,
+      from: idMap.get(c.from),
+      to: idMap.get(c.to),
+    })),
+  };
+};
+
+// --- 画布分组 ---
+// 分组只保存标题、颜色和折叠状态；成员记在节点的 frameId 上，分组范围由成员卡片的位置推算
+const FRAME_COLORS = {
+  sky: { label: '蓝', border: 'border-sky-200', fill: 'bg-sky-50/70', dot: 'bg-sky-400', text: 'text-sky-700' },
+  emerald: {
+    label: '绿',
+    border: 'border-emerald-200',
+    fill: 'bg-emerald-50/70',
+    dot: 'bg-emerald-400',
+    text: 'text-emerald-700',
+  },
+  amber: {
+    label: '黄',
+    border: 'border-amber-200',
+    fill: 'bg-amber-50/70',
+    dot: 'bg-amber-400',
+    text: 'text-amber-700',
+  },
+  red: { label: '红', border: 'border-red-200', fill: 'bg-red-50/70', dot: 'bg-red-400', text: 'text-red-700' },
+  violet: {
+    label: '紫',
+    border: 'border-violet-200',
+    fill: 'bg-violet-50/70',
+    dot: 'bg-violet-400',
+    text: 'text-violet-700',
+  },
+  slate: {
+    label: '灰',
+    border: 'border-slate-300',
+    fill: 'bg-slate-100/70',
+    dot: 'bg-slate-400',
+    text: 'text-slate-700',
+  },
+};
+const FRAME_PADDING = 32;
+const FRAME_HEADER_HEIGHT = 44;
+
+const normalizeFrames = (frames) =>
+  Array.isArray(frames)
+    ? frames
+        .filter((f) => f && typeof f.id === 'string')
+        .map((f) => ({
+          id: f.id,
+          title: typeof f.title === 'string' ? f.title : '',
+          color: FRAME_COLORS[f.color] ? f.color : Object.keys(FRAME_COLORS)[0],
+          collapsed: Boolean(f.collapsed),
+        }))
+    : [];
+
+// 成员卡片的外接矩形，四周留白，上方留出标题栏
+const frameBounds = (members, heightOf) => {
+  const left = Math.min(...members.map((n) => n.x));
+  const top = Math.min(...members.map((n) => n.y));
+  const right = Math.max(...members.map((n) => n.x + LAYOUT_NODE_WIDTH));
+  const bottom = Math.max(...members.map((n) => n.y + heightOf(n)));
+  return {
+    x: left - FRAME_PADDING,
+    y: top - FRAME_PADDING - FRAME_HEADER_HEIGHT,
+    width: right - left + FRAME_PADDING * 2,
+    height: bottom - top + FRAME_PADDING * 2 + FRAME_HEADER_HEIGHT,
+  };
+};
+
+// 折叠后摘要卡片放在分组左上角第一张卡片的位置
+const collapsedCardPosition = (bounds) => ({
+  x: bounds.x + FRAME_PADDING,
+  y: bounds.y + FRAME_PADDING + FRAME_HEADER_HEIGHT,
+});
+
+// 拖动结束后按落点更新所属分组：卡片中心落在某个展开分组拖动前的范围内即加入，拖出范围则移出；
+// origins 为被拖动节点拖动前的位置。分组的全部成员一起拖动时保持不变
+const assignFrames = (nodes, origins, frames, heightOf) => {
+  const before = nodes.map((n) => (origins.has(n.id) ? { ...n, ...origins.get(n.id) } : n));
+  const regions = frames
+    .filter((f) => !f.collapsed && nodes.some((n) => n.frameId === f.id && !origins.has(n.id)))
+    .map((f) => ({
+      id: f.id,
+      bounds: frameBounds(
+        before.filter((n) => n.frameId === f.id),
+        heightOf,
+      ),
+    }));
+  return nodes.map((n) => {
+    if (!origins.has(n.id)) return n;
+    const centerX = n.x + LAYOUT_NODE_WIDTH / 2;
+    const centerY = n.y + heightOf(n) / 2;
+    const hit = regions.find(
+      ({ bounds }) =>
+        centerX >= bounds.x &&
+        centerX <= bounds.x + bounds.width &&
+        centerY >= bounds.y &&
+        centerY <= bounds.y + bounds.height,
+    );
+    if (hit) return hit.id === n.frameId ? n : { ...n, frameId: hit.id };
+    if (!n.frameId || !regions.some((r) => r.id === n.frameId)) return n;
+    return { ...n, frameId: null };
+  });
+};
+
+// --- 大画布渲染 ---
+// 视口外额外保留的范围 (屏幕像素)，平移时边缘的卡片提前挂载，不会突然出现
+const CULL_MARGIN = 400;
+
+// 当前视口 (含保留范围) 在画布坐标系中的矩形
+const visibleCanvasRect = (transform, size) => ({
+  left: (-transform.x - CULL_MARGIN) / transform.scale,
+  top: (-transform.y - CULL_MARGIN) / transform.scale,
+  right: (size.width - transform.x + CULL_MARGIN) / transform.scale,
+  bottom: (size.height - transform.y + CULL_MARGIN) / transform.scale,
+});
+
+// 以 a、b 两点为对角的矩形是否与视口相交
+const boxInView = (rect, a, b) =>
+  Math.min(a.x, b.x) <= rect.right &&
+  Math.max(a.x, b.x) >= rect.left &&
+  Math.min(a.y, b.y) <= rect.bottom &&
+  Math.max(a.y, b.y) >= rect.top;
+
+// 把 origins 中的节点从起始位置平移 (dx, dy)，其余节点保持原对象
+const offsetNodes = (nodes, origins, dx, dy) =>
+  nodes.map((n) => (origins.has(n.id) ? { ...n, x: origins.get(n.id).x + dx, y: origins.get(n.id).y + dy } : n));
+
+// 开发用压测数据：count 个节点分到 days 天，每天一列、按时间依次连线。
+// 伪随机数使用固定种子，每次生成的画布都相同，便于前后对比
+const BENCHMARK_NODE_COUNT = 1000;
+const BENCHMARK_START_DATE = '2026-11-01';
+
+const generateBenchmarkTrip = (count = BENCHMARK_NODE_COUNT, days = 30) => {
+  let seed = 1;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  const types = Object.values(NODE_TYPES).map((t) => t.id);
+  const perDay = Math.ceil(count / days);
+  const firstStamp = toMinuteStamp(BENCHMARK_START_DATE, '08:00');
+  const nodes = Array.from({ length: count }, (_, i) => {
+    const day = Math.floor(i / perDay);
+    const slot = i % perDay;
+    return cleanNode({
+      id: `bench-${i}`,
+      type: types[Math.floor(random() * types.length)],
+      title: `第 ${day + 1} 天 · 站点 ${slot + 1}`,
+      content: '压测节点',
+      x: day * (LAYOUT_NODE_WIDTH + LAYOUT_GAP_X),
+      y: slot * (LAYOUT_DEFAULT_HEIGHT + LAYOUT_GAP_Y),
+      ...fromMinuteStamp(firstStamp + day * 1440 + slot * 25),
+      cost: { amount: Math.round(random() * 500), currency: DEFAULT_CURRENCY },
+      lat: 35.68 + (random() - 0.5) * 0.1,
+      lng: 139.76 + (random() - 0.5) * 0.1,
+    });
+  });
+  const connections = nodes
+    .slice(1)
+    .flatMap((node, i) =>
+      node.date === nodes[i].date ? [cleanConnection({ id: `bench-c${i}`, from: nodes[i].id, to: node.id })] : [],
+    );
+  return { nodes, connections };
+};
+
+// --- 小地图 ---
+const MINIMAP_SIZE = { width: 192, height: 128 };
+const MINIMAP_PADDING = 8;
+const MINIMAP_MAX_SCALE = 0.05; // 内容很少时不再放大，单张卡片约 14px 宽
+
+// 分组在画布上占的矩形：展开时为整个区域，折叠时为摘要卡片
+const frameRect = ({ frame, bounds }) =>
+  frame.collapsed ? { ...collapsedCardPosition(bounds), width: LAYOUT_NODE_WIDTH, height: 140 } : bounds;
+
+// 画布内容 (节点与分组) 的外接矩形，等比缩放后居中放进小地图；画布为空时按 fallback 区域计算。
+// 返回画布坐标到小地图坐标的映射：minimap = canvas * scale + (x, y)
+const fitMinimap = (nodes, frameGroups, collapsedFrameOf, heightOf, fallback) => {
+  const boxes = [
+    ...nodes
+      .filter((n) => !collapsedFrameOf.has(n.id))
+      .map((n) => ({ x: n.x, y: n.y, width: LAYOUT_NODE_WIDTH, height: heightOf(n) })),
+    ...frameGroups.map(frameRect),
+  ];
+  if (boxes.length === 0) boxes.push(fallback);
+  const left = Math.min(...boxes.map((b) => b.x));
+  const top = Math.min(...boxes.map((b) => b.y));
+  const width = Math.max(...boxes.map((b) => b.x + b.width)) - left;
+  const height = Math.max(...boxes.map((b) => b.y + b.height)) - top;
+  const scale = Math.min(
+    (MINIMAP_SIZE.width - MINIMAP_PADDING * 2) / width,
+    (MINIMAP_SIZE.height - MINIMAP_PADDING * 2) / height,
+    MINIMAP_MAX_SCALE,
+  );
+  return {
+    scale,
+    x: (MINIMAP_SIZE.width - width * scale) / 2 - left * scale,
+    y: (MINIMAP_SIZE.height - height * scale) / 2 - top * scale,
+  };
+};
+
+// 小地图的内容层 (分组、连线、节点)。只随内容变化重渲染，平移、缩放画布时只有视口框在动
+const MinimapLayer = memo(({ nodes, nodeById, connections, frameGroups, collapsedFrameOf, projection }) => {
+  const toMinimap = (p) => ({ x: p.x * projection.scale + projection.x, y: p.y * projection.scale + projection.y });
+  // 节点在画布上的位置，折叠分组的成员取摘要卡片的位置
+  const positionOf = (node) => {
+    const group = collapsedFrameOf.get(node.id);
+    return group ? collapsedCardPosition(group.bounds) : node;
+  };
+  return (
+    <>
+      {frameGroups.map((group) => {
+        const rect = frameRect(group);
+        const color = FRAME_COLORS[group.frame.color];
+        const corner = toMinimap(rect);
+        return (
+          <div
+            key={group.frame.id}
+            className={`absolute rounded-sm border ${color.border} ${group.frame.collapsed ? color.dot : color.fill}`}
+            style={{
+              left: corner.x,
+              top: corner.y,
+              width: rect.width * projection.scale,
+              height: rect.height * projection.scale,
+            }}
+          />
+        );
+      })}
+      <svg className="absolute inset-0 h-full w-full">
+        {connections.map((conn) => {
+          const fromNode = nodeById.get(conn.from);
+          const toNode = nodeById.get(conn.to);
+          if (!fromNode || !toNode) return null;
+          const fromGroup = collapsedFrameOf.get(fromNode.id);
+          if (fromGroup && fromGroup === collapsedFrameOf.get(toNode.id)) return null;
+          const fromPos = positionOf(fromNode);
+          const toPos = positionOf(toNode);
+          const start = toMinimap({ x: fromPos.x + LAYOUT_NODE_WIDTH, y: fromPos.y + 120 });
+          const end = toMinimap({ x: toPos.x, y: toPos.y + 120 });
+          return (
+            <line key={conn.id} x1={start.x} y1={start.y} x2={end.x} y2={end.y} stroke="#fca5a5" strokeWidth="1" />
+          );
+        })}
+      </svg>
+      {nodes.map((n) => {
+        if (collapsedFrameOf.has(n.id)) return null;
+        // 修复：确保 type 存在且有效
+        const typeKey = (n.type || 'note').toUpperCase();
+        const nodeTypeConfig = NODE_TYPES[typeKey] || NODE_TYPES.NOTE;
+        const corner = toMinimap(n);
+        return (
+          <div
+            key={n.id}
+            className={`absolute rounded-[1px] ${nodeTypeConfig.color}`}
+            style={{
+              left: corner.x,
+              top: corner.y,
+              width: Math.max(LAYOUT_NODE_WIDTH * projection.scale, 3),
+              height: Math.max(120 * projection.scale, 2),
+            }}
+          />
+        );
+      })}
+    </>
+  );
+});
+
+// --- 画布卡片 ---
+// 单个节点卡片。actions 由 App 提供且引用不变，卡片只在自身数据或状态变化时重渲染，
+// 拖动、平移时其余卡片不参与渲染。onRender 是可选的 Profiler 回调，卡片每次实际渲染时触发
+const NodeCard = memo(
+  ({
+    node,
+    isSelected,
+    isConnecting,
+    isLoading,
+    isDragging,
+    isAiRunning,
+    aiError,
+    findings = [],
+    isFindingFocused,
+    warnings,
+    travellers,
+    homeCurrency,
+    geocoderLabel,
+    actions,
+    onRender,
+  }) => {
+    // 修复：确保 type 存在且有效
+    const typeKey = (node.type || 'note').toUpperCase();
+    const Config = NODE_TYPES[typeKey] || NODE_TYPES.NOTE;
+    const Icon = Config.icon;
+    const weatherIndex = typeof node.weather === 'number' ? node.weather : 0;
+    const safeWeather = WEATHER_TYPES[weatherIndex] || WEATHER_TYPES[0];
+    const WeatherIcon = safeWeather.icon;
+
+    return (
+      <Profiler id={node.id} onRender={onRender}>
+        <div
+          data-node-id={node.id}
+          onMouseDownCapture={(e) => actions.selectNode(node.id, e.shiftKey)}
+          className={`absolute z-10 flex w-[280px] select-none flex-col rounded-2xl border bg-white shadow-sm transition-all duration-200
+            ${isConnecting ? 'border-red-500 ring-4 ring-red-400 ring-opacity-50 shadow-xl' : 'border-slate-200 hover:shadow-2xl'}
+            ${isLoading ? 'ring-2 ring-red-400 ring-opacity-50' : ''}
+            ${isSelected && !isConnecting ? 'border-red-300 ring-2 ring-red-200' : ''}
+            ${findings.length > 0 ? `${FINDING_SEVERITIES[findings[0].severity].ring} ${isFindingFocused ? 'ring-4' : 'ring-2'}` : ''}
+          `}
+          style={{
+            transform: `translate(${node.x}px, ${node.y}px)`,
+            cursor: isDragging ? 'grabbing' : 'auto',
+          }}
+        >
+          {/* 顶部把手 & 标题区 */}
+          <div
+            className={`relative flex h-24 cursor-grab items-start justify-between overflow-hidden rounded-t-2xl p-3 active:cursor-grabbing
+              ${!node.image ? Config.color : 'bg-slate-900'}
+            `}
+            onMouseDown={(e) => {
+              e.stopPropagation();
+              if (e.shiftKey) return;
+              actions.startDrag(e, node.id);
+            }}
+          >
+            {/* 背景图 */}
+            {node.image && (
+              <div className="absolute inset-0 z-0">
+                <img src={node.image} alt="cover" className="h-full w-full object-cover opacity-80" />
+                <div className="absolute inset-0 bg-gradient-to-t from-black/80 to-transparent" />
+              </div>
+            )}
+
+            <div className="relative z-10 flex w-full items-center gap-2 font-medium text-white">
+              <div className={`rounded-lg p-1.5 shadow-sm ${Config.color}`}>
+                <Icon size={16} />
+              </div>
+              <input
+                value={node.title}
+                onChange={(e) => actions.updateNode(node.id, 'title', e.target.value)}
+                className="w-full border-none bg-transparent text-base font-bold text-white outline-none drop-shadow-md placeholder:text-white/70 focus:ring-0"
+                placeholder="标题..."
+              />
+            </div>
+
+            {/* 操作按钮组 */}
+            <div className="relative z-10 flex gap-1 opacity-0 transition-opacity group-hover:opacity-100">
+              <button
+                onClick={(e) => actions.startConnection(e, node.id)}
+                className="rounded-lg bg-white/20 p-1.5 text-white backdrop-blur-sm transition-colors hover:bg-white hover:text-red-600"
+              >
+                <LinkIcon size={14} />
+              </button>
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  actions.deleteNode(node.id);
+                }}
+                className="rounded-lg bg-white/20 p-1.5 text-white backdrop-blur-sm transition-colors hover:bg-white hover:text-red-600"
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+          </div>
+
+          {/* 内容区域 */}
+          <div className="relative flex-1 space-y-3 rounded-b-2xl bg-white p-4">
+            {/* AI 输入/内容区 */}
+            <div className="group/input relative">
+              <textarea
+                value={node.content}
+                onChange={(e) => actions.updateNode(node.id, 'content', e.target.value)}
+                className={`h-16 w-full resize-none rounded-lg border border-slate-100 bg-slate-50 p-2 text-sm leading-relaxed text-slate-600 outline-none transition-all focus:border-red-200 focus:bg-white focus:ring-2 focus:ring-red-100
+                  ${isLoading ? 'opacity-50' : ''}
+                `}
+                placeholder="✨ AI 功能：输入'北京三日游'，点击右下角魔法棒..."
+                disabled={isLoading}
+              />
+
+              {/* AI 触发按钮 */}
+              {/* 修复：增加 node.content 安全检查，防止 trim 报错 */}
+              <button
+                onClick={() => (isAiRunning ? actions.cancelAiRequest(node.id) : actions.handleAIFill(node.id))}
+                disabled={(isLoading && !isAiRunning) || !(node.content || '').trim()}
+                className={`absolute bottom-2 right-2 flex items-center gap-1 rounded-md p-1.5 transition-all duration-300
+                  ${
+                    isLoading
+                      ? 'bg-red-50 text-red-400'
+                      : (node.content || '').trim()
+                        ? 'bg-red-100 text-red-600 hover:bg-red-600 hover:text-white'
+                        : 'hidden'
+                  }
+                `}
+                title={isAiRunning ? '停止生成' : '点击让 AI 规划行程'}
+              >
+                {isLoading ? <Loader2 size={14} className="animate-spin" /> : <Wand2 size={14} />}
+                {isAiRunning && <span className="text-[10px] font-semibold">停止</span>}
+              </button>
+            </div>
+
+            {/* 信息栏 */}
+            <div className="flex items-center gap-2 pt-1">
+              <div className="flex flex-1 items-center gap-2 rounded-lg border border-slate-100 bg-slate-50 p-1.5">
+                <Calendar size={14} className="text-slate-400" />
+                <input
+                  type="date"
+                  value={node.date}
+                  onChange={(e) => actions.updateNode(node.id, 'date', e.target.value)}
+                  className="w-full min-w-0 border-none bg-transparent p-0 text-xs text-slate-600 outline-none"
+                />
+                <input
+                  type="time"
+                  value={node.time}
+                  onChange={(e) => actions.updateNode(node.id, 'time', e.target.value)}
+                  className="w-16 shrink-0 border-none bg-transparent p-0 text-xs text-slate-500 outline-none"
+                />
+                <div
+                  className="cursor-pointer border-l border-slate-200 pl-2"
+                  onClick={() => actions.updateNode(node.id, 'weather', ((node.weather || 0) + 1) % 3)}
+                >
+                  <WeatherIcon size={14} className={safeWeather.color} />
+                </div>
+              </div>
+
+              <CostInput
+                key={formatCost(node.cost)}
+                cost={node.cost}
+                defaultCurrency={homeCurrency}
+                onChange={(cost) => actions.updateNode(node.id, 'cost', cost)}
+                className="w-24 rounded-lg border border-slate-100 bg-slate-50 p-1.5"
+              />
+            </div>
+
+            {/* 付款人与分摊 */}
+            {travellers.length > 0 && (
+              <SplitEditor
+                expense={node}
+                travellers={travellers}
+                onChange={(field, value) => actions.updateNode(node.id, field, value)}
+              />
+            )}
+
+            {/* 结束时间 / 时长 (住宿为退房时间) */}
+            <div className="flex items-center gap-1.5 rounded-lg border border-slate-100 bg-slate-50 p-1.5">
+              <Clock size={14} className="shrink-0 text-slate-400" />
+              <span className="shrink-0 text-[10px] text-slate-400">{node.type === 'stay' ? '退房' : '结束'}</span>
+              <input
+                type="date"
+                value={node.endDate}
+                onChange={(e) => actions.updateNode(node.id, 'endDate', e.target.value)}
+                className="w-full min-w-0 border-none bg-transparent p-0 text-xs text-slate-600 outline-none"
+              />
+              <input
+                type="time"
+                value={node.endTime}
+                onChange={(e) => actions.updateNode(node.id, 'endTime', e.target.value)}
+                className="w-16 shrink-0 border-none bg-transparent p-0 text-xs text-slate-500 outline-none"
+              />
+              <input
+                type="number"
+                min="0"
+                step="15"
+                value={nodeDurationMinutes(node) ?? ''}
+                onChange={(e) => actions.updateNodeDuration(node.id, Number(e.target.value))}
+                disabled={nodeStartStamp(node) === null}
+                title="时长 (分钟)，需先填写开始日期和时间"
+                className="w-12 shrink-0 border-l border-slate-200 bg-transparent p-0 pl-1.5 text-xs text-slate-500 outline-none disabled:opacity-40"
+                placeholder="分钟"
+              />
+            </div>
+
+            {/* 经纬度 */}
+            <div className="flex items-center gap-1.5 rounded-lg border border-slate-100 bg-slate-50 p-1.5">
+              <Navigation size={14} className="shrink-0 text-slate-400" />
+              <input
+                type="number"
+                step="0.0001"
+                value={node.lat ?? ''}
+                onChange={(e) =>
+                  actions.setNodeCoords(node.id, e.target.value === '' ? null : Number(e.target.value), node.lng)
+                }
+                className="w-full min-w-0 border-none bg-transparent p-0 text-xs text-slate-600 outline-none"
+                placeholder="纬度"
+              />
+              <input
+                type="number"
+                step="0.0001"
+                value={node.lng ?? ''}
+                onChange={(e) =>
+                  actions.setNodeCoords(node.id, node.lat, e.target.value === '' ? null : Number(e.target.value))
+                }
+                className="w-full min-w-0 border-l border-slate-200 bg-transparent p-0 pl-1.5 text-xs text-slate-600 outline-none"
+                placeholder="经度"
+              />
+              <button
+                onClick={() => actions.geocodeNode(node.id)}
+                disabled={isLoading || !(node.title || node.content || '').trim()}
+                className="shrink-0 rounded p-0.5 text-slate-400 transition-colors hover:bg-white hover:text-red-600 disabled:opacity-40"
+                title={`根据标题定位 (${geocoderLabel})`}
+              >
+                <LocateFixed size={14} />
+              </button>
+            </div>
+
+            {/* AI 生成失败原因 */}
+            {aiError && (
+              <div className="flex items-start gap-1 rounded-lg border border-red-200 bg-red-50 p-2 text-[11px] leading-snug text-red-700">
+                <AlertTriangle size={12} className="mt-0.5 shrink-0" />
+                <span className="flex-1 break-words">{aiError}</span>
+                <button
+                  onClick={() => actions.setAiError(node.id, null)}
+                  className="shrink-0 text-red-400 hover:text-red-600"
+                  title="关闭"
+                >
+                  <X size={12} />
+                </button>
+              </div>
+            )}
+
+            {/* AI 分析发现 */}
+            {findings.length > 0 && (
+              <div className="space-y-1">
+                {findings.map((finding) => (
+                  <button
+                    key={finding.key}
+                    onClick={() => actions.focusFinding(finding)}
+                    className={`flex w-full items-start gap-1 rounded-lg px-2 py-1 text-left text-[11px] leading-snug ${FINDING_SEVERITIES[finding.severity].badge}`}
+                  >
+                    <BrainCircuit size={12} className="mt-0.5 shrink-0" />
+                    {finding.title}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {/* 时间校验警告 */}
+            {warnings && (
+              <div className="space-y-0.5 rounded-lg border border-amber-200 bg-amber-50 p-2 text-[11px] leading-snug text-amber-700">
+                {warnings.map((warning) => (
+                  <div key={warning} className="flex items-start gap-1">
+                    <AlertTriangle size={12} className="mt-0.5 shrink-0" />
+                    {warning}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {/* 推荐下一站 (悬浮球) */}
+            {(node.type === 'location' || node.type === 'stay') && !isLoading && (
+              <button
+                onClick={() => actions.generateNextStop(node.id)}
+                className="absolute -right-4 top-1/2 z-20 translate-x-4 -translate-y-1/2 rounded-full border border-slate-100 bg-white p-2.5 text-red-600 opacity-0 shadow-[0_4px_12px_rgba(0,0,0,0.1)] transition-all duration-300 hover:scale-110 hover:text-red-700 group-hover:translate-x-0 group-hover:opacity-100"
+                title="AI 推荐下一站"
+              >
+                <Sparkles size={16} />
+              </button>
+            )}
+          </div>
+        </div>
+      </Profiler>
+    );
+  },
+  // 节点数据变化时时间校验会整体重跑，警告数组都是新的；内容没变的卡片不必重渲染
+  (prev, next) =>
+    Object.keys(next).every((key) =>
+      key === 'warnings' ? prev.warnings?.join('\n') === next.warnings?.join('\n') : prev[key] === next[key],
+    ),
+);
+
+// --- 地图视图 ---
+const TILE_SIZE = 256;
+const MAP_MIN_ZOOM = 2;
+const MAP_MAX_ZOOM = 18;
+const MAP_FIT_MAX_ZOOM = 14;
+const DEFAULT_MAP_TILE_URL = import.meta.env.VITE_MAP_TILE_URL || '';
+const DEFAULT_MAP_VIEW = { lat: 35, lng: 105, zoom: 4 };
+
+// Web Mercator 投影：经纬度 → 指定缩放级别下的世界像素坐标
+const projectLatLng = (lat, lng, zoom) => {
+  const worldSize = TILE_SIZE * 2 ** zoom;
+  const sin = Math.sin((Math.max(Math.min(lat, 85.0511), -85.0511) * Math.PI) / 180);
+  return {
+    x: ((lng + 180) / 360) * worldSize,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * worldSize,
+  };
+};
+
+const unprojectPoint = (x, y, zoom) => {
+  const worldSize = TILE_SIZE * 2 ** zoom;
+  const n = Math.PI - (2 * Math.PI * y) / worldSize;
+  return {
+    lat: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+    lng: (x / worldSize) * 360 - 180,
+  };
+};
+
+// 选取能完整容纳所有点的最大缩放级别，中心取投影后包围盒的中点
+const fitMapView = (points, width, height) => {
+  if (points.length === 0 || !width || !height) return DEFAULT_MAP_VIEW;
+  const projected = points.map((p) => projectLatLng(p.lat, p.lng, 0));
+  const minX = Math.min(...projected.map((p) => p.x));
+  const maxX = Math.max(...projected.map((p) => p.x));
+  const minY = Math.min(...projected.map((p) => p.y));
+  const maxY = Math.max(...projected.map((p) => p.y));
+  const center = unprojectPoint((minX + maxX) / 2, (minY + maxY) / 2, 0);
+
+  let zoom = MAP_FIT_MAX_ZOOM;
+  while (zoom > MAP_MIN_ZOOM && ((maxX - minX) * 2 ** zoom > width * 0.7 || (maxY - minY) * 2 ** zoom > height * 0.7)) {
+    zoom -= 1;
+  }
+  return { ...center, zoom };
+};
+
+const graticuleStep = (zoom) => {
+  if (zoom <= 4) return 10;
+  if (zoom <= 6) return 5;
+  if (zoom <= 8) return 1;
+  if (zoom <= 11) return 0.1;
+  return 0.01;
+};
+
+const MapView = ({ nodes, connections, selectedNodeId, onSelectNode, tileUrl }) => {
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+  const lastWheelRef = useRef(0);
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  // null 表示自动适配到所有已定位节点
+  const [view, setView] = useState(null);
+
+  useEffect(() => {
+    const observer = new ResizeObserver(([entry]) => {
+      setSize({ width: entry.contentRect.width, height: entry.contentRect.height });
+    });
+    observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  const locatedNodes = nodes.filter((n) => isValidLatLng(n.lat, n.lng));
+  const currentView = view || fitMapView(locatedNodes, size.width, size.height);
+  const { zoom } = currentView;
+  const center = projectLatLng(currentView.lat, currentView.lng, zoom);
+  const originX = center.x - size.width / 2;
+  const originY = center.y - size.height / 2;
+
+  const toScreen = (lat, lng) => {
+    const p = projectLatLng(lat, lng, zoom);
+    return { x: p.x - originX, y: p.y - originY };
+  };
+
+  const zoomBy = (delta) => {
+    setView({ ...currentView, zoom: Math.min(Math.max(zoom + delta, MAP_MIN_ZOOM), MAP_MAX_ZOOM) });
+  };
+
+  const handleMouseDown = (e) => {
+    if (e.button !== 0) return;
+    dragRef.current = { startX: e.clientX, startY: e.clientY, center, moved: false };
+  };
+
+  const handleMouseMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const dx = e.clientX - drag.startX;
+    const dy = e.clientY - drag.startY;
+    if (Math.abs(dx) + Math.abs(dy) > 3) drag.moved = true;
+    setView({ ...unprojectPoint(drag.center.x - dx, drag.center.y - dy, zoom), zoom });
+  };
+
+  const handleMouseUp = () => {
+    if (dragRef.current && !dragRef.current.moved) onSelectNode(null);
+    dragRef.current = null;
+  };
+
+  // 瓦片：按当前视口计算需要的瓦片行列，横向循环
+  const tiles = [];
+  if (tileUrl && size.width && size.height) {
+    const tileCount = 2 ** zoom;
+    for (let tx = Math.floor(originX / TILE_SIZE); tx <= Math.floor((originX + size.width) / TILE_SIZE); tx++) {
+      for (
+        let ty = Math.max(0, Math.floor(originY / TILE_SIZE));
+        ty <= Math.min(tileCount - 1, Math.floor((originY + size.height) / TILE_SIZE));
+        ty++
+      ) {
+        const wrappedX = ((tx % tileCount) + tileCount) % tileCount;
+        tiles.push({
+          key: `${zoom}/${tx}/${ty}`,
+          src: tileUrl.replace('{z}', zoom).replace('{x}', wrappedX).replace('{y}', ty),
+          left: tx * TILE_SIZE - originX,
+          top: ty * TILE_SIZE - originY,
+        });
+      }
+    }
+  }
+
+  // 没有瓦片时绘制经纬网作为底图
+  const graticule = [];
+  if (!tileUrl && size.width && size.height) {
+    const step = graticuleStep(zoom);
+    const topLeft = unprojectPoint(originX, originY, zoom);
+    const bottomRight = unprojectPoint(originX + size.width, originY + size.height, zoom);
+    for (let lng = Math.ceil(topLeft.lng / step) * step; lng <= bottomRight.lng; lng += step) {
+      const x = toScreen(0, lng).x;
+      graticule.push({ key: `lng-${lng.toFixed(2)}`, x1: x, y1: 0, x2: x, y2: size.height, label: `${lng.toFixed(step < 1 ? 2 : 0)}°E` });
+    }
+    for (let lat = Math.ceil(bottomRight.lat / step) * step; lat <= topLeft.lat; lat += step) {
+      const y = toScreen(lat, 0).y;
+      graticule.push({ key: `lat-${lat.toFixed(2)}`, x1: 0, y1: y, x2: size.width, y2: y, label: `${lat.toFixed(step < 1 ? 2 : 0)}°N` });
+    }
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      className="relative h-full w-full cursor-grab overflow-hidden bg-sky-50 active:cursor-grabbing"
+      onMouseDown={handleMouseDown}
+      onMouseMove={handleMouseMove}
+      onMouseUp={handleMouseUp}
+      onMouseLeave={() => (dragRef.current = null)}
+      onWheel={(e) => {
+        // 触控板会连续触发滚轮事件，节流后每次只缩放一级
+        if (e.timeStamp - lastWheelRef.current < 200) return;
+        lastWheelRef.current = e.timeStamp;
+        zoomBy(e.deltaY < 0 ? 1 : -1);
+      }}
+    >
+      {tiles.map((tile) => (
+        <img
+          key={tile.key}
+          src={tile.src}
+          alt=""
+          draggable={false}
+          className="pointer-events-none absolute select-none"
+          style={{ left: tile.left, top: tile.top, width: TILE_SIZE, height: TILE_SIZE }}
+        />
+      ))}
+
+      <svg className="absolute inset-0 h-full w-full">
+        {graticule.map((line) => (
+          <g key={line.key}>
+            <line x1={line.x1} y1={line.y1} x2={line.x2} y2={line.y2} stroke="#cbd5e1" strokeWidth="1" />
+            <text x={line.x1 + 4} y={line.y1 + 12} className="fill-slate-400 text-[9px]">
+              {line.label}
+            </text>
+          </g>
+        ))}
+
+        {/* 离线地名库作为参考点 */}
+        {!tileUrl &&
+          GAZETTEER.map((place) => {
+            const p = toScreen(place.lat, place.lng);
+            if (p.x < 0 || p.y < 0 || p.x > size.width || p.y > size.height) return null;
+            return (
+              <g key={place.name} transform={`translate(${p.x}, ${p.y})`}>
+                <circle r="2" fill="#94a3b8" />
+                <text x="5" y="3" className="fill-slate-400 text-[10px]">
+                  {place.name}
+                </text>
+              </g>
+            );
+          })}
+
+        {connections.map((conn) => {
+          const fromNode = locatedNodes.find((n) => n.id === conn.from);
+          const toNode = locatedNodes.find((n) => n.id === conn.to);
+          if (!fromNode || !toNode) return null;
+          const a = toScreen(fromNode.lat, fromNode.lng);
+          const b = toScreen(toNode.lat, toNode.lng);
+          return <line key={conn.id} x1={a.x} y1={a.y} x2={b.x} y2={b.y} stroke="#ef4444" strokeWidth="2.5" />;
+        })}
+
+        {locatedNodes.map((node) => {
+          const p = toScreen(node.lat, node.lng);
+          const typeKey = (node.type || 'note').toUpperCase();
+          const nodeTypeConfig = NODE_TYPES[typeKey] || NODE_TYPES.NOTE;
+          const isSelected = node.id === selectedNodeId;
+          return (
+            <g
+              key={node.id}
+              transform={`translate(${p.x}, ${p.y})`}
+              className="cursor-pointer"
+              onMouseDown={(e) => {
+                e.stopPropagation();
+                onSelectNode(node.id);
+              }}
+            >
+              {isSelected && <circle r="14" className="fill-red-500/20 stroke-red-500" strokeWidth="2" />}
+              <circle r="7" className={nodeTypeConfig.color.replace('bg-', 'fill-')} stroke="white" strokeWidth="2" />
+              <text x="11" y="4" className={`text-xs font-semibold ${isSelected ? 'fill-red-700' : 'fill-slate-700'}`}>
+                {node.title || '未命名'}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+
+      <div className="absolute bottom-6 right-6 flex flex-col gap-2" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="flex flex-col overflow-hidden rounded-xl border border-slate-200 bg-white shadow-lg">
+          <button onClick={() => zoomBy(1)} className="border-b border-slate-100 p-3 transition-colors hover:bg-slate-50">
+            <Plus size={20} />
+          </button>
+          <button onClick={() => zoomBy(-1)} className="p-3 transition-colors hover:bg-slate-50">
+            <Minus size={20} />
+          </button>
+        </div>
+        <button
+          onClick={() => setView(null)}
+          title="适配全部节点"
+          className="rounded-xl border border-slate-200 bg-white p-3 shadow-lg transition-colors hover:bg-slate-50"
+        >
+          <Maximize size={20} />
+        </button>
+      </div>
+
+      {locatedNodes.length === 0 && (
+        <div className="pointer-events-none absolute inset-x-0 top-24 mx-auto w-fit rounded-xl bg-white/90 px-4 py-2 text-sm text-slate-500 shadow">
+          还没有节点填写经纬度，选择节点后可定位。
+        </div>
+      )}
+    </div>
+  );
+};
+
+// onCardRender(nodeId)：可选，画布卡片每次实际渲染时回调 (开发构建中由卡片内的 Profiler 触发)，测试用它统计重渲染
+const App = ({ onCardRender }) => {
+  // --- 状态管理 ---
+  const [apiSettingsOpen, setApiSettingsOpen] = useState(false);
+  const [apiConfig, setApiConfig] = useState(loadApiConfig);
+  const [apiTestResult, setApiTestResult] = useState(null);
+  const [apiSettingsTab, setApiSettingsTab] = useState('config');
+  const [aiUsageLog, setAiUsageLog] = useState(loadAiUsageLog);
+  const [aiCacheCount, setAiCacheCount] = useState(() => loadAiCache().length);
+
+  // 初次加载：读取 (或迁移) 行程库，并载入当前行程的数据
+  const [initialWorkspace] = useState(() => {
+    const library = loadTripLibrary();
+    return { ...library, ...loadTripData(library.activeTripId) };
+  });
+
+  const [trips, setTrips] = useState(initialWorkspace.trips);
+  const [activeTripId, setActiveTripId] = useState(initialWorkspace.activeTripId);
+  const [tripMenuOpen, setTripMenuOpen] = useState(false);
+  const [showArchivedTrips, setShowArchivedTrips] = useState(false);
+  const [renamingTripId, setRenamingTripId] = useState(null);
+  const [renameDraft, setRenameDraft] = useState('');
+
+  const [nodes, setNodes] = useState(initialWorkspace.nodes);
+  const [connections, setConnections] = useState(initialWorkspace.connections);
+  const [frames, setFrames] = useState(initialWorkspace.frames);
+  const [canvasTransform, setCanvasTransform] = useState(initialWorkspace.canvasTransform);
+  const [isPanning, setIsPanning] = useState(false);
+  const [draggedNodeId, setDraggedNodeId] = useState(null);
+  const [lastMousePos, setLastMousePos] = useState({ x: 0, y: 0 });
+
+  const [connectingSourceId, setConnectingSourceId] = useState(null);
+  const [selection, setSelection] = useState([]); // 画布上选中的节点 id，最后一个为当前节点
+  const [selectionBox, setSelectionBox] = useState(null); // { start, end, additive }，画布坐标
+  const selectedNodeId = selection.length > 0 ? selection[selection.length - 1] : null;
+  const setSelectedNodeId = useCallback((id) => setSelection(id ? [id] : []), []);
+  const [viewMode, setViewMode] = useState('canvas');
+  const [timelineDragId, setTimelineDragId] = useState(null);
+  const [mapTileUrl, setMapTileUrl] = useState(() => localStorage.getItem('voyage_map_tiles') ?? DEFAULT_MAP_TILE_URL);
+  const [showRoadbook, setShowRoadbook] = useState(false);
+  const [loadingNodes, setLoadingNodes] = useState(new Set());
+  const [aiErrors, setAiErrors] = useState({}); // nodeId -> 最近一次 AI 生成失败的原因
+  const [aiRequests, setAiRequests] = useState({}); // nodeId / 'analysis' -> 进行中请求的 AbortController
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [tripAnalysis, setTripAnalysis] = useState(null); // { summary, findings, error }
+  const [focusedFindingKey, setFocusedFindingKey] = useState(null);
+
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+  const lastHistoryEntryRef = useRef({ key: null, time: 0 });
+  const dragRecordedRef = useRef(false);
+  const dragStateRef = useRef(null); // { pointer, origins }：拖动开始时的指针位置 (画布坐标) 与被拖动节点的位置
+  const [dragPreview, setDragPreview] = useState(null); // { origins, dx, dy }：拖动中尚未写回 nodes 的位移
+  const layoutAnimationRef = useRef(null);
+
+  const [geocoderId, setGeocoderId] = useState(() => {
+    const saved = localStorage.getItem('voyage_geocoder');
+    return GEOCODERS[saved] ? saved : DEFAULT_GEOCODER;
+  });
+
+  const [exchangeRates, setExchangeRates] = useState(() => {
+    try {
+      return { ...DEFAULT_EXCHANGE_RATES, ...JSON.parse(localStorage.getItem('voyage_exchange_rates') || '{}') };
+    } catch {
+      return DEFAULT_EXCHANGE_RATES;
+    }
+  });
+  const [budgetSettingsOpen, setBudgetSettingsOpen] = useState(false);
+  const [preferencesOpen, setPreferencesOpen] = useState(false);
+  const [chatOpen, setChatOpen] = useState(false);
+  const [chatMessages, setChatMessages] = useState([]);
+  const [chatDraft, setChatDraft] = useState('');
+  const [aiPlanCount, setAiPlanCount] = useState(() => {
+    const saved = Number(localStorage.getItem('voyage_ai_plan_count'));
+    return AI_PLAN_COUNT_OPTIONS.includes(saved) ? saved : DEFAULT_AI_PLAN_COUNT;
+  });
+  const [planAlternatives, setPlanAlternatives] = useState(null); // { nodeId, plans, selected, loading, error }
+  const [routeOptimisation, setRouteOptimisation] = useState(null); // { label, before, after, metric, error }
+  const [selectedConnectionId, setSelectedConnectionId] = useState(null);
+  const [newTravellerName, setNewTravellerName] = useState('');
+
+  const [importReport, setImportReport] = useState(null);
+  const importInputRef = useRef(null);
+
+  const viewportRef = useRef(null);
+
+  // 画布视口的实际尺寸，用于裁剪视口外的节点与连线；切到其他视图时画布隐藏，保留上一次的尺寸
+  const [viewportSize, setViewportSize] = useState(() => ({ width: window.innerWidth, height: window.innerHeight }));
+  useEffect(() => {
+    const el = viewportRef.current;
+    if (!el) return;
+    const observer = new ResizeObserver(() => {
+      if (el.clientWidth > 0) setViewportSize({ width: el.clientWidth, height: el.clientHeight });
+    });
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  // 画布卡片的实际渲染高度 (不受缩放影响)，供自动布局、框选和分组范围使用；
+  // 隐藏或被裁剪的卡片沿用上次测得的高度
+  const [nodeHeights, setNodeHeights] = useState({});
+  const heightOf = useCallback((node) => nodeHeights[node.id] || LAYOUT_DEFAULT_HEIGHT, [nodeHeights]);
+
+  // 拖动时只在画布渲染中叠加位移，松开鼠标才写回 nodes：预算、路书等依赖 nodes 的计算不会随每次移动重算，
+  // 未被拖动的节点保持原对象，对应的卡片也不会重渲染
+  const canvasNodes = useMemo(
+    () => (dragPreview ? offsetNodes(nodes, dragPreview.origins, dragPreview.dx, dragPreview.dy) : nodes),
+    [nodes, dragPreview],
+  );
+  const nodeById = useMemo(() => new Map(canvasNodes.map((n) => [n.id, n])), [canvasNodes]);
+
+  // --- 持久化逻辑 ---
+  useEffect(() => {
+    localStorage.setItem('voyage_api_config', JSON.stringify(apiConfig));
+  }, [apiConfig]);
+
+  useEffect(() => {
+    localStorage.setItem('voyage_geocoder', geocoderId);
+  }, [geocoderId]);
+
+  useEffect(() => {
+    localStorage.setItem('voyage_ai_plan_count', String(aiPlanCount));
+  }, [aiPlanCount]);
+
+  useEffect(
+    () =>
+      subscribeAiUsage(() => {
+        setAiUsageLog(loadAiUsageLog());
+        setAiCacheCount(loadAiCache().length);
+      }),
+    [],
+  );
+
+  useEffect(() => {
+    localStorage.setItem('voyage_map_tiles', mapTileUrl);
+  }, [mapTileUrl]);
+
+  useEffect(() => {
+    localStorage.setItem('voyage_exchange_rates', JSON.stringify(exchangeRates));
+  }, [exchangeRates]);
+
+  useEffect(() => {
+    localStorage.setItem(TRIPS_STORAGE_KEY, JSON.stringify(trips));
+  }, [trips]);
+
+  useEffect(() => {
+    localStorage.setItem(ACTIVE_TRIP_STORAGE_KEY, activeTripId);
+  }, [activeTripId]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      saveTripData(activeTripId, { nodes, connections, frames, canvasTransform });
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [activeTripId, nodes, connections, frames, canvasTransform]);
+
+  // --- 行程库操作 ---
+  const activeTrip = trips.find((t) => t.id === activeTripId);
+  const tripStartDate = activeTrip?.startDate || '';
+  const tripTimeZone = activeTrip?.timeZone || DEFAULT_TIME_ZONE;
+  const homeCurrency = activeTrip?.homeCurrency || DEFAULT_CURRENCY;
+  const tripBudget = normalizeBudget(activeTrip?.budget);
+  const travellers = useMemo(() => normalizeTravellers(activeTrip?.travellers), [activeTrip?.travellers]);
+  const tripPreferences = normalizePreferences(activeTrip?.preferences);
+
+  const loadTripIntoCanvas = (tripId) => {
+    const data = loadTripData(tripId);
+    setActiveTripId(tripId);
+    setNodes(data.nodes);
+    setConnections(data.connections);
+    setFrames(data.frames);
+    setCanvasTransform(data.canvasTransform);
+    setConnectingSourceId(null);
+    setSelectedNodeId(null);
+    setSelectedConnectionId(null);
+    setDraggedNodeId(null);
+    setDragPreview(null);
+    setTripAnalysis(null);
+    setFocusedFindingKey(null);
+    setHistory(EMPTY_HISTORY);
+    // AI 请求、生成状态、对话和各类面板都属于上一个行程
+    Object.values(aiRequests).forEach((controller) => controller.abort(TRIP_SWITCH_ABORT));
+    setAiRequests({});
+    setLoadingNodes(new Set());
+    setAiErrors({});
+    setIsAnalyzing(false);
+    setChatMessages([]);
+    setPlanAlternatives(null);
+    setRouteOptimisation(null);
+  };
+
+  const switchTrip = (tripId) => {
+    if (tripId === activeTripId) return;
+    // 切换前立即写入当前行程，避免丢失尚未触发的防抖保存
+    saveTripData(activeTripId, { nodes, connections, frames, canvasTransform });
+    loadTripIntoCanvas(tripId);
+    setTripMenuOpen(false);
+  };
+
+  const createTrip = () => {
+    const trip = createTripMeta(`新行程 ${trips.length + 1}`);
+    saveTripData(trip.id, { nodes: [], connections: [], canvasTransform: DEFAULT_TRANSFORM });
+    setTrips((prev) => [...prev, trip]);
+    switchTrip(trip.id);
+  };
+
+  // 开发环境：生成 1000 个节点的压测行程，检查大画布的平移、拖动是否流畅
+  const createBenchmarkTrip = () => {
+    const trip = createTripMeta(`压测 ${BENCHMARK_NODE_COUNT} 节点`, { startDate: BENCHMARK_START_DATE });
+    saveTripData(trip.id, { ...generateBenchmarkTrip(), frames: [], canvasTransform: DEFAULT_TRANSFORM });
+    setTrips((prev) => [...prev, trip]);
+    switchTrip(trip.id);
+  };
+
+  const duplicateTrip = (tripId) => {
+    const source = trips.find((t) => t.id === tripId);
+    if (!source) return;
+    const data = tripId === activeTripId ? { nodes, connections, frames, canvasTransform } : loadTripData(tripId);
+    const trip = createTripMeta(`${source.name} 副本`, source);
+    saveTripData(trip.id, data);
+    setTrips((prev) => [...prev, trip]);
+  };
+
+  const startRenameTrip = (trip) => {
+    setRenamingTripId(trip.id);
+    setRenameDraft(trip.name);
+  };
+
+  const commitRenameTrip = () => {
+    const name = renameDraft.trim();
+    if (name) setTrips((prev) => prev.map((t) => (t.id === renamingTripId ? { ...t, name } : t)));
+    setRenamingTripId(null);
+  };
+
+  const exportTrip = () => {
+    const name = activeTrip?.name || '行程';
+    downloadFile(
+      `${name}.voyage.json`,
+      serializeTripFile({ ...activeTrip, name }, { nodes, connections, frames, canvasTransform }),
+      'application/json',
+    );
+  };
+
+  const importTrip = (trip) => {
+    const meta = createTripMeta(trip.name || '导入的行程', trip);
+    saveTripData(meta.id, {
+      nodes: trip.nodes,
+      connections: trip.connections,
+      frames: trip.frames,
+      canvasTransform: trip.canvasTransform,
+    });
+    setTrips((prev) => [...prev, meta]);
+    switchTrip(meta.id);
+    setImportReport(null);
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { trip, errors } = parseTripFile(await file.text());
+      // 有问题的文件先展示校验报告，由用户决定是否导入其中有效的部分
+      if (errors.length > 0) setImportReport({ fileName: file.name, trip, errors });
+      else importTrip(trip);
+    } catch (err) {
+      setImportReport({ fileName: file.name, trip: null, errors: [err.message] });
+    }
+  };
+
+  const updateActiveTrip = (fields) => {
+    setTrips((prev) => prev.map((t) => (t.id === activeTripId ? { ...t, ...fields } : t)));
+  };
+
+  // 当前行程被归档或删除后，切换到另一个未归档行程；没有则新建一个空行程
+  const leaveTrip = (remainingTrips) => {
+    const fallback = remainingTrips.find((t) => !t.archived);
+    if (fallback) {
+      loadTripIntoCanvas(fallback.id);
+      return remainingTrips;
+    }
+    const trip = createTripMeta('新行程');
+    saveTripData(trip.id, { nodes: [], connections: [], canvasTransform: DEFAULT_TRANSFORM });
+    loadTripIntoCanvas(trip.id);
+    return [...remainingTrips, trip];
+  };
+
+  const toggleArchiveTrip = (tripId) => {
+    const nextTrips = trips.map((t) => (t.id === tripId ? { ...t, archived: !t.archived } : t));
+    const archivingActive = tripId === activeTripId && !activeTrip?.archived;
+    if (archivingActive) saveTripData(activeTripId, { nodes, connections, frames, canvasTransform });
+    setTrips(archivingActive ? leaveTrip(nextTrips) : nextTrips);
+  };
+
+  const deleteTrip = (tripId) => {
+    const trip = trips.find((t) => t.id === tripId);
+    if (!trip || !window.confirm(`确定删除行程「${trip.name}」吗？此操作不可恢复。`)) return;
+    localStorage.removeItem(tripStorageKey(tripId));
+    const nextTrips = trips.filter((t) => t.id !== tripId);
+    setTrips(tripId === activeTripId ? leaveTrip(nextTrips) : nextTrips);
+  };
+
+  // --- AI 配置 ---
+  const llmConfig = resolveLLMConfig(apiConfig);
+  const llmProvider = LLM_PROVIDERS[apiConfig.provider];
+
+  const updateProviderConfig = (field, value) => {
+    setApiConfig((prev) => ({ ...prev, [prev.provider]: { ...prev[prev.provider], [field]: value } }));
+    setApiTestResult(null);
+  };
+
+  const updateUsageSetting = (field, value) => {
+    setApiConfig((prev) => ({ ...prev, usage: normalizeAiUsageSettings({ ...prev.usage, [field]: value }) }));
+  };
+
+  const aiUsageSummary = summarizeAiUsage(aiUsageLog);
+  const withLimit = (count, limit) => (limit ? `${count} / ${limit}` : count);
+
+  const testApiConnection = async () => {
+    if (!isLLMConfigured(llmConfig)) {
+      setApiTestResult({ ok: false, message: '请先填写完整的配置。' });
+      return;
+    }
+    setApiTestResult({ pending: true, message: '正在测试...' });
+    const startedAt = performance.now();
+    try {
+      const reply = await callLLM('请只回复 OK。', '你是连通性测试助手。', llmConfig, { cache: false });
+      const latency = Math.round(performance.now() - startedAt);
+      setApiTestResult(
+        reply
+          ? { ok: true, message: `连接成功 (${latency}ms)：${reply.slice(0, 40)}` }
+          : { ok: false, message: '连接成功，但没有解析到模型输出。' },
+      );
+    } catch (e) {
+      setApiTestResult({ ok: false, message: e.message || '连接失败' });
+    }
+  };
+
+  // --- 历史记录 ---
+  // 在修改 nodes / connections 之前调用，保存修改前的快照；带 coalesceKey 的连续修改只记录一次。
+  // 返回这次记录的快照 (被合并时为 null)，修改随后又被原样撤回时交给 discardHistoryEntry
+  const recordHistory = useCallback(
+    (coalesceKey = null) => {
+      const now = Date.now();
+      const last = lastHistoryEntryRef.current;
+      lastHistoryEntryRef.current = { key: coalesceKey, time: now };
+      if (coalesceKey && last.key === coalesceKey && now - last.time < HISTORY_COALESCE_MS) return null;
+      const entry = { nodes, connections, frames };
+      setHistory((h) => ({
+        past: [...h.past.slice(-(HISTORY_LIMIT - 1)), entry],
+        future: [],
+      }));
+      return entry;
+    },
+    [nodes, connections, frames],
+  );
+
+  // 删掉 recordHistory 记下的一步，避免取消或回滚后留下什么都不改的撤销步骤
+  const discardHistoryEntry = useCallback((entry) => {
+    if (!entry) return;
+    setHistory((h) => ({ ...h, past: h.past.filter((e) => e !== entry) }));
+    lastHistoryEntryRef.current = { key: null, time: 0 };
+  }, []);
+
+  const undo = useCallback(() => {
+    if (history.past.length === 0) return;
+    const previous = history.past[history.past.length - 1];
+    setHistory({ past: history.past.slice(0, -1), future: [{ nodes, connections, frames }, ...history.future] });
+    cancelAnimationFrame(layoutAnimationRef.current);
+    setNodes(previous.nodes);
+    setConnections(previous.connections);
+    setFrames(previous.frames);
+    lastHistoryEntryRef.current = { key: null, time: 0 };
+  }, [history, nodes, connections, frames]);
+
+  const redo = useCallback(() => {
+    if (history.future.length === 0) return;
+    const next = history.future[0];
+    setHistory({ past: [...history.past, { nodes, connections, frames }], future: history.future.slice(1) });
+    cancelAnimationFrame(layoutAnimationRef.current);
+    setNodes(next.nodes);
+    setConnections(next.connections);
+    setFrames(next.frames);
+    lastHistoryEntryRef.current = { key: null, time: 0 };
+  }, [history, nodes, connections, frames]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      // 设置弹窗等画布之外的输入框保留浏览器原生的撤销
+      const tag = e.target.tagName;
+      if ((tag === 'INPUT' || tag === 'TEXTAREA') && !e.target.closest('.canvas-bg')) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  // --- 画布分组 ---
+  const frameGroups = useMemo(
+    () =>
+      frames
+        .map((frame) => ({ frame, members: canvasNodes.filter((n) => n.frameId === frame.id) }))
+        .filter(({ members }) => members.length > 0)
+        .map(({ frame, members }) => ({
+          frame,
+          members,
+          bounds: frameBounds(members, heightOf),
+          cost: members.reduce((sum, n) => sum + costInCurrency(n.cost, homeCurrency, exchangeRates), 0),
+        })),
+    [frames, canvasNodes, heightOf, homeCurrency, exchangeRates],
+  );
+  // 折叠分组的成员不在画布上单独显示，连线改连到分组的摘要卡片
+  const collapsedFrameOf = useMemo(
+    () => new Map(frameGroups.filter((g) => g.frame.collapsed).flatMap((g) => g.members.map((n) => [n.id, g]))),
+    [frameGroups],
+  );
+
+  // --- 小地图 ---
+  const minimapProjection = useMemo(
+    () =>
+      fitMinimap(canvasNodes, frameGroups, collapsedFrameOf, heightOf, {
+        x: 0,
+        y: 0,
+        width: viewportSize.width,
+        height: viewportSize.height,
+      }),
+    [canvasNodes, frameGroups, collapsedFrameOf, heightOf, viewportSize],
+  );
+  // 当前视口在画布坐标系中的范围 (不含裁剪的保留范围)
+  const viewportCanvasRect = {
+    x: -canvasTransform.x / canvasTransform.scale,
+    y: -canvasTransform.y / canvasTransform.scale,
+    width: viewportSize.width / canvasTransform.scale,
+    height: viewportSize.height / canvasTransform.scale,
+  };
+  const [minimapGrab, setMinimapGrab] = useState(null); // 拖动视口框时，指针相对视口左上角的位置 (画布坐标)
+
+  const minimapPointOf = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left - minimapProjection.x) / minimapProjection.scale,
+      y: (e.clientY - rect.top - minimapProjection.y) / minimapProjection.scale,
+    };
+  };
+
+  // 平移画布，使 grab 对应的视口位置落在画布坐标 point 上
+  const panViewportTo = (point, grab) =>
+    setCanvasTransform((prev) => ({
+      ...prev,
+      x: -(point.x - grab.x) * prev.scale,
+      y: -(point.y - grab.y) * prev.scale,
+    }));
+
+  // 按住视口框拖动平移画布；点在框外时先把该处移到视口中央，之后同样可以继续拖动
+  const handleMinimapPointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const point = minimapPointOf(e);
+    const view = viewportCanvasRect;
+    const inside =
+      point.x >= view.x && point.x <= view.x + view.width && point.y >= view.y && point.y <= view.y + view.height;
+    const grab = inside ? { x: point.x - view.x, y: point.y - view.y } : { x: view.width / 2, y: view.height / 2 };
+    setMinimapGrab(grab);
+    panViewportTo(point, grab);
+  };
+
+  const handleMinimapPointerMove = (e) => {
+    if (minimapGrab) panViewportTo(minimapPointOf(e), minimapGrab);
+  };
+
+  // 指针在按下时被小地图捕获，拖出小地图范围也能继续跟踪；松开或取消时释放
+  const handleMinimapPointerUp = (e) => {
+    if (e.currentTarget.hasPointerCapture(e.pointerId)) e.currentTarget.releasePointerCapture(e.pointerId);
+    setMinimapGrab(null);
+  };
+
+  // 只渲染与视口相交的卡片
+  const visibleRect = visibleCanvasRect(canvasTransform, viewportSize);
+  const visibleNodes = canvasNodes.filter(
+    (n) =>
+      !collapsedFrameOf.has(n.id) && boxInView(visibleRect, n, { x: n.x + LAYOUT_NODE_WIDTH, y: n.y + heightOf(n) }),
+  );
+  const visibleNodesKey = visibleNodes.map((n) => n.id).join(',');
+  useEffect(() => {
+    if (viewMode !== 'canvas') return;
+    const observer = new ResizeObserver((entries) =>
+      setNodeHeights((prev) => {
+        const changed = entries
+          .map((entry) => [entry.target.dataset.nodeId, entry.target.offsetHeight])
+          .filter(([id, height]) => height > 0 && prev[id] !== height);
+        return changed.length > 0 ? { ...prev, ...Object.fromEntries(changed) } : prev;
+      }),
+    );
+    viewportRef.current?.querySelectorAll('[data-node-id]').forEach((el) => observer.observe(el));
+    return () => observer.disconnect();
+  }, [viewMode, visibleNodesKey]);
+
+  const createFrameFromSelection = () => {
+    const members = nodes.filter((n) => selection.includes(n.id));
+    if (members.length === 0) return;
+    const dates = [...new Set(members.map((n) => n.date))];
+    const colorIds = Object.keys(FRAME_COLORS);
+    const frame = {
+      id: `f-${Date.now()}`,
+      title: dates.length === 1 && dates[0] ? dates[0] : '新分组',
+      color: colorIds[frames.length % colorIds.length],
+      collapsed: false,
+    };
+    recordHistory();
+    setFrames((prev) => [...prev, frame]);
+    setNodes((prev) => prev.map((n) => (selection.includes(n.id) ? { ...n, frameId: frame.id } : n)));
+  };
+
+  const updateFrame = (id, fields, historyKey = null) => {
+    recordHistory(historyKey);
+    setFrames((prev) => prev.map((f) => (f.id === id ? { ...f, ...fields } : f)));
+  };
+
+  const toggleFrameCollapsed = (frame) => {
+    updateFrame(frame.id, { collapsed: !frame.collapsed });
+    if (!frame.collapsed) {
+      setSelection((prev) => prev.filter((id) => nodes.find((n) => n.id === id)?.frameId !== frame.id));
+    }
+  };
+
+  // 解散分组，成员节点保留在原位
+  const removeFrame = (id) => {
+    recordHistory();
+    setFrames((prev) => prev.filter((f) => f.id !== id));
+    setNodes((prev) => prev.map((n) => (n.frameId === id ? { ...n, frameId: null } : n)));
+  };
+
+  // --- 连线编辑 ---
+  const selectConnection = (id) => {
+    setSelectedConnectionId(id);
+    setSelection([]);
+  };
+
+  const updateConnection = (id, fields, historyKey = null) => {
+    recordHistory(historyKey);
+    setConnections((prev) => prev.map((c) => (c.id === id ? { ...c, ...fields } : c)));
+  };
+
+  const deleteConnection = useCallback(
+    (id) => {
+      recordHistory();
+      setConnections((prev) => prev.filter((c) => c.id !== id));
+      setSelectedConnectionId(null);
+    },
+    [recordHistory],
+  );
+
+  // --- 多选操作 ---
+  const deleteNodes = useCallback(
+    (ids) => {
+      if (ids.length === 0) return;
+      ids.forEach((id) => aiRequests[id]?.abort());
+      recordHistory();
+      setSelection((prev) => prev.filter((id) => !ids.includes(id)));
+      setNodes((prev) => prev.filter((n) => !ids.includes(n.id)));
+      setConnections((prev) => prev.filter((c) => !ids.includes(c.from) && !ids.includes(c.to)));
+    },
+    [aiRequests, recordHistory],
+  );
+
+  // 插入复制出来的节点组，并改为选中新节点
+  const insertNodeGroup = useCallback(
+    (group, offset) => {
+      const clone = cloneNodeGroup(group, offset);
+      recordHistory();
+      setNodes((prev) => [...prev, ...clone.nodes]);
+      setConnections((prev) => [...prev, ...clone.connections]);
+      setSelection(clone.nodes.map((n) => n.id));
+    },
+    [recordHistory],
+  );
+
+  const duplicateSelection = useCallback(() => {
+    if (selection.length === 0) return;
+    insertNodeGroup(pickNodeGroup(nodes, connections, selection), { x: DUPLICATE_OFFSET, y: DUPLICATE_OFFSET });
+  }, [nodes, connections, selection, insertNodeGroup]);
+
+  const copySelection = () => {
+    navigator.clipboard?.writeText(serializeClipboard(nodes, connections, selection)).catch(() => {});
+  };
+
+  // Delete 删除选中的节点或连线、Ctrl+D 创建副本、Esc 取消选择；复制 / 粘贴走浏览器的剪贴板事件，便于在行程之间粘贴
+  useEffect(() => {
+    if (viewMode !== 'canvas') return;
+    const isEditingText = (target) =>
+      target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+
+    const handleKeyDown = (e) => {
+      if (isEditingText(e.target)) return;
+      if (selectedConnectionId && connections.some((c) => c.id === selectedConnectionId)) {
+        if (e.key === 'Delete' || e.key === 'Backspace') {
+          e.preventDefault();
+          deleteConnection(selectedConnectionId);
+        } else if (e.key === 'Escape') {
+          setSelectedConnectionId(null);
+        }
+        return;
+      }
+      if (selection.length === 0) return;
+      if (e.key === 'Delete' || e.key === 'Backspace') {
+        e.preventDefault();
+        deleteNodes(selection);
+      } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'd') {
+        e.preventDefault();
+        duplicateSelection();
+      } else if (e.key === 'Escape') {
+        setSelection([]);
+      }
+    };
+
+    const handleCopy = (e) => {
+      if (isEditingText(e.target) || selection.length === 0 || window.getSelection()?.toString()) return;
+      e.preventDefault();
+      e.clipboardData.setData('text/plain', serializeClipboard(nodes, connections, selection));
+    };
+
+    // 粘贴到当前可见区域的中央
+    const handlePaste = (e) => {
+      if (isEditingText(e.target)) return;
+      const group = parseClipboard(e.clipboardData.getData('text/plain'));
+      if (!group) return;
+      e.preventDefault();
+      const rect = viewportRef.current.getBoundingClientRect();
+      const centerX = (rect.width / 2 - canvasTransform.x) / canvasTransform.scale;
+      const centerY = (rect.height / 2 - canvasTransform.y) / canvasTransform.scale;
+      insertNodeGroup(group, {
+        x: centerX - LAYOUT_NODE_WIDTH / 2 - Math.min(...group.nodes.map((n) => n.x)),
+        y: centerY - 100 - Math.min(...group.nodes.map((n) => n.y)),
+      });
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('copy', handleCopy);
+    window.addEventListener('paste', handlePaste);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('copy', handleCopy);
+      window.removeEventListener('paste', handlePaste);
+    };
+  }, [
+    viewMode,
+    selection,
+    selectedConnectionId,
+    nodes,
+    connections,
+    canvasTransform,
+    deleteNodes,
+    deleteConnection,
+    duplicateSelection,
+    insertNodeGroup,
+  ]);
+
+  // --- 核心逻辑 ---
+
+  const startConnection = (e, nodeId) => {
+    e.stopPropagation();
+    if (connectingSourceId === nodeId) {
+      setConnectingSourceId(null);
+    } else if (connectingSourceId) {
+      if (connectingSourceId !== nodeId) {
+        // 连线有方向，A→B 与 B→A (例如去程与返程) 是两段不同的交通
+        const exists = connections.some((c) => c.from === connectingSourceId && c.to === nodeId);
+        if (!exists) {
+          recordHistory();
+          setConnections([...connections, { id: `c-${Date.now()}`, from: connectingSourceId, to: nodeId }]);
+        }
+        setConnectingSourceId(null);
+      }
+    } else {
+      setConnectingSourceId(nodeId);
+    }
+  };
+
+  const beginAiRequest = (key) => {
+    const controller = new AbortController();
+    setAiRequests((prev) => ({ ...prev, [key]: controller }));
+    return controller;
+  };
+
+  const endAiRequest = (key) => {
+    setAiRequests((prev) => {
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+  };
+
+  const cancelAiRequest = (key) => aiRequests[key]?.abort();
+  // 请求期间切换了行程：此时 aiRequests 已清空，不再结束请求或写回结果
+  const switchedTripDuring = (controller) => controller.signal.reason === TRIP_SWITCH_ABORT;
+
+  // 每次 AI 调用都带上完整的行程背景与偏好，focusNodeId 为当前操作的节点
+  const tripContextFor = (focusNodeId = null) =>
+    buildTripContext({
+      nodes,
+      connections,
+      focusNodeId,
+      startDate: tripStartDate,
+      currency: homeCurrency,
+      rates: exchangeRates,
+      budget: tripBudget,
+      preferences: tripPreferences,
+    });
+
+  const updatePreference = (field, value) => {
+    updateActiveTrip({ preferences: { ...tripPreferences, [field]: value } });
+  };
+
+  const setAiError = (nodeId, message) => {
+    setAiErrors((prev) => {
+      const next = { ...prev };
+      if (message) next[nodeId] = message;
+      else delete next[nodeId];
+      return next;
+    });
+  };
+
+  // --- AI 功能 1: 智能填充 ---
+  // 第一步覆盖源节点，后续步骤依次向右追加并连线；整个扩展只记录一次历史，撤销时一次性还原
+  // write 可以反复调用 (流式输出时)，每次只写入新增的步骤；rollback 撤掉已写入的步骤和 write 记下的那步历史，
+  // 用于流式输出的一次尝试未通过校验 (重试前) 或最终失败时
+  const createPlanWriter = (sourceNode) => {
+    // 没有日期的节点默认排到行程开始日期 (未设置时取行程时区的今天)
+    const planDate = sourceNode.date || tripStartDate || todayInTimeZone(tripTimeZone);
+    const batchId = Date.now();
+    let appliedCount = 0;
+    let previousNodeId = sourceNode.id;
+    let historyEntry = null;
+    const addedIds = [];
+
+    const toNodeFields = (step) => ({
+      title: step.title,
+      type: step.type,
+      content: step.content || '',
+      cost: normalizeCost(step.cost, homeCurrency),
+      date: step.day > 1 ? addDays(planDate, Math.floor(step.day) - 1) : planDate,
+      image: `https://image.pollinations.ai/prompt/${encodeURIComponent(
+        step.image_keyword || 'travel',
+      )}?width=600&height=400&nologo=true&seed=${Math.random()}`,
+      weather: Math.floor(Math.random() * 3),
+    });
+
+    const write = (steps) => {
+      for (; appliedCount < steps.length; appliedCount++) {
+        const step = steps[appliedCount];
+        if (appliedCount === 0) {
+          if (!historyEntry) historyEntry = recordHistory();
+          setNodes((prev) => prev.map((n) => (n.id === sourceNode.id ? { ...n, ...toNodeFields(step) } : n)));
+          continue;
+        }
+        // 重试时编号接着上一次尝试，避免与已撤掉的节点 id 重复
+        const newNodeId = `${batchId}-${addedIds.length + 1}`;
+        const fromId = previousNodeId;
+        const newNode = cleanNode({
+          id: newNodeId,
+          x: sourceNode.x + appliedCount * 380,
+          y: sourceNode.y + (Math.random() * 60 - 30),
+          ...toNodeFields(step),
+        });
+        setNodes((prev) => [...prev, newNode]);
+        setConnections((prev) => [...prev, { id: `c-${newNodeId}`, from: fromId, to: newNodeId }]);
+        addedIds.push(newNodeId);
+        previousNodeId = newNodeId;
+      }
+    };
+
+    const rollback = () => {
+      if (appliedCount === 0) return;
+      const restored = Object.fromEntries(
+        ['title', 'type', 'content', 'cost', 'date', 'image', 'weather'].map((field) => [field, sourceNode[field]]),
+      );
+      const removed = new Set(addedIds);
+      setNodes((prev) =>
+        prev.filter((n) => !removed.has(n.id)).map((n) => (n.id === sourceNode.id ? { ...n, ...restored } : n)),
+      );
+      setConnections((prev) => prev.filter((c) => !removed.has(c.from) && !removed.has(c.to)));
+      discardHistoryEntry(historyEntry);
+      historyEntry = null;
+      appliedCount = 0;
+      previousNodeId = sourceNode.id;
+    };
+
+    return { write, rollback };
+  };
+
+  const planPromptFor = (node) => `行程背景:
+${tripContextFor(node.id)}
+
+    用户需求: "${node.content}".
+    请结合行程背景 (日期、住宿位置、剩余预算与偏好)，不要重复已有地点。
+    请分析这是单一地点的查询，还是一个包含多个步骤/地点的行程规划需求。
+    如果是行程规划（例如"北京三日游"、"先吃饭再看电影"、"去成都看熊猫吃火锅"），请将其拆分为多个具体的节点步骤（建议 2-5 个步骤）。
+    如果是单一查询（例如"故宫"、"附近的咖啡馆"），返回一个步骤即可。`;
+
+  // 流式输出中已完整且合法的数组项
+  const readyStreamedItems = (text, key, itemSchema) => {
+    const ready = [];
+    for (const item of extractStreamedArrayItems(text, key)) {
+      const checked = validateAgainstSchema(item, itemSchema);
+      if (checked.errors.length > 0) break;
+      ready.push(checked.value);
+    }
+    return ready;
+  };
+
+  const finishNodeLoading = (nodeId) => {
+    setLoadingNodes((prev) => {
+      const next = new Set(prev);
+      next.delete(nodeId);
+      return next;
+    });
+  };
+
+  const handleAIFill = async (nodeId) => {
+    const currentNode = nodes.find((n) => n.id === nodeId);
+    // 安全检查：使用 || '' 确保 trim 不会报错
+    if (!currentNode || !(currentNode.content || '').trim()) return;
+    if (aiPlanCount > 1) {
+      requestPlanAlternatives(currentNode);
+      return;
+    }
+
+    setLoadingNodes((prev) => new Set(prev).add(nodeId));
+    setAiError(nodeId, null);
+
+    const systemInstruction = `你是一个专业的旅行规划助手。
+    请严格以 JSON 格式返回结果，包含一个 "steps" 数组。
+    ${PLAN_STEP_GUIDE}`;
+
+    // 流式输出时每解析出一个完整且合法的步骤就落到画布上
+    const planWriter = createPlanWriter(currentNode);
+    const controller = beginAiRequest(nodeId);
+    const {
+      data: result,
+      error,
+      aborted,
+    } = await generateWithLLM(planPromptFor(currentNode), systemInstruction, MULTI_STEP_SCHEMA, llmConfig, {
+      signal: controller.signal,
+      onText: (text) => planWriter.write(readyStreamedItems(text, 'steps', PLAN_STEP_SCHEMA)),
+      onRetry: planWriter.rollback,
+    });
+    if (switchedTripDuring(controller)) return;
+    endAiRequest(nodeId);
+
+    if (result) {
+      planWriter.write(result.steps);
+    } else if (!aborted) {
+      // 失败的尝试不在画布上留下半截行程；主动取消时保留已写入的步骤
+      planWriter.rollback();
+      setAiError(nodeId, error);
+    }
+    finishNodeLoading(nodeId);
+  };
+
+  // 一次请求多套备选方案，在对比面板中选择或合并后才写入画布
+  const requestPlanAlternatives = async (sourceNode) => {
+    const nodeId = sourceNode.id;
+    setLoadingNodes((prev) => new Set(prev).add(nodeId));
+    setAiError(nodeId, null);
+    setPlanAlternatives({ nodeId, plans: [], selected: [], loading: true, error: null });
+
+    const prompt = `${planPromptFor(sourceNode)}
+    请给出 ${aiPlanCount} 套风格明显不同的备选方案 (例如经典路线、小众体验、省钱方案)。`;
+
+    const systemInstruction = `你是一个专业的旅行规划助手。
+    请严格以 JSON 格式返回结果，包含一个 "plans" 数组，每套方案包含 name (方案名)、summary (一句话特点) 和 steps 数组。
+    ${PLAN_STEP_GUIDE}`;
+
+    const updatePlans = (update) =>
+      setPlanAlternatives((prev) => (prev && prev.nodeId === nodeId ? { ...prev, ...update(prev) } : prev));
+
+    const controller = beginAiRequest(nodeId);
+    const {
+      data,
+      error,
+      aborted,
+    } = await generateWithLLM(prompt, systemInstruction, ALTERNATIVE_PLANS_SCHEMA, llmConfig, {
+      signal: controller.signal,
+      onText: (text) => {
+        const ready = readyStreamedItems(text, 'plans', PLAN_SCHEMA);
+        updatePlans((prev) => (ready.length > prev.plans.length ? { plans: ready } : {}));
+      },
+    });
+    if (switchedTripDuring(controller)) return;
+    endAiRequest(nodeId);
+
+    updatePlans(() => ({
+      loading: false,
+      error: data || aborted ? null : error,
+      ...(data ? { plans: data.plans } : {}),
+    }));
+    finishNodeLoading(nodeId);
+  };
+
+  const planStats = (steps) => {
+    const days = steps.map((step) => Math.max(1, Math.floor(step.day || 1)));
+    return {
+      count: steps.length,
+      cost: steps.reduce(
+        (sum, step) => sum + costInCurrency(normalizeCost(step.cost, homeCurrency), homeCurrency, exchangeRates),
+        0,
+      ),
+      days: steps.length > 0 ? Math.max(...days) - Math.min(...days) + 1 : 0,
+    };
+  };
+
+  const togglePlanStep = (key) => {
+    setPlanAlternatives((prev) => ({
+      ...prev,
+      selected: prev.selected.includes(key) ? prev.selected.filter((k) => k !== key) : [...prev.selected, key],
+    }));
+  };
+
+  // 合并时按天排序，同一天内保持勾选顺序
+  const selectedPlanSteps = planAlternatives
+    ? planAlternatives.selected
+        .map((key) => {
+          const [planIndex, stepIndex] = key.split(':').map(Number);
+          return planAlternatives.plans[planIndex]?.steps[stepIndex];
+        })
+        .filter(Boolean)
+        .sort((a, b) => (a.day || 1) - (b.day || 1))
+    : [];
+
+  const commitPlanSteps = (steps) => {
+    const sourceNode = nodes.find((n) => n.id === planAlternatives.nodeId);
+    if (sourceNode && steps.length > 0) createPlanWriter(sourceNode).write(steps);
+    setPlanAlternatives(null);
+  };
+
+  const closePlanAlternatives = () => {
+    if (planAlternatives.loading) cancelAiRequest(planAlternatives.nodeId);
+    setPlanAlternatives(null);
+  };
+
+  // --- AI 功能 2: 下一站推荐 ---
+  const generateNextStop = async (sourceNodeId) => {
+    const sourceNode = nodes.find((n) => n.id === sourceNodeId);
+    if (!sourceNode) return;
+
+    const newNodeId = Date.now().toString();
+    const newX = sourceNode.x + 380;
+    const newY = sourceNode.y + (Math.random() * 100 - 50);
+
+    const tempNode = cleanNode({
+      id: newNodeId,
+      x: newX,
+      y: newY,
+      type: 'note',
+      title: 'AI 思考中...',
+      content: '正在规划最佳路线...',
+      date: sourceNode.date,
+    });
+
+    const tempConnectionId = `c-${newNodeId}`;
+    const historyEntry = recordHistory();
+    setNodes((prev) => [...prev, tempNode]);
+    setConnections((prev) => [...prev, { id: tempConnectionId, from: sourceNodeId, to: newNodeId }]);
+    setLoadingNodes((prev) => new Set(prev).add(newNodeId));
+
+    const prompt = `行程背景:
+${tripContextFor(sourceNodeId)}
+
+    当前行程点是: "${sourceNode.title}" (${sourceNode.content})。
+    请推荐 **一个** 逻辑上合理的下一站。
+    要求：距离适中，顺路；不在已有地点中；花费不超过剩余预算；符合旅行偏好。`;
+
+    const systemInstruction = `你是一个资深导游。请以 JSON 格式返回 **一个** 推荐地点。
+    JSON 字段: title, content, cost, type (location/stay/transport), image_keyword (英文)。`;
+
+    const controller = beginAiRequest(newNodeId);
+    const {
+      data: result,
+      error,
+      aborted,
+    } = await generateWithLLM(prompt, systemInstruction, SINGLE_NODE_SCHEMA, llmConfig, {
+      signal: controller.signal,
+    });
+    if (switchedTripDuring(controller)) return;
+    endAiRequest(newNodeId);
+
+    if (aborted) {
+      // 取消时移除占位节点，连同添加它时记下的撤销步骤
+      discardHistoryEntry(historyEntry);
+      setNodes((prev) => prev.filter((n) => n.id !== newNodeId));
+      setConnections((prev) => prev.filter((c) => c.id !== tempConnectionId));
+    } else if (result) {
+      setNodes((prev) =>
+        prev.map((n) =>
+          n.id === newNodeId
+            ? {
+                ...n,
+                title: result.title,
+                type: result.type,
+                content: result.content || '',
+                cost: normalizeCost(result.cost, homeCurrency),
+                image: `https://image.pollinations.ai/prompt/${encodeURIComponent(
+                  result.image_keyword || 'travel',
+                )}?width=600&height=400&nologo=true&seed=${Math.random()}`,
+              }
+            : n,
+        ),
+      );
+    } else {
+      setNodes((prev) => prev.map((n) => (n.id === newNodeId ? { ...n, title: '生成失败', content: '' } : n)));
+      setAiError(newNodeId, error);
+    }
+
+    setLoadingNodes((prev) => {
+      const next = new Set(prev);
+      next.delete(newNodeId);
+      return next;
+    });
+  };
+
+  // --- AI 功能 3: 全局行程分析 ---
+  const analyzeTrip = async () => {
+    setFocusedFindingKey(null);
+    if (!isLLMConfigured(llmConfig)) {
+      setTripAnalysis({
+        summary: '',
+        findings: [],
+        error: `请先在设置中填写 ${llmProvider.label} 的 API Key / Model / Base URL。`,
+      });
+      return;
+    }
+
+    setIsAnalyzing(true);
+    setTripAnalysis({ summary: '', findings: [], error: null });
+
+    const prompt = `请检查以下旅游行程的问题 (时间冲突、路线绕远、超预算、遗漏住宿或交通、与偏好不符等)，最多 5 条。
+
+行程背景:
+${tripContextFor()}
+
+当前画布:
+${describeBoardForPrompt(nodes, connections)}`;
+
+    const systemInstruction = `你是旅游规划顾问。请以 JSON 返回:
+    summary: 一句话总体评价
+    findings: 问题列表，每项包含 severity (high/medium/low)、title (简短标题)、detail (说明)、nodeIds (相关节点 id)，
+    以及可选的 fix: { description, operations }，只有能给出具体修改时才提供。
+    ${PLAN_OPERATIONS_GUIDE}`;
+
+    const toFindings = (items) => items.map((finding, index) => ({ ...finding, key: index, applied: false }));
+
+    // 每解析出一条完整的发现就显示出来
+    const onText = (text) => {
+      const ready = [];
+      for (const item of extractStreamedArrayItems(text, 'findings')) {
+        const checked = validateAgainstSchema(item, FINDING_SCHEMA);
+        if (checked.errors.length > 0) break;
+        ready.push(checked.value);
+      }
+      setTripAnalysis((prev) =>
+        prev && ready.length > prev.findings.length ? { ...prev, findings: toFindings(ready) } : prev,
+      );
+    };
+
+    const controller = beginAiRequest('analysis');
+    const { data, error, aborted } = await generateWithLLM(prompt, systemInstruction, TRIP_ANALYSIS_SCHEMA, llmConfig, {
+      signal: controller.signal,
+      onText,
+    });
+    if (switchedTripDuring(controller)) return;
+    endAiRequest('analysis');
+    setIsAnalyzing(false);
+
+    if (data) {
+      setTripAnalysis({ summary: data.summary || '', findings: toFindings(data.findings), error: null });
+    } else {
+      // 取消时保留已经显示的发现
+      setTripAnalysis((prev) => ({ ...prev, error: aborted ? '已停止分析。' : error }));
+    }
+  };
+
+  const applyFindingFix = (finding) => {
+    const message = {
+      id: `analysis-${finding.key}`,
+      operations: finding.fix.operations.filter(isPlanOperationComplete).map((op, index) => ({
+        ...op,
+        key: index,
+        status: 'pending',
+      })),
+      createdIds: {},
+    };
+    const { accepted } = applyPlanOperations(message, message.operations.map((op) => op.key));
+    if (accepted.size === 0) return;
+    setTripAnalysis((prev) => ({
+      ...prev,
+      findings: prev.findings.map((f) => (f.key === finding.key ? { ...f, applied: true } : f)),
+    }));
+  };
+
+  // 节点 id -> 涉及它的分析发现 (按严重程度排序)
+  const findingsByNode = useMemo(() => {
+    const byNode = new Map();
+    (tripAnalysis?.findings || []).forEach((finding) => {
+      (finding.nodeIds || []).forEach((id) => {
+        byNode.set(id, [...(byNode.get(id) || []), finding]);
+      });
+    });
+    const severityOrder = Object.keys(FINDING_SEVERITIES);
+    byNode.forEach((list) =>
+      list.sort((a, b) => severityOrder.indexOf(a.severity) - severityOrder.indexOf(b.severity)),
+    );
+    return byNode;
+  }, [tripAnalysis]);
+
+  const focusFinding = (finding) => {
+    const isSame = focusedFindingKey === finding.key;
+    setFocusedFindingKey(isSame ? null : finding.key);
+    const target = !isSame && nodes.find((n) => finding.nodeIds?.includes(n.id));
+    if (!target) return;
+    setSelectedNodeId(target.id);
+    if (viewMode === 'canvas') {
+      setCanvasTransform((prev) => ({
+        ...prev,
+        x: viewportSize.width / 2 - (target.x + 140) * prev.scale,
+        y: viewportSize.height / 2 - (target.y + 120) * prev.scale,
+      }));
+    }
+  };
+
+  // --- 画布交互逻辑 ---
+  const handleWheel = (e) => {
+    if (e.ctrlKey || e.metaKey) {
+      e.preventDefault();
+      const zoomSpeed = 0.001;
+      const newScale = Math.min(Math.max(canvasTransform.scale - e.deltaY * zoomSpeed, 0.2), 3);
+      setCanvasTransform((prev) => ({ ...prev, scale: newScale }));
+    } else {
+      setCanvasTransform((prev) => ({ ...prev, x: prev.x - e.deltaX, y: prev.y - e.deltaY }));
+    }
+  };
+
+  const handleMouseDown = (e) => {
+    if (e.target === viewportRef.current || e.target.closest('.canvas-bg')) {
+      setConnectingSourceId(null);
+    }
+    setSelectedConnectionId(null);
+    const onNode = e.target.closest('[data-node-id]');
+    if (!onNode && !e.shiftKey) setSelection([]);
+    if (e.button === 1 || (e.button === 0 && e.altKey)) {
+      setIsPanning(true);
+      setLastMousePos({ x: e.clientX, y: e.clientY });
+    } else if (e.button === 0 && !onNode) {
+      // 在空白处按住左键拖出选框，按住 Shift 时追加到已有选择
+      const rect = viewportRef.current.getBoundingClientRect();
+      const point = {
+        x: (e.clientX - rect.left - canvasTransform.x) / canvasTransform.scale,
+        y: (e.clientY - rect.top - canvasTransform.y) / canvasTransform.scale,
+      };
+      setSelectionBox({ start: point, end: point, additive: e.shiftKey });
+    }
+  };
+
+  // Shift 点击切换选中；点到已选中的节点时保留整组选择，便于一起拖动
+  const selectNode = (id, additive) => {
+    setSelectedConnectionId(null);
+    setSelection((prev) => {
+      if (additive) return prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id];
+      return prev.includes(id) ? [...prev.filter((x) => x !== id), id] : [id];
+    });
+  };
+
+  const handleMouseMove = useCallback(
+    (e) => {
+      if (isPanning) {
+        const dx = e.clientX - lastMousePos.x;
+        const dy = e.clientY - lastMousePos.y;
+        setCanvasTransform((prev) => ({ ...prev, x: prev.x + dx, y: prev.y + dy }));
+        setLastMousePos({ x: e.clientX, y: e.clientY });
+      }
+
+      if (!draggedNodeId && !selectionBox) return;
+      const rect = viewportRef.current.getBoundingClientRect();
+      const canvasX = (e.clientX - rect.left - canvasTransform.x) / canvasTransform.scale;
+      const canvasY = (e.clientY - rect.top - canvasTransform.y) / canvasTransform.scale;
+
+      if (selectionBox) {
+        setSelectionBox((prev) => prev && { ...prev, end: { x: canvasX, y: canvasY } });
+      }
+
+      const drag = dragStateRef.current;
+      if (draggedNodeId && drag) {
+        // 一次拖拽只记录一步历史
+        if (!dragRecordedRef.current) {
+          recordHistory();
+          dragRecordedRef.current = true;
+        }
+        // 被拖动的节点 (多选或整个分组) 按指针位移整体平移，松开鼠标时再写回
+        setDragPreview({ origins: drag.origins, dx: canvasX - drag.pointer.x, dy: canvasY - drag.pointer.y });
+      }
+    },
+    [isPanning, draggedNodeId, selectionBox, lastMousePos, canvasTransform, recordHistory],
+  );
+
+  // dragId 为节点或分组的 id，ids 为一起移动的节点
+  const startDrag = (e, dragId, ids) => {
+    const rect = viewportRef.current.getBoundingClientRect();
+    dragStateRef.current = {
+      pointer: {
+        x: (e.clientX - rect.left - canvasTransform.x) / canvasTransform.scale,
+        y: (e.clientY - rect.top - canvasTransform.y) / canvasTransform.scale,
+      },
+      origins: new Map(nodes.filter((n) => ids.includes(n.id)).map((n) => [n.id, { x: n.x, y: n.y }])),
+    };
+    setDraggedNodeId(dragId);
+  };
+
+  const handleMouseUp = () => {
+    // 写回拖动位移；拖动卡片 (而不是整个分组) 结束时，按落点加入或移出分组
+    if (dragPreview) {
+      const { origins, dx, dy } = dragPreview;
+      const isFrameDrag = frames.some((f) => f.id === draggedNodeId);
+      setNodes((prev) => {
+        const moved = offsetNodes(prev, origins, dx, dy);
+        return isFrameDrag ? moved : assignFrames(moved, origins, frames, heightOf);
+      });
+      setDragPreview(null);
+    }
+    setIsPanning(false);
+    setDraggedNodeId(null);
+    dragRecordedRef.current = false;
+    if (selectionBox) {
+      const picked = nodesInBox(
+        nodes.filter((n) => !collapsedFrameOf.has(n.id)),
+        selectionBox,
+        heightOf,
+      ).map((n) => n.id);
+      setSelection((prev) =>
+        selectionBox.additive ? [...prev.filter((id) => !picked.includes(id)), ...picked] : picked,
+      );
+      setSelectionBox(null);
+    }
+  };
+
+  const addNewNode = (type) => {
+    const newNode = cleanNode({
+      id: Date.now().toString(),
+      x: (-canvasTransform.x + viewportSize.width / 2) / canvasTransform.scale - 140,
+      y: (-canvasTransform.y + viewportSize.height / 2) / canvasTransform.scale - 100,
+      type,
+      title: '未定行程',
+    });
+    recordHistory();
+    setNodes([...nodes, newNode]);
+  };
+
+  // --- 自动布局 ---
+  // 整理整块画布：先记一步历史 (可一键撤销)，再用动画把卡片移到新位置，连线随之移动
+  const applyAutoLayout = (layoutId) => {
+    if (nodes.length === 0) return;
+    const origin = { x: Math.min(...nodes.map((n) => n.x)), y: Math.min(...nodes.map((n) => n.y)) };
+    const targets = AUTO_LAYOUTS[layoutId].arrange(nodes, connections, origin, heightOf);
+    const starts = new Map(nodes.map((n) => [n.id, { x: n.x, y: n.y }]));
+    recordHistory();
+    cancelAnimationFrame(layoutAnimationRef.current);
+    const startedAt = performance.now();
+    const step = (now) => {
+      const t = Math.min(1, (now - startedAt) / LAYOUT_ANIMATION_MS);
+      const eased = 1 - (1 - t) ** 3;
+      setNodes((prev) =>
+        prev.map((node) => {
+          const from = starts.get(node.id);
+          const to = targets.get(node.id);
+          if (!from || !to) return node;
+          return { ...node, x: from.x + (to.x - from.x) * eased, y: from.y + (to.y - from.y) * eased };
+        }),
+      );
+      layoutAnimationRef.current = t < 1 ? requestAnimationFrame(step) : null;
+    };
+    layoutAnimationRef.current = requestAnimationFrame(step);
+  };
+
+  const deleteNode = (id, historyKey = null) => {
+    cancelAiRequest(id);
+    recordHistory(historyKey);
+    setSelection((prev) => prev.filter((x) => x !== id));
+    setNodes((prev) => prev.filter((n) => n.id !== id));
+    setConnections((prev) => prev.filter((c) => c.from !== id && c.to !== id));
+  };
+
+  const setNodeCoords = (id, lat, lng) => {
+    recordHistory(`${id}:coords`);
+    setNodes((prev) => prev.map((n) => (n.id === id ? { ...n, lat, lng } : n)));
+  };
+
+  // 用当前选择的地理编码器，根据标题 (或内容) 解析节点坐标
+  const geocodeNode = async (id) => {
+    const node = nodes.find((n) => n.id === id);
+    if (!node) return;
+    const query = node.title.trim() || node.content.trim();
+    if (!query) return;
+
+    setLoadingNodes((prev) => new Set(prev).add(id));
+    try {
+      const place = await GEOCODERS[geocoderId].geocode(query);
+      if (place && isValidLatLng(place.lat, place.lng)) {
+        setNodeCoords(id, place.lat, place.lng);
+      } else {
+        window.alert(`未找到「${query}」的坐标，请手动填写经纬度。`);
+      }
+    } catch (e) {
+      console.error('Geocoding Failed:', e);
+      window.alert('地理编码服务暂时不可用，请手动填写经纬度。');
+    } finally {
+      setLoadingNodes((prev) => {
+        const next = new Set(prev);
+        next.delete(id);
+        return next;
+      });
+    }
+  };
+
+  // 时间线拖拽：更新日期与时段，并把节点接到新位置的前后节点之间，让画布连线与时间线顺序一致
+  const moveNodeInTimeline = (nodeId, date, slot) => {
+    const node = nodes.find((n) => n.id === nodeId);
+    if (!node) return;
+    let time = node.time;
+    if (!slot) time = '';
+    else if (timeSlotOf(time)?.id !== slot.id) time = slot.start;
+    if (node.date === date && node.time === time) return;
+
+    const nextNodes = nodes.map((n) => (n.id === nodeId ? { ...n, date, time } : n));
+    const order = nextNodes.filter((n) => n.date).sort(compareItinerary);
+    const index = order.findIndex((n) => n.id === nodeId);
+    const prevId = index > 0 ? order[index - 1].id : null;
+    const nextId = index !== -1 && index < order.length - 1 ? order[index + 1].id : null;
+
+    recordHistory();
+    setNodes(nextNodes);
+    setConnections(relinkNodeInChain(connections, nodeId, prevId, nextId));
+  };
+
+  // 修改时长 = 按开始时间推算结束日期与时间
+  const updateNodeDuration = (id, minutes) => {
+    const node = nodes.find((n) => n.id === id);
+    const start = node && nodeStartStamp(node);
+    if (start === null || start === undefined || !Number.isFinite(minutes) || minutes < 0) return;
+    const end = fromMinuteStamp(start + minutes);
+    recordHistory(`${id}:duration`);
+    setNodes((prev) => prev.map((n) => (n.id === id ? { ...n, endDate: end.date, endTime: end.time } : n)));
+  };
+
+  const updateNode = (id, field, value) => patchNode(id, { [field]: value }, `${id}:${field}`);
+
+  const patchNode = (id, fields, historyKey) => {
+    recordHistory(historyKey);
+    setNodes((prev) => prev.map((n) => (n.id === id ? { ...n, ...fields } : n)));
+  };
+
+  // --- AI 对话规划 ---
+  const updateChatMessage = (messageId, update) => {
+    setChatMessages((prev) => prev.map((m) => (m.id === messageId ? update(m) : m)));
+  };
+
+  const sendChatMessage = async () => {
+    const text = chatDraft.trim();
+    if (!text || aiRequests.chat) return;
+
+    const userMessage = { id: `m-${Date.now()}`, role: 'user', text };
+    const conversation = [...chatMessages, userMessage];
+    setChatMessages(conversation);
+    setChatDraft('');
+
+    const prompt = `行程背景:
+${tripContextFor()}
+
+当前画布:
+${describeBoardForPrompt(nodes, connections)}
+
+对话记录:
+${conversation
+  .slice(-8)
+  .map((m) => `${m.role === 'user' ? '用户' : '助手'}: ${m.text}`)
+  .join('\n')}
+
+请根据用户最后一条消息给出修改操作。`;
+
+    const systemInstruction = `你是旅行规划助手，通过结构化操作修改用户的行程画布。
+    reply: 用中文简短说明你做了什么。
+    ${PLAN_OPERATIONS_GUIDE}
+    不需要修改时 operations 为空数组。`;
+
+    const controller = beginAiRequest('chat');
+    const { data, error, aborted } = await generateWithLLM(
+      prompt,
+      systemInstruction,
+      PLAN_OPERATIONS_SCHEMA,
+      llmConfig,
+      { signal: controller.signal },
+    );
+    if (switchedTripDuring(controller)) return;
+    endAiRequest('chat');
+
+    setChatMessages((prev) => [
+      ...prev,
+      {
+        id: `m-${Date.now()}`,
+        role: 'assistant',
+        text: data?.reply || (aborted ? '已取消。' : ''),
+        error: aborted ? null : error,
+        operations: (data?.operations || [])
+          .filter(isPlanOperationComplete)
+          .map((op, index) => ({ ...op, key: index, status: 'pending' })),
+        createdIds: {},
+      },
+    ]);
+  };
+
+  const planNodeLabel = (message, ref) => {
+    const id = resolvePlanRef(ref, message.createdIds);
+    if (id) return nodes.find((n) => n.id === id)?.title || '未命名';
+    return message.operations.find((o) => o.op === 'add' && o.ref === ref)?.fields.title || ref;
+  };
+
+  // 新增节点的 ref 在接受后映射为真实 id
+  const resolvePlanRef = (ref, createdIds) => createdIds[ref] || (nodes.some((n) => n.id === ref) ? ref : null);
+
+  const planOperationBlocker = (message, op) => {
+    if (op.op === 'update' || op.op === 'delete') {
+      return nodes.some((n) => n.id === op.id) ? null : '节点已不存在';
+    }
+    if (op.op === 'connect') {
+      const from = resolvePlanRef(op.from, message.createdIds);
+      const to = resolvePlanRef(op.to, message.createdIds);
+      return from && to ? null : '需先接受相关的新增节点';
+    }
+    return null;
+  };
+
+  // 通过与 updateNode / deleteNode 相同的状态更新应用一个操作；同一条消息的操作合并为一步撤销
+  // batchNodes：本次一起采纳时已新建的节点 (id → 节点)，此时还不在 nodes 中，供后续新增节点定位
+  const applyPlanOperation = (message, op, createdIds, batchNodes) => {
+    const historyKey = `chat:${message.id}`;
+    if (op.op === 'add') {
+      const anchor = message.operations.find((o) => o.op === 'connect' && o.to === op.ref);
+      const anchorId = anchor && resolvePlanRef(anchor.from, createdIds);
+      const anchorNode = anchorId && (batchNodes.get(anchorId) || nodes.find((n) => n.id === anchorId));
+      const newNode = cleanNode({
+        id: `${Date.now()}-${op.key}`,
+        x: anchorNode
+          ? anchorNode.x + 380
+          : (-canvasTransform.x + viewportSize.width / 2) / canvasTransform.scale - 140 + op.key * 40,
+        y: anchorNode ? anchorNode.y : (-canvasTransform.y + viewportSize.height / 2) / canvasTransform.scale - 100,
+        type: 'location',
+        ...planFieldsToNode(op.fields, homeCurrency),
+      });
+      recordHistory(historyKey);
+      setNodes((prev) => [...prev, newNode]);
+      batchNodes.set(newNode.id, newNode);
+      return op.ref ? { [op.ref]: newNode.id } : {};
+    }
+    if (op.op === 'update') patchNode(op.id, planFieldsToNode(op.fields, homeCurrency), historyKey);
+    if (op.op === 'delete') deleteNode(op.id, historyKey);
+    if (op.op === 'connect') {
+      const from = resolvePlanRef(op.from, createdIds);
+      const to = resolvePlanRef(op.to, createdIds);
+      recordHistory(historyKey);
+      setConnections((prev) =>
+        prev.some((c) => c.from === from && c.to === to)
+          ? prev
+          : [...prev, { id: `c-${Date.now()}-${op.key}`, from, to }],
+      );
+    }
+    return {};
+  };
+
+  const applyPlanOperations = (message, keys) => {
+    let createdIds = message.createdIds;
+    const accepted = new Set();
+    const batchNodes = new Map();
+    message.operations
+      .filter((op) => keys.includes(op.key) && op.status === 'pending')
+      .forEach((op) => {
+        if (op.op === 'connect' && !(resolvePlanRef(op.from, createdIds) && resolvePlanRef(op.to, createdIds))) return;
+        if ((op.op === 'update' || op.op === 'delete') && !nodes.some((n) => n.id === op.id)) return;
+        createdIds = { ...createdIds, ...applyPlanOperation(message, op, createdIds, batchNodes) };
+        accepted.add(op.key);
+      });
+    return { createdIds, accepted };
+  };
+
+  const acceptPlanOperations = (message, keys) => {
+    const { createdIds, accepted } = applyPlanOperations(message, keys);
+    updateChatMessage(message.id, (m) => ({
+      ...m,
+      createdIds,
+      operations: m.operations.map((op) => (accepted.has(op.key) ? { ...op, status: 'accepted' } : op)),
+    }));
+  };
+
+  const rejectPlanOperations = (messageId, keys) => {
+    updateChatMessage(messageId, (m) => ({
+      ...m,
+      operations: m.operations.map((op) =>
+        keys.includes(op.key) && op.status === 'pending' ? { ...op, status: 'rejected' } : op,
+      ),
+    }));
+  };
+
+  // --- 辅助计算 ---
+  const { roadbookData, roadbookDays, budgetStats, totalCost } = useMemo(() => {
+    const sorted = [...nodes].sort(compareItinerary);
+
+    const stats = { play: 0, stay: 0, transport: 0, other: 0 };
+    let total = 0;
+
+    nodes.forEach((n) => {
+      // 统一换算为行程本币
+      const val = costInCurrency(n.cost, homeCurrency, exchangeRates);
+
+      total += val;
+
+      const typeKey = (n.type || 'note').toUpperCase();
+      const nodeTypeConfig = NODE_TYPES[typeKey] || NODE_TYPES.NOTE;
+
+      const cat = nodeTypeConfig.category;
+      if (stats[cat] !== undefined) stats[cat] += val;
+      else stats.other += val;
+    });
+
+    // 按日期分组，供打印路书逐日分节，同时累计每日花费
+    const days = [];
+    sorted.forEach((n) => {
+      const last = days[days.length - 1];
+      const val = costInCurrency(n.cost, homeCurrency, exchangeRates);
+      if (last && last.date === (n.date || '')) {
+        last.nodes.push(n);
+        last.total += val;
+      } else {
+        days.push({ date: n.date || '', nodes: [n], total: val });
+      }
+    });
+
+    // 连线上的交通费用计入交通类别，并算在出发节点所在的那一天
+    const nodeById = new Map(nodes.map((n) => [n.id, n]));
+    connections.forEach((c) => {
+      const val = costInCurrency(c.cost, homeCurrency, exchangeRates);
+      if (!val || !nodeById.has(c.from)) return;
+      total += val;
+      stats.transport += val;
+      const day = days.find((d) => d.date === (nodeById.get(c.from).date || ''));
+      if (day) day.total += val;
+    });
+
+    return { roadbookData: sorted, roadbookDays: days, budgetStats: stats, totalCost: total };
+  }, [nodes, connections, homeCurrency, exchangeRates]);
+
+  // 超支金额：类别与每日预算都按本币比较，未设置预算的不计算
+  const categoryOverspend = Object.fromEntries(
+    ['play', 'stay', 'transport', 'other'].map((cat) => [
+      cat,
+      tripBudget[cat] !== null ? Math.max(0, budgetStats[cat] - tripBudget[cat]) : 0,
+    ]),
+  );
+  const totalOverspend = tripBudget.total !== null ? Math.max(0, totalCost - tripBudget.total) : 0;
+
+  const settlement = useMemo(
+    () => computeSettlement(nodes, connections, travellers, homeCurrency, exchangeRates),
+    [nodes, connections, travellers, homeCurrency, exchangeRates],
+  );
+
+  const addTraveller = () => {
+    const name = newTravellerName.trim();
+    if (!name) return;
+    updateActiveTrip({ travellers: [...travellers, { id: `p-${Date.now()}`, name }] });
+    setNewTravellerName('');
+  };
+
+  const removeTraveller = (id) => {
+    updateActiveTrip({ travellers: travellers.filter((t) => t.id !== id) });
+  };
+
+  const exportSettlementCsv = () => {
+    // 加 BOM，Excel 打开中文不乱码
+    downloadFile(
+      `${activeTrip?.name || '行程'}-费用结算.csv`,
+      `\uFEFF${settlementToCsv(settlement, homeCurrency)}`,
+      'text/csv;charset=utf-8',
+    );
+  };
+
+  const updateBudget = (field, value) => {
+    updateActiveTrip({ budget: normalizeBudget({ ...tripBudget, [field]: value === '' ? null : Number(value) }) });
+  };
+
+  // 画布卡片的操作经 ref 转发到最新的处理函数，cardActions 本身引用不变，NodeCard 的 memo 才能生效
+  const cardHandlersRef = useRef(null);
+  useEffect(() => {
+    cardHandlersRef.current = {
+      selectNode,
+      startDrag: (e, id) => startDrag(e, id, selection.includes(id) ? selection : [id]),
+      updateNode,
+      updateNodeDuration,
+      setNodeCoords,
+      geocodeNode,
+      startConnection,
+      deleteNode,
+      handleAIFill,
+      cancelAiRequest,
+      setAiError,
+      focusFinding,
+      generateNextStop,
+    };
+  });
+  const cardActions = useMemo(() => {
+    const forward =
+      (name) =>
+      (...args) =>
+        cardHandlersRef.current[name](...args);
+    return Object.fromEntries(
+      [
+        'selectNode',
+        'startDrag',
+        'updateNode',
+        'updateNodeDuration',
+        'setNodeCoords',
+        'geocodeNode',
+        'startConnection',
+        'deleteNode',
+        'handleAIFill',
+        'cancelAiRequest',
+        'setAiError',
+        'focusFinding',
+        'generateNextStop',
+      ].map((name) => [name, forward(name)]),
+    );
+  }, []);
+
+  const selectedNode = nodeById.get(selectedNodeId);
+  const selectedConnection = connections.find((c) => c.id === selectedConnectionId);
+  const selectedConnectionEnds = selectedConnection && {
+    from: nodeById.get(selectedConnection.from),
+    to: nodeById.get(selectedConnection.to),
+  };
+  const selectedConnectionInfo =
+    selectedConnectionEnds?.from &&
+    selectedConnectionEnds.to &&
+    describeConnection(selectedConnection, selectedConnectionEnds.from, selectedConnectionEnds.to);
+
+  const scheduleWarnings = useMemo(
+    () => validateSchedule(nodes, connections, tripStartDate),
+    [nodes, connections, tripStartDate],
+  );
+
+  // 切回画布时把选中的节点移到视口中央，两个视图看到的是同一个节点
+  const showCanvasView = () => {
+    setViewMode('canvas');
+    if (!selectedNode) return;
+    setCanvasTransform((prev) => ({
+      ...prev,
+      x: viewportSize.width / 2 - (selectedNode.x + 140) * prev.scale,
+      y: viewportSize.height / 2 - (selectedNode.y + 120) * prev.scale,
+    }));
+  };
+
+  const datedDays = roadbookDays.filter((d) => d.date);
+
+  // 路书侧边栏按分组分节，分组按第一个节点的行程顺序排列；没有分组时保持单一列表
+  const groupedNodeIds = new Set(frameGroups.flatMap((g) => g.members.map((n) => n.id)));
+  const roadbookSections = [
+    ...frameGroups
+      .map((group) => ({
+        key: group.frame.id,
+        group,
+        nodes: roadbookData.filter((n) => n.frameId === group.frame.id),
+      }))
+      .sort((a, b) => roadbookData.indexOf(a.nodes[0]) - roadbookData.indexOf(b.nodes[0])),
+    { key: 'ungrouped', group: null, nodes: roadbookData.filter((n) => !groupedNodeIds.has(n.id)) },
+  ].filter((section) => section.nodes.length > 0);
+
+  // --- 路线优化 ---
+  // 对一组站点 (某一天) 求解新顺序，先展示前后对比，确认后再改写连线
+  const openRouteOptimiser = (stopIds, label, metric = 'distance') => {
+    const stops = nodes.filter((n) => stopIds.includes(n.id) && n.type !== 'note');
+    const missing = stops.filter((n) => !isValidLatLng(n.lat, n.lng));
+    if (stops.length < 3 || missing.length > 0) {
+      setRouteOptimisation({
+        label,
+        before: [],
+        after: [],
+        metric,
+        error:
+          missing.length > 0
+            ? `以下站点还没有坐标，请先定位：${missing.map((n) => n.title || '未命名').join('、')}`
+            : '至少需要 3 个站点才能优化路线。',
+      });
+      return;
+    }
+    const before = orderStopsByConnections(stops, connections);
+    setRouteOptimisation({ label, before, after: optimiseRoute(before, metric), metric, error: null });
+  };
+
+  const openDayRouteOptimiser = (date) => {
+    const dayIndex = datedDays.findIndex((d) => d.date === date);
+    openRouteOptimiser(
+      nodes.filter((n) => n.date === date).map((n) => n.id),
+      `第 ${dayIndex + 1} 天 · ${date}`,
+    );
+  };
+
+  const changeRouteMetric = (metric) => {
+    setRouteOptimisation((prev) => ({ ...prev, metric, after: optimiseRoute(prev.before, metric) }));
+  };
+
+  const routeSavingsText = (() => {
+    if (!routeOptimisation || routeOptimisation.error) return '';
+    const before = routeTotals(routeOptimisation.before);
+    const after = routeTotals(routeOptimisation.after);
+    const saved =
+      routeOptimisation.metric === 'time' ? before.minutes - after.minutes > 0 : before.km - after.km > 0.05;
+    if (!saved) return '当前顺序已经是最优。';
+    return `距离 ${before.km.toFixed(1)} → ${after.km.toFixed(1)} km · 时间 ${formatDuration(before.minutes)} → ${formatDuration(after.minutes)}`;
+  })();
+
+  const applyRouteOptimisation = () => {
+    recordHistory();
+    setConnections((prev) => rewireRoute(prev, routeOptimisation.after));
+    setRouteOptimisation(null);
+  };
+
+  const printRoadbook = () => {
+    window.print();
+  };
+
+  return (
+    <>
+      <div className="relative h-screen w-full overflow-hidden bg-slate-50 font-sans text-slate-900 selection:bg-red-100 print:hidden">
+        {/* 顶部工具栏 */}
+        <header className="absolute left-1/2 top-6 z-50 flex -translate-x-1/2 items-center gap-2 rounded-2xl border border-white/50 bg-white/90 px-4 py-2 shadow-xl backdrop-blur-md transition-all hover:shadow-2xl">
+          <h1 className="mr-4 bg-gradient-to-r from-red-600 to-orange-600 bg-clip-text text-lg font-bold text-transparent">VoyageBoard</h1>
+          {/* 行程切换器 */}
+          <div className="relative">
+            <button
+              onClick={() => setTripMenuOpen((open) => !open)}
+              className="flex max-w-[180px] items-center gap-1.5 rounded-lg px-2.5 py-1.5 text-sm font-medium text-slate-700 transition-colors hover:bg-slate-100"
+            >
+              <FolderOpen size={16} className="shrink-0 text-slate-400" />
+              <span className="truncate">{activeTrip?.name || '未命名行程'}</span>
+              <ChevronDown size={14} className="shrink-0 text-slate-400" />
+            </button>
+
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".json,application/json"
+              onChange={handleImportFile}
+              className="hidden"
+            />
+
+            {tripMenuOpen && (
+              <div className="absolute left-0 top-full mt-2 w-72 overflow-hidden rounded-xl border border-slate-100 bg-white shadow-2xl">
+                <div className="max-h-80 overflow-y-auto py-1">
+                  {trips
+                    .filter((t) => showArchivedTrips || !t.archived)
+                    .map((trip) => (
+                      <div
+                        key={trip.id}
+                        className={`group/trip flex items-center gap-1 px-2 py-1.5 text-sm ${trip.id === activeTripId ? 'bg-red-50' : 'hover:bg-slate-50'}`}
+                      >
+                        {renamingTripId === trip.id ? (
+                          <input
+                            autoFocus
+                            value={renameDraft}
+                            onChange={(e) => setRenameDraft(e.target.value)}
+                            onBlur={commitRenameTrip}
+                            onKeyDown={(e) => {
+                              if (e.key === 'Enter') commitRenameTrip();
+                              if (e.key === 'Escape') setRenamingTripId(null);
+                            }}
+                            className="min-w-0 flex-1 rounded-md border border-red-200 px-2 py-1 text-sm outline-none"
+                          />
+                        ) : (
+                          <button
+                            onClick={() => switchTrip(trip.id)}
+                            className={`min-w-0 flex-1 truncate px-2 py-1 text-left ${trip.archived ? 'text-slate-400 line-through' : 'text-slate-700'}`}
+                          >
+                            {trip.id === activeTripId && <Check size={12} className="mr-1 inline text-red-600" />}
+                            {trip.name}
+                          </button>
+                        )}
+                        <div className="flex shrink-0 gap-0.5 opacity-0 transition-opacity group-hover/trip:opacity-100">
+                          <button
+                            onClick={() => startRenameTrip(trip)}
+                            title="重命名"
+                            className="rounded p-1 text-slate-400 hover:bg-slate-100 hover:text-slate-700"
+                          >
+                            <Pencil size={12} />
+                          </button>
+                          <button
+                            onClick={() => duplicateTrip(trip.id)}
+                            title="复制"
+                            className="rounded p-1 text-slate-400 hover:bg-slate-100 hover:text-slate-700"
+                          >
+                            <Copy size={12} />
+                          </button>
+                          <button
+                            onClick={() => toggleArchiveTrip(trip.id)}
+                            title={trip.archived ? '取消归档' : '归档'}
+                            className="rounded p-1 text-slate-400 hover:bg-slate-100 hover:text-slate-700"
+                          >
+                            {trip.archived ? <ArchiveRestore size={12} /> : <Archive size={12} />}
+                          </button>
+                          <button
+                            onClick={() => deleteTrip(trip.id)}
+                            title="删除"
+                            className="rounded p-1 text-slate-400 hover:bg-red-50 hover:text-red-600"
+                          >
+                            <Trash2 size={12} />
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                </div>
+                <div className="flex items-center justify-between border-t border-slate-100 bg-slate-50 px-3 py-2">
+                  <button
+                    onClick={createTrip}
+                    className="flex items-center gap-1 rounded-md px-2 py-1 text-xs font-semibold text-red-600 hover:bg-red-50"
+                  >
+                    <Plus size={12} /> 新建行程
+                  </button>
+                  <button
+                    onClick={() => importInputRef.current?.click()}
+                    className="flex items-center gap-1 rounded-md px-2 py-1 text-xs font-semibold text-slate-600 hover:bg-slate-100"
+                  >
+                    <Upload size={12} /> 导入
+                  </button>
+                  <button
+                    onClick={exportTrip}
+                    className="flex items-center gap-1 rounded-md px-2 py-1 text-xs font-semibold text-slate-600 hover:bg-slate-100"
+                  >
+                    <Download size={12} /> 导出
+                  </button>
+                  {import.meta.env.DEV && (
+                    <button
+                      onClick={createBenchmarkTrip}
+                      title="生成压测行程 (仅开发环境)"
+                      className="flex items-center gap-1 rounded-md px-2 py-1 text-xs font-semibold text-slate-600 hover:bg-slate-100"
+                    >
+                      <Gauge size={12} /> 压测
+                    </button>
+                  )}
+                  <label className="flex items-center gap-1 text-xs text-slate-500">
+                    <input
+                      type="checkbox"
+                      checked={showArchivedTrips}
+                      onChange={(e) => setShowArchivedTrips(e.target.checked)}
+                    />
+                    显示已归档
+                  </label>
+                </div>
+              </div>
+            )}
+          </div>
+          <div className="mx-2 h-6 w-[1px] bg-slate-200" />
+          {Object.entries(NODE_TYPES).map(([key, config]) => (
+            <button
+              key={key}
+              onClick={() => addNewNode(config.id)}
+              className="flex items-center gap-2 rounded-lg px-3 py-1.5 text-sm font-medium text-slate-700 transition-colors hover:bg-slate-100"
+            >
+              <config.icon size={16} className={config.color.replace('bg-', 'text-')} />
+              <span>{config.label}</span>
+            </button>
+          ))}
+          <div className="mx-2 h-6 w-[1px] bg-slate-200" />
+          <button
+            onClick={undo}
+            disabled={history.past.length === 0}
+            title="撤销 (Ctrl+Z)"
+            className="rounded-lg p-1.5 text-slate-600 transition-colors hover:bg-slate-100 disabled:opacity-30 disabled:hover:bg-transparent"
+          >
+            <Undo2 size={16} />
+          </button>
+          <button
+            onClick={redo}
+            disabled={history.future.length === 0}
+            title="重做 (Ctrl+Shift+Z)"
+            className="rounded-lg p-1.5 text-slate-600 transition-colors hover:bg-slate-100 disabled:opacity-30 disabled:hover:bg-transparent"
+          >
+            <Redo2 size={16} />
+          </button>
+          <div className="mx-2 h-6 w-[1px] bg-slate-200" />
+          <div className="flex rounded-lg bg-slate-100 p-0.5">
+            <button
+              onClick={showCanvasView}
+              title="画布视图"
+              className={`rounded-md p-1.5 transition-colors ${viewMode === 'canvas' ? 'bg-white text-red-600 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+            >
+              <LayoutDashboard size={16} />
+            </button>
+            <button
+              onClick={() => setViewMode('map')}
+              title="地图视图"
+              className={`rounded-md p-1.5 transition-colors ${viewMode === 'map' ? 'bg-white text-red-600 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+            >
+              <MapIcon size={16} />
+            </button>
+            <button
+              onClick={() => setViewMode('timeline')}
+              title="时间线视图"
+              className={`rounded-md p-1.5 transition-colors ${viewMode === 'timeline' ? 'bg-white text-red-600 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+            >
+              <Columns3 size={16} />
+            </button>
+          </div>
+          <div className="mx-2 h-6 w-[1px] bg-slate-200" />
+          <button
+            onClick={() => setChatOpen((open) => !open)}
+            title="AI 对话规划"
+            className={`rounded-lg p-1.5 transition-colors ${chatOpen ? 'bg-red-50 text-red-600' : 'text-slate-500 hover:bg-slate-100'}`}
+          >
+            <MessageSquare size={16} />
+          </button>
+          <button
+            onClick={() => setShowRoadbook(true)}
+            className="flex items-center gap-2 rounded-lg bg-red-600 px-3 py-1.5 text-sm font-medium text-white shadow-md shadow-red-200 transition-colors hover:bg-red-700"
+          >
+            <BookOpen size={16} />
+            <span>行程单</span>
+          </button>
+          <div className="ml-2 flex items-center gap-1 text-xs text-slate-400">
+            <Save size={12} />
+            <span>已保存</span>
+          </div>
+          <button
+            onClick={() => setApiSettingsOpen(true)}
+            className="ml-1 flex items-center gap-1 rounded-xl border border-red-100 bg-gradient-to-r from-white to-red-50 px-2.5 py-1.5 text-xs font-semibold text-red-600 shadow-sm transition-all hover:-translate-y-0.5 hover:shadow-md"
+          >
+            <Settings size={13} />
+            API 设置
+          </button>
+        </header>
+
+        {/* 路书侧边栏 (带预算仪表盘 & AI 分析) */}
+        <div
+          className={`absolute inset-y-0 right-0 z-[60] flex w-96 transform flex-col border-l border-slate-100 bg-white shadow-2xl transition-transform duration-300 ease-in-out ${showRoadbook ? 'translate-x-0' : 'translate-x-full'}`}
+        >
+          <div className="flex items-center justify-between border-b border-slate-100 bg-slate-50 p-6">
+            <div>
+              <h2 className="text-xl font-bold text-slate-800">行程概览</h2>
+              <p className="mt-1 text-xs text-slate-500">
+                共 {nodes.length} 个点 • 总计 {formatMoney(totalCost, homeCurrency)}
+              </p>
+              <div className="mt-2 flex items-center gap-2 text-xs text-slate-500">
+                <input
+                  type="date"
+                  value={tripStartDate}
+                  onChange={(e) => updateActiveTrip({ startDate: e.target.value })}
+                  title="行程开始日期"
+                  className="rounded-md border border-slate-200 bg-white px-1.5 py-0.5 outline-none"
+                />
+                <select
+                  value={tripTimeZone}
+                  onChange={(e) => updateActiveTrip({ timeZone: e.target.value })}
+                  title="行程时区"
+                  className="rounded-md border border-slate-200 bg-white px-1.5 py-0.5 outline-none"
+                >
+                  {[...new Set([tripTimeZone, ...TRIP_TIME_ZONES])].map((zone) => (
+                    <option key={zone} value={zone}>
+                      {zone}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <button onClick={() => setShowRoadbook(false)} className="rounded-full p-2 transition-colors hover:bg-slate-200">
+              <X size={20} className="text-slate-500" />
+            </button>
+          </div>
+
+          {/* AI 分析区域 */}
+          <div className="border-b border-indigo-100 bg-indigo-50 px-6 py-4">
+            <div className="mb-2 flex items-center justify-between">
+              <h3 className="flex items-center gap-2 text-xs font-bold uppercase tracking-wider text-indigo-500">
+                <BrainCircuit size={14} /> AI 助手分析
+              </h3>
+              {isAnalyzing ? (
+                <button
+                  onClick={() => cancelAiRequest('analysis')}
+                  className="flex items-center gap-1 rounded-md bg-indigo-100 px-2 py-1 text-[10px] text-indigo-700 transition-colors hover:bg-indigo-200"
+                >
+                  <Loader2 size={10} className="animate-spin" /> 停止
+                </button>
+              ) : (
+                <button
+                  onClick={analyzeTrip}
+                  className="rounded-md bg-indigo-100 px-2 py-1 text-[10px] text-indigo-700 transition-colors hover:bg-indigo-200"
+                >
+                  重新分析
+                </button>
+              )}
+            </div>
+
+            {tripAnalysis ? (
+              <div className="space-y-2 text-xs">
+                {tripAnalysis.summary && <p className="leading-relaxed text-slate-600">{tripAnalysis.summary}</p>}
+                {tripAnalysis.findings.map((finding) => {
+                  const severity = FINDING_SEVERITIES[finding.severity];
+                  return (
+                    <div
+                      key={finding.key}
+                      onClick={() => focusFinding(finding)}
+                      className={`cursor-pointer rounded-lg border bg-white p-2.5 transition-colors ${focusedFindingKey === finding.key ? 'border-indigo-300 ring-1 ring-indigo-200' : 'border-indigo-100 hover:border-indigo-200'}`}
+                    >
+                      <div className="flex items-start gap-2">
+                        <span className={`shrink-0 rounded px-1.5 py-0.5 text-[10px] font-semibold ${severity.badge}`}>
+                          {severity.label}
+                        </span>
+                        <span className="font-semibold text-slate-700">{finding.title}</span>
+                      </div>
+                      {finding.detail && <p className="mt-1 leading-relaxed text-slate-500">{finding.detail}</p>}
+                      {finding.nodeIds?.length > 0 && (
+                        <div className="mt-1 text-[10px] text-slate-400">
+                          涉及: {finding.nodeIds.map((id) => nodeById.get(id)?.title || id).join('、')}
+                        </div>
+                      )}
+                      {finding.fix?.operations?.length > 0 && (
+                        <div className="mt-2 flex items-center justify-between gap-2 rounded-md bg-indigo-50/60 px-2 py-1.5">
+                          <span className="text-[11px] text-indigo-700">{finding.fix.description || '建议修改'}</span>
+                          {finding.applied ? (
+                            <span className="flex shrink-0 items-center gap-0.5 text-[10px] text-emerald-600">
+                              <Check size={10} /> 已应用
+                            </span>
+                          ) : (
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                applyFindingFix(finding);
+                              }}
+                              className="shrink-0 rounded-md bg-indigo-600 px-2 py-0.5 text-[10px] font-semibold text-white hover:bg-indigo-700"
+                            >
+                              应用修复
+                            </button>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+                {isAnalyzing && (
+                  <div className="flex items-center gap-2 text-slate-400">
+                    <Loader2 size={12} className="animate-spin" /> 正在检查行程...
+                  </div>
+                )}
+                {!isAnalyzing && !tripAnalysis.error && tripAnalysis.findings.length === 0 && (
+                  <p className="italic text-slate-400">没有发现明显问题。</p>
+                )}
+                {tripAnalysis.error && <p className="text-red-600">{tripAnalysis.error}</p>}
+              </div>
+            ) : (
+              <p className="text-xs italic text-slate-400">点击“分析”让 AI 检查你的行程安排合理性。</p>
+            )}
+
+            {/* 旅行偏好：注入到每一次 AI 调用 */}
+            <button
+              onClick={() => setPreferencesOpen((open) => !open)}
+              className="mt-3 flex w-full items-center justify-between text-[11px] font-semibold text-indigo-500 hover:text-indigo-700"
+            >
+              <span>
+                旅行偏好 · {TRIP_PACES[tripPreferences.pace].label}
+                {tripPreferences.interests && ` · ${tripPreferences.interests}`}
+              </span>
+              <ChevronDown size={12} className={`transition-transform ${preferencesOpen ? 'rotate-180' : ''}`} />
+            </button>
+            {preferencesOpen && (
+              <div className="mt-2 space-y-2 rounded-lg border border-indigo-100 bg-white p-3 text-[11px] text-slate-500">
+                <div className="grid grid-cols-3 gap-1">
+                  {Object.entries(TRIP_PACES).map(([pace, { label, hint }]) => (
+                    <button
+                      key={pace}
+                      onClick={() => updatePreference('pace', pace)}
+                      title={hint}
+                      className={`rounded-md border px-2 py-1 transition-colors ${tripPreferences.pace === pace ? 'border-indigo-300 bg-indigo-50 text-indigo-700' : 'border-slate-200 hover:bg-slate-50'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                {[
+                  ['interests', '兴趣', '如：博物馆、徒步、咖啡'],
+                  ['dietary', '饮食', '如：素食、不吃辣、清真'],
+                  ['mobility', '行动', '如：推婴儿车、少走楼梯'],
+                ].map(([field, label, placeholder]) => (
+                  <label key={field} className="flex items-center gap-2">
+                    <span className="w-8 shrink-0">{label}</span>
+                    <input
+                      value={tripPreferences[field]}
+                      onChange={(e) => updatePreference(field, e.target.value)}
+                      placeholder={placeholder}
+                      className="w-full min-w-0 rounded-md border border-slate-200 bg-white px-1.5 py-1 outline-none"
+                    />
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* 预算仪表盘 */}
+          <div className="border-b border-slate-100 bg-white px-6 py-4">
+            <div className="mb-3 flex items-center justify-between">
+              <h3 className="flex items-center gap-2 text-xs font-bold uppercase tracking-wider text-slate-400">
+                <PieChart size={14} /> 预算分布
+              </h3>
+              <div className="flex items-center gap-1">
+                <select
+                  value={homeCurrency}
+                  onChange={(e) => updateActiveTrip({ homeCurrency: e.target.value })}
+                  title="本币 (汇总币种)"
+                  className="rounded-md border border-slate-200 bg-white px-1 py-0.5 text-[10px] text-slate-600 outline-none"
+                >
+                  {Object.entries(CURRENCIES).map(([code, config]) => (
+                    <option key={code} value={code}>
+                      {code} {config.label}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => setBudgetSettingsOpen((open) => !open)}
+                  title="预算与汇率设置"
+                  className={`rounded-md p-1 transition-colors ${budgetSettingsOpen ? 'bg-slate-100 text-slate-700' : 'text-slate-400 hover:bg-slate-100'}`}
+                >
+                  <Settings size={12} />
+                </button>
+              </div>
+            </div>
+            <div className="mb-2 flex h-3 w-full overflow-hidden rounded-full bg-slate-100">
+              {totalCost > 0 && (
+                <>
+                  <div style={{ width: `${(budgetStats.play / totalCost) * 100}%` }} className="bg-red-500" title="玩乐" />
+                  <div style={{ width: `${(budgetStats.stay / totalCost) * 100}%` }} className="bg-orange-500" title="住宿" />
+                  <div
+                    style={{ width: `${(budgetStats.transport / totalCost) * 100}%` }}
+                    className="bg-blue-500"
+                    title="交通"
+                  />
+                  <div
+                    style={{ width: `${(budgetStats.other / totalCost) * 100}%` }}
+                    className="bg-yellow-500"
+                    title="其他"
+                  />
+                </>
+              )}
+            </div>
+            <div className="flex flex-wrap justify-between gap-x-3 gap-y-1 text-xs text-slate-500">
+              {[
+                ['play', '玩乐', 'bg-red-500'],
+                ['stay', '住宿', 'bg-orange-500'],
+                ['transport', '交通', 'bg-blue-500'],
+                ['other', '其他', 'bg-yellow-500'],
+              ].map(([cat, label, color]) => (
+                <span
+                  key={cat}
+                  className={`flex items-center gap-1 ${categoryOverspend[cat] > 0 ? 'font-semibold text-red-600' : ''}`}
+                  title={tripBudget[cat] !== null ? `预算 ${formatMoney(tripBudget[cat], homeCurrency)}` : undefined}
+                >
+                  <div className={`h-2 w-2 rounded-full ${color}`} />
+                  {label}: {formatMoney(budgetStats[cat], homeCurrency)}
+                  {categoryOverspend[cat] > 0 && ` (+${formatMoney(categoryOverspend[cat], homeCurrency)})`}
+                </span>
+              ))}
+            </div>
+
+            {tripBudget.total !== null && (
+              <div className="mt-3">
+                <div className="mb-1 flex justify-between text-[11px] text-slate-500">
+                  <span>
+                    已用 {formatMoney(totalCost, homeCurrency)} / 预算 {formatMoney(tripBudget.total, homeCurrency)}
+                  </span>
+                  {totalOverspend > 0 && (
+                    <span className="font-semibold text-red-600">超支 {formatMoney(totalOverspend, homeCurrency)}</span>
+                  )}
+                </div>
+                <div className="h-1.5 w-full overflow-hidden rounded-full bg-slate-100">
+                  <div
+                    style={{ width: `${Math.min(100, (totalCost / tripBudget.total) * 100)}%` }}
+                    className={totalOverspend > 0 ? 'h-full bg-red-500' : 'h-full bg-emerald-500'}
+                  />
+                </div>
+              </div>
+            )}
+
+            {tripBudget.perDay !== null && datedDays.length > 0 && (
+              <div className="mt-3 space-y-0.5 text-[11px] text-slate-500">
+                {datedDays.map((day) => (
+                  <div
+                    key={day.date}
+                    className={`flex justify-between ${day.total > tripBudget.perDay ? 'font-semibold text-red-600' : ''}`}
+                  >
+                    <span>{day.date}</span>
+                    <span>
+                      {formatMoney(day.total, homeCurrency)}
+                      {day.total > tripBudget.perDay && ` (超支 ${formatMoney(day.total - tripBudget.perDay, homeCurrency)})`}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {budgetSettingsOpen && (
+              <div className="mt-3 space-y-3 rounded-lg border border-slate-100 bg-slate-50 p-3 text-[11px] text-slate-500">
+                <div className="grid grid-cols-3 gap-2">
+                  {[
+                    ['total', '总预算'],
+                    ['perDay', '每日'],
+                    ['play', '玩乐'],
+                    ['stay', '住宿'],
+                    ['transport', '交通'],
+                    ['other', '其他'],
+                  ].map(([field, label]) => (
+                    <label key={field} className="block">
+                      <span>{label}</span>
+                      <input
+                        type="number"
+                        min="0"
+                        value={tripBudget[field] ?? ''}
+                        onChange={(e) => updateBudget(field, e.target.value)}
+                        placeholder="不限"
+                        className="mt-0.5 w-full rounded-md border border-slate-200 bg-white px-1.5 py-1 outline-none"
+                      />
+                    </label>
+                  ))}
+                </div>
+                <div>
+                  <div className="mb-1 font-semibold">汇率 (1 单位 = ? 人民币)</div>
+                  <div className="grid grid-cols-2 gap-x-3 gap-y-1">
+                    {Object.keys(CURRENCIES)
+                      .filter((code) => code !== 'CNY')
+                      .map((code) => (
+                        <label key={code} className="flex items-center gap-1">
+                          <span className="w-8 shrink-0">{code}</span>
+                          <input
+                            type="number"
+                            min="0"
+                            step="any"
+                            value={exchangeRates[code] ?? ''}
+                            onChange={(e) => {
+                              const rate = Number(e.target.value);
+                              if (e.target.value !== '' && Number.isFinite(rate) && rate > 0) {
+                                setExchangeRates((prev) => ({ ...prev, [code]: rate }));
+                              }
+                            }}
+                            className="w-full min-w-0 rounded-md border border-slate-200 bg-white px-1.5 py-0.5 outline-none"
+                          />
+                        </label>
+                      ))}
+                  </div>
+                  <button
+                    onClick={() => setExchangeRates(DEFAULT_EXCHANGE_RATES)}
+                    className="mt-2 rounded-md border border-slate-200 bg-white px-2 py-0.5 hover:bg-slate-100"
+                  >
+                    恢复默认汇率
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+
+          {/* 费用分摊 */}
+          <div className="border-b border-slate-100 bg-white px-6 py-4">
+            <div className="mb-3 flex items-center justify-between">
+              <h3 className="flex items-center gap-2 text-xs font-bold uppercase tracking-wider text-slate-400">
+                <Users size={14} /> 费用分摊
+              </h3>
+              {(settlement.transfers.length > 0 || settlement.unsettled > 0.005) && (
+                <button
+                  onClick={exportSettlementCsv}
+                  className="flex items-center gap-1 rounded-md bg-slate-100 px-2 py-1 text-[10px] text-slate-600 transition-colors hover:bg-slate-200"
+                >
+                  <Download size={10} /> 导出 CSV
+                </button>
+              )}
+            </div>
+            <div className="mb-2 flex flex-wrap gap-1">
+              {travellers.map((t) => (
+                <span
+                  key={t.id}
+                  className="flex items-center gap-1 rounded-full bg-slate-100 px-2 py-0.5 text-xs text-slate-600"
+                >
+                  {t.name}
+                  <button onClick={() => removeTraveller(t.id)} className="text-slate-400 hover:text-red-600">
+                    <X size={10} />
+                  </button>
+                </span>
+              ))}
+              <span className="flex items-center gap-1 rounded-full border border-dashed border-slate-200 px-2 py-0.5">
+                <input
+                  value={newTravellerName}
+                  onChange={(e) => setNewTravellerName(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && addTraveller()}
+                  placeholder="添加同行人"
+                  className="w-16 border-none bg-transparent p-0 text-xs outline-none"
+                />
+                <button onClick={addTraveller} className="text-slate-400 hover:text-red-600">
+                  <UserPlus size={12} />
+                </button>
+              </span>
+            </div>
+            {travellers.length > 0 && (
+              <div className="space-y-1 text-xs text-slate-500">
+                {settlement.balances.map((b) => (
+                  <div key={b.traveller.id} className="flex justify-between">
+                    <span>{b.traveller.name}</span>
+                    <span>
+                      已付 {formatMoney(b.paid, homeCurrency)} · 应付 {formatMoney(b.owed, homeCurrency)}
+                    </span>
+                  </div>
+                ))}
+                {settlement.transfers.map((t, index) => (
+                  <div
+                    key={index}
+                    className="flex items-center gap-1 rounded-md bg-emerald-50 px-2 py-1 font-medium text-emerald-700"
+                  >
+                    {t.from.name} <ArrowRight size={12} /> {t.to.name}
+                    <span className="ml-auto">{formatMoney(t.amount, homeCurrency)}</span>
+                  </div>
+                ))}
+                {settlement.unsettled > 0.005 && (
+                  <div className="flex justify-between text-amber-600">
+                    <span>付款人未定 (未计入结算)</span>
+                    <span>{formatMoney(settlement.unsettled, homeCurrency)}</span>
+                  </div>
+                )}
+                {settlement.transfers.length === 0 && <p className="italic text-slate-400">暂无需要结算的款项。</p>}
+              </div>
+            )}
+          </div>
+
+          <div className="flex-1 space-y-6 overflow-y-auto p-6">
+            {roadbookSections.map((section) => (
+              <div key={section.key} className="space-y-6">
+                {frameGroups.length > 0 && (
+                  <div className="flex items-center gap-2 text-xs font-bold text-slate-500">
+                    <span
+                      className={`h-2.5 w-2.5 rounded-full ${section.group ? FRAME_COLORS[section.group.frame.color].dot : 'bg-slate-300'}`}
+                    />
+                    <span className="flex-1 truncate">
+                      {section.group ? section.group.frame.title || '未命名分组' : '未分组'}
+                    </span>
+                    <span className="font-medium text-slate-400">
+                      {section.nodes.length} 个{section.group && ` · ${formatMoney(section.group.cost, homeCurrency)}`}
+                    </span>
+                  </div>
+                )}
+                {section.nodes.map((node) => {
+                  const weatherIndex = typeof node.weather === 'number' ? node.weather : 0;
+                  const safeWeather = WEATHER_TYPES[weatherIndex] || WEATHER_TYPES[0];
+                  const WeatherIcon = safeWeather.icon;
+                  // 修复：确保 type 存在且有效，防止 toUpperCase 报错
+                  const typeKey = (node.type || 'note').toUpperCase();
+                  const nodeTypeConfig = NODE_TYPES[typeKey] || NODE_TYPES.NOTE;
+
+                  return (
+                    <div key={node.id} className="group relative last:border-0 border-l-2 border-slate-200 pl-6">
+                      <div
+                        className={`absolute -left-[9px] top-0 h-4 w-4 rounded-full border-2 border-white ${nodeTypeConfig.color}`}
+                      />
+                      <div className="mb-2 flex items-center justify-between">
+                        <div className="flex items-center gap-2">
+                          <span className="rounded-md bg-slate-100 px-2 py-0.5 font-mono text-xs font-bold text-slate-500">
+                            {node.date ? `${node.date}${node.time ? ` ${node.time}` : ''}` : '-- / --'}
+                          </span>
+                          {node.date && <WeatherIcon size={14} className={safeWeather.color} />}
+                        </div>
+                        <span className="text-xs font-medium text-slate-400">{formatCost(node.cost)}</span>
+                      </div>
+                      <div className="rounded-lg border border-slate-100 bg-slate-50 p-3 transition-all group-hover:bg-white group-hover:shadow-sm">
+                        <h3 className="mb-1 text-sm font-bold text-slate-800">{node.title}</h3>
+                        <p className="line-clamp-2 text-xs leading-relaxed text-slate-500">{node.content}</p>
+                        {scheduleWarnings.get(node.id)?.map((warning) => (
+                          <p key={warning} className="mt-1 flex items-start gap-1 text-[11px] text-amber-600">
+                            <AlertTriangle size={11} className="mt-0.5 shrink-0" />
+                            {warning}
+                          </p>
+                        ))}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+
+            <div className="mt-8 border-t border-slate-100 pt-6 text-center">
+              <button
+                onClick={printRoadbook}
+                disabled={nodes.length === 0}
+                className="flex w-full items-center justify-center gap-2 rounded-xl bg-slate-900 py-3 text-white transition-colors hover:bg-slate-800 disabled:opacity-50"
+              >
+                <Printer size={16} />
+                导出 PDF 路书
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {apiSettingsOpen && (
+          <div className="absolute inset-0 z-[70] flex items-center justify-center bg-slate-950/45 p-4 backdrop-blur-sm">
+            <div className="relative w-full max-w-xl overflow-hidden rounded-3xl border border-white/40 bg-white/90 p-0 shadow-2xl">
+              <div className="pointer-events-none absolute -left-20 -top-20 h-56 w-56 rounded-full bg-red-300/30 blur-3xl" />
+              <div className="pointer-events-none absolute -bottom-24 -right-16 h-64 w-64 rounded-full bg-orange-300/30 blur-3xl" />
+
+              <div className="relative border-b border-slate-100 bg-white/70 px-6 py-5">
+                <div className="mb-1 text-xs font-semibold uppercase tracking-wider text-red-500">VoyageBoard</div>
+                <div className="flex items-center justify-between">
+                  <h3 className="text-xl font-black text-slate-800">AI 模型设置中心</h3>
+                  <button
+                    onClick={() => setApiSettingsOpen(false)}
+                    className="rounded-full p-1.5 text-slate-500 transition-colors hover:bg-slate-100"
+                  >
+                    <X size={18} />
+                  </button>
+                </div>
+                <p className="mt-1 text-xs text-slate-500">本地浏览器存储，不会自动上传到仓库。</p>
+                <div className="mt-3 flex gap-1 rounded-xl bg-slate-100 p-1 text-xs font-semibold">
+                  {[
+                    ['config', '模型配置'],
+                    ['usage', '用量与限流'],
+                  ].map(([tab, label]) => (
+                    <button
+                      key={tab}
+                      onClick={() => setApiSettingsTab(tab)}
+                      className={`flex-1 rounded-lg py-1.5 transition-colors ${apiSettingsTab === tab ? 'bg-white text-red-600 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {apiSettingsTab === 'usage' && (
+                <div className="relative max-h-[60vh] space-y-4 overflow-y-auto px-6 py-5 text-xs">
+                  <div className="grid grid-cols-3 gap-2">
+                    {[
+                      ['今日请求', withLimit(aiUsageSummary.today, apiConfig.usage.perDay)],
+                      ['近一分钟', withLimit(aiUsageSummary.lastMinute, apiConfig.usage.perMinute)],
+                      ['今日缓存命中', aiUsageSummary.cacheHits],
+                      ['今日输入 Token', aiUsageSummary.inputTokens.toLocaleString()],
+                      ['今日输出 Token', aiUsageSummary.outputTokens.toLocaleString()],
+                      ['平均延迟', aiUsageSummary.avgLatencyMs === null ? '-' : `${aiUsageSummary.avgLatencyMs}ms`],
+                    ].map(([label, value]) => (
+                      <div key={label} className="rounded-xl border border-slate-100 bg-white/80 p-2.5">
+                        <div className="text-[10px] text-slate-400">{label}</div>
+                        <div className="mt-0.5 text-sm font-bold text-slate-700">{value}</div>
+                      </div>
+                    ))}
+                  </div>
+
+                  <div className="grid grid-cols-2 gap-3">
+                    {[
+                      ['perMinute', '每分钟上限'],
+                      ['perDay', '每日上限'],
+                    ].map(([field, label]) => (
+                      <label key={field} className="block">
+                        <div className="mb-1 font-semibold text-slate-500">
+                          {label} (0 为不限，最多 {AI_USAGE_LOG_LIMIT})
+                        </div>
+                        <LimitInput
+                          key={apiConfig.usage[field]}
+                          value={apiConfig.usage[field]}
+                          max={AI_USAGE_LOG_LIMIT}
+                          onChange={(value) => updateUsageSetting(field, value)}
+                          className="w-full rounded-xl border border-slate-200 bg-white/80 px-3 py-2 outline-none ring-red-200 focus:border-red-300 focus:ring-2"
+                        />
+                      </label>
+                    ))}
+                  </div>
+
+                  <div className="flex items-center justify-between">
+                    <label className="flex items-center gap-2 text-slate-600">
+                      <input
+                        type="checkbox"
+                        checked={apiConfig.usage.cache}
+                        onChange={(e) => updateUsageSetting('cache', e.target.checked)}
+                      />
+                      相同提示词与配置复用缓存结果 (24 小时)
+                    </label>
+                    <button
+                      onClick={clearAiCache}
+                      disabled={aiCacheCount === 0}
+                      className="rounded-lg border border-slate-200 px-2 py-1 text-slate-500 hover:bg-slate-50 disabled:opacity-40"
+                    >
+                      清空缓存 ({aiCacheCount})
+                    </button>
+                  </div>
+
+                  <div>
+                    <div className="mb-1.5 flex items-center justify-between">
+                      <span className="font-semibold text-slate-500">最近请求</span>
+                      {aiUsageLog.length > 0 && (
+                        <button onClick={clearAiUsageLog} className="text-slate-400 hover:text-red-600">
+                          清空记录
+                        </button>
+                      )}
+                    </div>
+                    {aiUsageLog.length === 0 ? (
+                      <p className="italic text-slate-400">还没有 AI 调用记录。</p>
+                    ) : (
+                      <div className="divide-y divide-slate-100 rounded-xl border border-slate-100 bg-white/80">
+                        {aiUsageLog
+                          .slice(-30)
+                          .reverse()
+                          .map((entry) => {
+                            const outcome = AI_USAGE_OUTCOMES[entry.outcome] || AI_USAGE_OUTCOMES.error;
+                            return (
+                              <div key={entry.id} className="px-3 py-2" title={entry.error || entry.prompt}>
+                                <div className="flex items-center gap-2">
+                                  <span
+                                    className={`rounded px-1.5 py-0.5 text-[10px] font-semibold ${outcome.className}`}
+                                  >
+                                    {outcome.label}
+                                  </span>
+                                  <span className="truncate text-slate-600">{entry.model}</span>
+                                  <span className="ml-auto shrink-0 text-[10px] text-slate-400">
+                                    {new Date(entry.time).toLocaleTimeString()} · {entry.latencyMs}ms
+                                    {entry.inputTokens !== null &&
+                                      entry.inputTokens !== undefined &&
+                                      ` · ${entry.inputTokens}/${entry.outputTokens} tok`}
+                                  </span>
+                                </div>
+                                <div className="mt-0.5 truncate text-[10px] text-slate-400">{entry.prompt}</div>
+                              </div>
+                            );
+                          })}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              <div className={`relative space-y-4 px-6 py-5 text-sm ${apiSettingsTab === 'config' ? '' : 'hidden'}`}>
+                <div>
+                  <div className="mb-1.5 text-xs font-semibold uppercase tracking-wide text-slate-500">Provider</div>
+                  <div className="grid grid-cols-3 gap-2">
+                    {Object.entries(LLM_PROVIDERS).map(([id, provider]) => (
+                      <button
+                        key={id}
+                        onClick={() => {
+                          setApiConfig((prev) => ({ ...prev, provider: id }));
+                          setApiTestResult(null);
+                        }}
+                        className={`rounded-xl border px-2 py-2 text-xs font-semibold transition-all ${apiConfig.provider === id ? 'border-red-300 bg-red-50 text-red-600' : 'border-slate-200 bg-white/80 text-slate-600 hover:bg-slate-50'}`}
+                      >
+                        {provider.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                <label className="block">
+                  <div className="mb-1.5 text-xs font-semibold uppercase tracking-wide text-slate-500">
+                    API Key{!llmProvider.requiresApiKey && ' (可选)'}
+                  </div>
+                  <input
+                    type="password"
+                    value={llmConfig.apiKey}
+                    onChange={(e) => updateProviderConfig('apiKey', e.target.value.trim())}
+                    placeholder={llmProvider.placeholders.apiKey}
+                    className="w-full rounded-xl border border-slate-200 bg-white/80 px-3 py-2.5 text-sm outline-none ring-red-200 transition-all focus:border-red-300 focus:ring-2"
+                  />
+                </label>
+
+                <label className="block">
+                  <div className="mb-1.5 text-xs font-semibold uppercase tracking-wide text-slate-500">
+                    {llmProvider.modelLabel}
+                  </div>
+                  <input
+                    type="text"
+                    value={llmConfig.model}
+                    onChange={(e) => updateProviderConfig('model', e.target.value.trim())}
+                    placeholder={llmProvider.placeholders.model}
+                    className="w-full rounded-xl border border-slate-200 bg-white/80 px-3 py-2.5 text-sm outline-none ring-red-200 transition-all focus:border-red-300 focus:ring-2"
+                  />
+                </label>
+
+                <label className="block">
+                  <div className="mb-1.5 text-xs font-semibold uppercase tracking-wide text-slate-500">Base URL</div>
+                  <input
+                    type="text"
+                    value={llmConfig.baseUrl}
+                    onChange={(e) => updateProviderConfig('baseUrl', e.target.value.trim())}
+                    placeholder={llmProvider.defaults.baseUrl}
+                    className="w-full rounded-xl border border-slate-200 bg-white/80 px-3 py-2.5 text-sm outline-none ring-red-200 transition-all focus:border-red-300 focus:ring-2"
+                  />
+                </label>
+
+                <div className="flex items-center gap-3">
+                  <button
+                    onClick={testApiConnection}
+                    disabled={apiTestResult?.pending}
+                    className="shrink-0 rounded-xl border border-slate-200 bg-white/80 px-3.5 py-2 text-xs font-semibold text-slate-600 transition-colors hover:bg-slate-50 disabled:opacity-50"
+                  >
+                    {apiTestResult?.pending ? '测试中...' : '测试连接'}
+                  </button>
+                  {apiTestResult && !apiTestResult.pending && (
+                    <span className={`truncate text-xs ${apiTestResult.ok ? 'text-emerald-600' : 'text-red-600'}`}>
+                      {apiTestResult.message}
+                    </span>
+                  )}
+                </div>
+
+                <label className="block">
+                  <div className="mb-1.5 text-xs font-semibold uppercase tracking-wide text-slate-500">离线地图瓦片 URL</div>
+                  <input
+                    type="text"
+                    value={mapTileUrl}
+                    onChange={(e) => setMapTileUrl(e.target.value.trim())}
+                    placeholder="/tiles/{z}/{x}/{y}.png (留空则显示经纬网)"
+                    className="w-full rounded-xl border border-slate-200 bg-white/80 px-3 py-2.5 text-sm outline-none ring-red-200 transition-all focus:border-red-300 focus:ring-2"
+                  />
+                </label>
+
+                <label className="block">
+                  <div className="mb-1.5 text-xs font-semibold uppercase tracking-wide text-slate-500">
+                    智能填充方案数
+                  </div>
+                  <select
+                    value={aiPlanCount}
+                    onChange={(e) => setAiPlanCount(Number(e.target.value))}
+                    className="w-full rounded-xl border border-slate-200 bg-white/80 px-3 py-2.5 text-sm outline-none ring-red-200 transition-all focus:border-red-300 focus:ring-2"
+                  >
+                    {AI_PLAN_COUNT_OPTIONS.map((count) => (
+                      <option key={count} value={count}>
+                        {count === 1 ? '1 套 (直接写入画布)' : `${count} 套 (对比后选择)`}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+
+                <label className="block">
+                  <div className="mb-1.5 text-xs font-semibold uppercase tracking-wide text-slate-500">地理编码</div>
+                  <select
+                    value={geocoderId}
+                    onChange={(e) => setGeocoderId(e.target.value)}
+                    className="w-full rounded-xl border border-slate-200 bg-white/80 px-3 py-2.5 text-sm outline-none ring-red-200 transition-all focus:border-red-300 focus:ring-2"
+                  >
+                    {Object.entries(GEOCODERS).map(([id, geocoder]) => (
+                      <option key={id} value={id}>
+                        {geocoder.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+
+              <div className="relative flex items-center justify-between border-t border-slate-100 bg-white/70 px-6 py-4">
+                <button
+                  onClick={() => {
+                    setApiConfig(getDefaultApiConfig());
+                    setApiTestResult(null);
+                  }}
+                  className="rounded-xl border border-slate-200 px-3.5 py-2 text-xs font-semibold text-slate-600 transition-colors hover:bg-slate-50"
+                >
+                  恢复默认
+                </button>
+                <button
+                  onClick={() => setApiSettingsOpen(false)}
+                  className="rounded-xl bg-gradient-to-r from-red-600 to-orange-500 px-4 py-2 text-sm font-semibold text-white shadow-md transition-all hover:brightness-105"
+                >
+                  保存并关闭
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {importReport && (
+          <div className="absolute inset-0 z-[70] flex items-center justify-center bg-slate-950/45 p-4 backdrop-blur-sm">
+            <div className="w-full max-w-lg overflow-hidden rounded-3xl border border-white/40 bg-white shadow-2xl">
+              <div className="border-b border-slate-100 px-6 py-5">
+                <h3 className="flex items-center gap-2 text-lg font-black text-slate-800">
+                  <AlertTriangle size={18} className="text-amber-500" />
+                  {importReport.trip ? '导入文件存在问题' : '无法导入文件'}
+                </h3>
+                <p className="mt-1 truncate text-xs text-slate-500">{importReport.fileName}</p>
+              </div>
+              <ul className="max-h-64 list-disc space-y-1 overflow-y-auto py-4 pl-10 pr-6 text-xs text-slate-600">
+                {importReport.errors.map((error, index) => (
+                  <li key={index}>{error}</li>
+                ))}
+              </ul>
+              {importReport.trip && (
+                <p className="px-6 pb-4 text-xs text-slate-500">
+                  有效部分：{importReport.trip.nodes.length} 个节点，{importReport.trip.connections.length} 条连线。
+                </p>
+              )}
+              <div className="flex justify-end gap-2 border-t border-slate-100 bg-slate-50 px-6 py-4">
+                <button
+                  onClick={() => setImportReport(null)}
+                  className="rounded-xl border border-slate-200 px-3.5 py-2 text-xs font-semibold text-slate-600 transition-colors hover:bg-white"
+                >
+                  取消
+                </button>
+                {importReport.trip && (
+                  <button
+                    onClick={() => importTrip(importReport.trip)}
+                    className="rounded-xl bg-gradient-to-r from-red-600 to-orange-500 px-4 py-2 text-xs font-semibold text-white shadow-md transition-all hover:brightness-105"
+                  >
+                    导入有效部分
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* 路线优化：前后对比 */}
+        {routeOptimisation && (
+          <div className="absolute inset-0 z-[70] flex items-center justify-center bg-slate-950/45 p-4 backdrop-blur-sm">
+            <div className="flex max-h-full w-full max-w-2xl flex-col overflow-hidden rounded-3xl border border-white/40 bg-white shadow-2xl">
+              <div className="flex items-center justify-between border-b border-slate-100 px-6 py-5">
+                <div>
+                  <h3 className="flex items-center gap-2 text-lg font-black text-slate-800">
+                    <Route size={18} className="text-red-600" /> 优化路线
+                  </h3>
+                  <p className="mt-1 text-xs text-slate-500">
+                    {routeOptimisation.label} · 起点和终点固定，定了时间的站点保持先后顺序
+                  </p>
+                </div>
+                {!routeOptimisation.error && (
+                  <div className="flex gap-1 rounded-lg bg-slate-100 p-1 text-xs">
+                    {Object.entries(ROUTE_METRICS).map(([metric, { label }]) => (
+                      <button
+                        key={metric}
+                        onClick={() => changeRouteMetric(metric)}
+                        className={`rounded-md px-2 py-1 transition-colors ${routeOptimisation.metric === metric ? 'bg-white text-red-600 shadow-sm' : 'text-slate-500'}`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              {routeOptimisation.error ? (
+                <p className="flex items-start gap-2 px-6 py-5 text-sm text-slate-600">
+                  <AlertTriangle size={16} className="mt-0.5 shrink-0 text-amber-500" />
+                  {routeOptimisation.error}
+                </p>
+              ) : (
+                <div className="grid flex-1 grid-cols-2 gap-4 overflow-y-auto p-6">
+                  {[
+                    ['当前顺序', routeOptimisation.before],
+                    ['优化后', routeOptimisation.after],
+                  ].map(([title, route]) => {
+                    const legs = routeLegs(route);
+                    const totals = routeTotals(route);
+                    return (
+                      <div key={title} className="rounded-2xl border border-slate-200 bg-slate-50/60 p-4">
+                        <div className="flex items-baseline justify-between">
+                          <span className="font-bold text-slate-800">{title}</span>
+                          <span className="text-xs text-slate-500">
+                            {totals.km.toFixed(1)} km · {formatDuration(totals.minutes)}
+                          </span>
+                        </div>
+                        <ol className="mt-3 space-y-1 text-xs">
+                          {route.map((node, index) => (
+                            <li key={node.id}>
+                              {index > 0 && (
+                                <div className="py-0.5 pl-5 text-[10px] text-slate-400">
+                                  ↓ {legs[index - 1].km.toFixed(1)} km · {formatDuration(legs[index - 1].minutes)}
+                                </div>
+                              )}
+                              <div className="flex items-center gap-2 rounded-lg bg-white px-2 py-1.5 shadow-sm">
+                                <span className="w-4 shrink-0 text-center font-mono text-[10px] text-slate-400">
+                                  {index + 1}
+                                </span>
+                                <span className="min-w-0 flex-1 truncate font-medium text-slate-700">
+                                  {node.title || '未命名'}
+                                </span>
+                                {node.time && <span className="shrink-0 text-[10px] text-slate-400">{node.time}</span>}
+                              </div>
+                            </li>
+                          ))}
+                        </ol>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+
+              <div className="flex items-center justify-between gap-2 border-t border-slate-100 bg-slate-50 px-6 py-4">
+                <span className="text-xs text-slate-500">{routeSavingsText}</span>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => setRouteOptimisation(null)}
+                    className="rounded-xl border border-slate-200 px-3.5 py-2 text-xs font-semibold text-slate-600 transition-colors hover:bg-white"
+                  >
+                    取消
+                  </button>
+                  {!routeOptimisation.error && (
+                    <button
+                      onClick={applyRouteOptimisation}
+                      className="rounded-xl bg-gradient-to-r from-red-600 to-orange-500 px-4 py-2 text-xs font-semibold text-white shadow-md transition-all hover:brightness-105"
+                    >
+                      应用新路线
+                    </button>
+                  )}
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* 备选方案对比 */}
+        {planAlternatives && (
+          <div className="absolute inset-0 z-[70] flex items-center justify-center bg-slate-950/45 p-4 backdrop-blur-sm">
+            <div className="flex max-h-full w-full max-w-5xl flex-col overflow-hidden rounded-3xl border border-white/40 bg-white shadow-2xl">
+              <div className="flex items-center justify-between border-b border-slate-100 px-6 py-5">
+                <div>
+                  <h3 className="flex items-center gap-2 text-lg font-black text-slate-800">
+                    <Wand2 size={18} className="text-red-600" /> 备选方案对比
+                  </h3>
+                  <p className="mt-1 text-xs text-slate-500">采用整套方案，或勾选多套方案中的步骤合并后写入画布。</p>
+                </div>
+                <button onClick={closePlanAlternatives} className="rounded-full p-2 hover:bg-slate-100">
+                  <X size={18} className="text-slate-500" />
+                </button>
+              </div>
+
+              <div className="flex flex-1 gap-4 overflow-x-auto p-6">
+                {planAlternatives.plans.map((plan, planIndex) => {
+                  const stats = planStats(plan.steps);
+                  return (
+                    <div
+                      key={planIndex}
+                      className="flex w-64 shrink-0 flex-col rounded-2xl border border-slate-200 bg-slate-50/60"
+                    >
+                      <div className="border-b border-slate-100 p-4">
+                        <div className="font-bold text-slate-800">{plan.name}</div>
+                        {plan.summary && <p className="mt-1 text-xs text-slate-500">{plan.summary}</p>}
+                        <div className="mt-3 grid grid-cols-3 gap-2 text-center">
+                          <div>
+                            <div className="text-[10px] text-slate-400">花费</div>
+                            <div className="text-xs font-bold text-slate-700">
+                              {formatMoney(stats.cost, homeCurrency)}
+                            </div>
+                          </div>
+                          <div>
+                            <div className="text-[10px] text-slate-400">节点</div>
+                            <div className="text-xs font-bold text-slate-700">{stats.count}</div>
+                          </div>
+                          <div>
+                            <div className="text-[10px] text-slate-400">天数</div>
+                            <div className="text-xs font-bold text-slate-700">{stats.days}</div>
+                          </div>
+                        </div>
+                      </div>
+                      <div className="flex-1 space-y-1.5 overflow-y-auto p-3">
+                        {plan.steps.map((step, stepIndex) => {
+                          const key = `${planIndex}:${stepIndex}`;
+                          const typeConfig = NODE_TYPES[step.type.toUpperCase()] || NODE_TYPES.NOTE;
+                          return (
+                            <label
+                              key={key}
+                              className="flex cursor-pointer items-start gap-2 rounded-lg bg-white p-2 text-xs shadow-sm"
+                            >
+                              <input
+                                type="checkbox"
+                                checked={planAlternatives.selected.includes(key)}
+                                onChange={() => togglePlanStep(key)}
+                                className="mt-0.5"
+                              />
+                              <div className="min-w-0 flex-1">
+                                <div className="flex items-center gap-1.5 font-semibold text-slate-700">
+                                  <span className={`h-2 w-2 shrink-0 rounded-full ${typeConfig.color}`} />
+                                  <span className="truncate">{step.title}</span>
+                                </div>
+                                <div className="mt-0.5 text-[10px] text-slate-400">
+                                  第 {Math.max(1, Math.floor(step.day || 1))} 天
+                                  {step.cost && ` · ${formatCost(normalizeCost(step.cost, homeCurrency))}`}
+                                </div>
+                              </div>
+                            </label>
+                          );
+                        })}
+                      </div>
+                      <div className="border-t border-slate-100 p-3">
+                        <button
+                          onClick={() => commitPlanSteps(plan.steps)}
+                          disabled={planAlternatives.loading}
+                          className="w-full rounded-xl bg-red-600 px-3 py-2 text-xs font-semibold text-white transition-colors hover:bg-red-700 disabled:opacity-40"
+                        >
+                          采用此方案
+                        </button>
+                      </div>
+                    </div>
+                  );
+                })}
+                {planAlternatives.loading && (
+                  <div className="flex w-64 shrink-0 items-center justify-center gap-2 rounded-2xl border border-dashed border-slate-200 text-xs text-slate-400">
+                    <Loader2 size={14} className="animate-spin" /> 正在生成方案...
+                  </div>
+                )}
+                {!planAlternatives.loading && planAlternatives.error && (
+                  <div className="flex items-start gap-1 text-xs text-red-600">
+                    <AlertTriangle size={14} className="mt-0.5 shrink-0" />
+                    {planAlternatives.error}
+                  </div>
+                )}
+              </div>
+
+              <div className="flex items-center justify-end gap-2 border-t border-slate-100 bg-slate-50 px-6 py-4">
+                <button
+                  onClick={closePlanAlternatives}
+                  className="rounded-xl border border-slate-200 px-3.5 py-2 text-xs font-semibold text-slate-600 transition-colors hover:bg-white"
+                >
+                  {planAlternatives.loading ? '停止并关闭' : '取消'}
+                </button>
+                <button
+                  onClick={() => commitPlanSteps(selectedPlanSteps)}
+                  disabled={planAlternatives.loading || selectedPlanSteps.length === 0}
+                  className="rounded-xl bg-gradient-to-r from-red-600 to-orange-500 px-4 py-2 text-xs font-semibold text-white shadow-md transition-all hover:brightness-105 disabled:opacity-40"
+                >
+                  合并所选步骤 ({selectedPlanSteps.length})
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {showRoadbook && <div onClick={() => setShowRoadbook(false)} className="absolute inset-0 z-[55] bg-black/20 backdrop-blur-[1px]" />}
+
+        {/* 地图视图 */}
+        {viewMode === 'map' && (
+          <div className="absolute inset-0 z-0">
+            <MapView
+              nodes={nodes}
+              connections={connections}
+              selectedNodeId={selectedNodeId}
+              onSelectNode={setSelectedNodeId}
+              tileUrl={mapTileUrl}
+            />
+          </div>
+        )}
+
+        {/* AI 对话规划面板：助手返回的操作以差异预览，逐条接受或拒绝 */}
+        {chatOpen && (
+          <div className="absolute bottom-6 left-6 top-24 z-40 flex w-96 flex-col overflow-hidden rounded-2xl border border-slate-200 bg-white/95 shadow-xl backdrop-blur">
+            <div className="flex items-center justify-between border-b border-slate-100 px-4 py-3">
+              <h3 className="flex items-center gap-2 text-sm font-bold text-slate-700">
+                <MessageSquare size={16} className="text-red-600" /> AI 对话规划
+              </h3>
+              <div className="flex items-center gap-1">
+                {chatMessages.length > 0 && (
+                  <button
+                    onClick={() => setChatMessages([])}
+                    className="rounded-md px-2 py-1 text-[10px] text-slate-400 hover:bg-slate-100"
+                  >
+                    清空
+                  </button>
+                )}
+                <button onClick={() => setChatOpen(false)} className="rounded-full p-1 hover:bg-slate-100">
+                  <X size={16} className="text-slate-500" />
+                </button>
+              </div>
+            </div>
 
-          {tripAdvice ? (
-            <div className="whitespace-pre-wrap rounded-lg border border-indigo-100 bg-white p-3 text-xs leading-relaxed text-slate-600">
-              {tripAdvice}
+            <div className="flex-1 space-y-3 overflow-y-auto p-4 text-xs">
+              {chatMessages.length === 0 && (
+                <p className="italic text-slate-400">
+                  例如：“把博物馆挪到第二天，并在附近加一家便宜点的酒店”。助手的修改会先列出来，确认后才会写入画布。
+                </p>
+              )}
+              {chatMessages.map((message) =>
+                message.role === 'user' ? (
+                  <div key={message.id} className="ml-8 rounded-xl bg-red-600 px-3 py-2 text-white">
+                    {message.text}
+                  </div>
+                ) : (
+                  <div key={message.id} className="mr-4 space-y-2">
+                    {message.text && (
+                      <div className="whitespace-pre-wrap rounded-xl bg-slate-100 px-3 py-2 text-slate-700">
+                        {message.text}
+                      </div>
+                    )}
+                    {message.error && (
+                      <div className="flex items-start gap-1 rounded-lg border border-red-200 bg-red-50 p-2 text-red-700">
+                        <AlertTriangle size={12} className="mt-0.5 shrink-0" />
+                        {message.error}
+                      </div>
+                    )}
+                    {message.operations.map((op) => {
+                      const blocker = op.status === 'pending' ? planOperationBlocker(message, op) : null;
+                      const target = nodeById.get(op.id);
+                      const fields = planFieldsToNode(op.fields, homeCurrency);
+                      return (
+                        <div
+                          key={op.key}
+                          className={`rounded-lg border p-2 ${op.status === 'rejected' ? 'border-slate-100 opacity-50' : 'border-slate-200 bg-white'}`}
+                        >
+                          <div className="flex items-start justify-between gap-2">
+                            <div className="min-w-0 flex-1 space-y-0.5">
+                              {op.op === 'add' && (
+                                <>
+                                  <div className="font-semibold text-emerald-600">+ 新增</div>
+                                  {Object.entries(fields).map(([field, value]) => (
+                                    <div key={field} className="text-emerald-700">
+                                      {PLAN_FIELD_LABELS[field]}: {formatPlanValue(field, value)}
+                                    </div>
+                                  ))}
+                                </>
+                              )}
+                              {op.op === 'update' && (
+                                <>
+                                  <div className="font-semibold text-amber-600">~ 修改「{target?.title || op.id}」</div>
+                                  {Object.entries(fields).map(([field, value]) => (
+                                    <div key={field} className="text-slate-600">
+                                      {PLAN_FIELD_LABELS[field]}:{' '}
+                                      <span className="text-red-500 line-through">
+                                        {formatPlanValue(field, target?.[field])}
+                                      </span>{' '}
+                                      → <span className="text-emerald-700">{formatPlanValue(field, value)}</span>
+                                    </div>
+                                  ))}
+                                </>
+                              )}
+                              {op.op === 'delete' && (
+                                <div className="font-semibold text-red-600">- 删除「{target?.title || op.id}」</div>
+                              )}
+                              {op.op === 'connect' && (
+                                <div className="font-semibold text-blue-600">
+                                  → 连接「{planNodeLabel(message, op.from)}」到「{planNodeLabel(message, op.to)}」
+                                </div>
+                              )}
+                              {blocker && <div className="text-[10px] text-slate-400">{blocker}</div>}
+                            </div>
+                            {op.status === 'pending' ? (
+                              <div className="flex shrink-0 gap-1">
+                                <button
+                                  onClick={() => acceptPlanOperations(message, [op.key])}
+                                  disabled={Boolean(blocker)}
+                                  title="接受"
+                                  className="rounded-md p-1 text-emerald-600 hover:bg-emerald-50 disabled:opacity-30"
+                                >
+                                  <Check size={14} />
+                                </button>
+                                <button
+                                  onClick={() => rejectPlanOperations(message.id, [op.key])}
+                                  title="拒绝"
+                                  className="rounded-md p-1 text-slate-400 hover:bg-slate-100"
+                                >
+                                  <X size={14} />
+                                </button>
+                              </div>
+                            ) : (
+                              <span className="shrink-0 text-[10px] text-slate-400">
+                                {op.status === 'accepted' ? '已接受' : '已拒绝'}
+                              </span>
+                            )}
+                          </div>
+                        </div>
+                      );
+                    })}
+                    {message.operations.filter((op) => op.status === 'pending').length > 1 && (
+                      <div className="flex justify-end gap-2">
+                        <button
+                          onClick={() =>
+                            rejectPlanOperations(
+                              message.id,
+                              message.operations.map((op) => op.key),
+                            )
+                          }
+                          className="rounded-md px-2 py-1 text-[10px] text-slate-500 hover:bg-slate-100"
+                        >
+                          全部拒绝
+                        </button>
+                        <button
+                          onClick={() =>
+                            acceptPlanOperations(
+                              message,
+                              message.operations.map((op) => op.key),
+                            )
+                          }
+                          className="rounded-md bg-emerald-50 px-2 py-1 text-[10px] font-semibold text-emerald-700 hover:bg-emerald-100"
+                        >
+                          全部接受
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                ),
+              )}
+              {aiRequests.chat && (
+                <div className="flex items-center gap-2 text-slate-400">
+                  <Loader2 size={12} className="animate-spin" /> 思考中...
+                </div>
+              )}
             </div>
-          ) : (
-            <p className="text-xs italic text-slate-400">点击“分析”让 AI 检查你的行程安排合理性。</p>
-          )}
-        </div>
 
-        {/* 预算仪表盘 */}
-        <div className="border-b border-slate-100 bg-white px-6 py-4">
-          <h3 className="mb-3 flex items-center gap-2 text-xs font-bold uppercase tracking-wider text-slate-400">
-            <PieChart size={14} /> 预算分布
-          </h3>
-          <div className="mb-2 flex h-3 w-full overflow-hidden rounded-full bg-slate-100">
-            {totalCost > 0 && (
-              <>
-                <div style={{ width: `${(budgetStats.play / totalCost) * 100}%` }} className="bg-red-500" title="玩乐" />
-                <div style={{ width: `${(budgetStats.stay / totalCost) * 100}%` }} className="bg-orange-500" title="住宿" />
-                <div
-                  style={{ width: `${(budgetStats.transport / totalCost) * 100}%` }}
-                  className="bg-blue-500"
-                  title="交通"
-                />
-              </>
-            )}
-          </div>
-          <div className="flex justify-between text-xs text-slate-500">
-            <span className="flex items-center gap-1">
-              <div className="h-2 w-2 rounded-full bg-red-500" />玩乐: ¥{budgetStats.play}
-            </span>
-            <span className="flex items-center gap-1">
-              <div className="h-2 w-2 rounded-full bg-orange-500" />住宿: ¥{budgetStats.stay}
-            </span>
-            <span className="flex items-center gap-1">
-              <div className="h-2 w-2 rounded-full bg-blue-500" />交通: ¥{budgetStats.transport}
-            </span>
+            <div className="flex items-end gap-2 border-t border-slate-100 p-3">
+              <textarea
+                value={chatDraft}
+                onChange={(e) => setChatDraft(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+                    e.preventDefault();
+                    sendChatMessage();
+                  }
+                }}
+                rows={2}
+                placeholder="告诉 AI 想怎么改行程..."
+                className="flex-1 resize-none rounded-lg border border-slate-200 bg-slate-50 p-2 text-xs outline-none focus:border-red-200 focus:bg-white"
+              />
+              {aiRequests.chat ? (
+                <button
+                  onClick={() => cancelAiRequest('chat')}
+                  className="rounded-lg bg-slate-100 px-3 py-2 text-xs font-semibold text-slate-600 hover:bg-slate-200"
+                >
+                  停止
+                </button>
+              ) : (
+                <button
+                  onClick={sendChatMessage}
+                  disabled={!chatDraft.trim()}
+                  className="rounded-lg bg-red-600 p-2 text-white transition-colors hover:bg-red-700 disabled:opacity-40"
+                >
+                  <Send size={14} />
+                </button>
+              )}
+            </div>
           </div>
-        </div>
-
-        <div className="flex-1 space-y-6 overflow-y-auto p-6">
-          {roadbookData.map((node) => {
-            const weatherIndex = typeof node.weather === 'number' ? node.weather : 0;
-            const safeWeather = WEATHER_TYPES[weatherIndex] || WEATHER_TYPES[0];
-            const WeatherIcon = safeWeather.icon;
-            // 修复：确保 type 存在且有效，防止 toUpperCase 报错
-            const typeKey = (node.type || 'note').toUpperCase();
-            const nodeTypeConfig = NODE_TYPES[typeKey] || NODE_TYPES.NOTE;
+        )}
 
-            return (
-              <div key={node.id} className="group relative last:border-0 border-l-2 border-slate-200 pl-6">
-                <div className={`absolute -left-[9px] top-0 h-4 w-4 rounded-full border-2 border-white ${nodeTypeConfig.color}`} />
-                <div className="mb-2 flex items-center justify-between">
-                  <div className="flex items-center gap-2">
-                    <span className="rounded-md bg-slate-100 px-2 py-0.5 font-mono text-xs font-bold text-slate-500">
-                      {node.date || '-- / --'}
-                    </span>
-                    {node.date && <WeatherIcon size={14} className={safeWeather.color} />}
+        {/* 地图视图：选中节点编辑面板，编辑直接作用于同一份节点数据 */}
+        {viewMode === 'map' && (
+          <div
+            className={`absolute bottom-6 top-24 z-40 flex w-80 ${chatOpen ? 'left-[27rem]' : 'left-6'} flex-col overflow-hidden rounded-2xl border border-slate-200 bg-white/95 shadow-xl backdrop-blur`}
+          >
+            {selectedNode ? (
+              <div className="flex-1 space-y-3 overflow-y-auto p-4">
+                <div className="flex items-center justify-between">
+                  <span
+                    className={`rounded-md px-2 py-0.5 text-xs font-semibold text-white ${(NODE_TYPES[(selectedNode.type || 'note').toUpperCase()] || NODE_TYPES.NOTE).color}`}
+                  >
+                    {(NODE_TYPES[(selectedNode.type || 'note').toUpperCase()] || NODE_TYPES.NOTE).label}
+                  </span>
+                  <div className="flex gap-1">
+                    {selectedNode.date && (
+                      <button
+                        onClick={() => openDayRouteOptimiser(selectedNode.date)}
+                        title="优化当天路线"
+                        className="rounded-lg p-1.5 text-slate-400 transition-colors hover:bg-slate-100 hover:text-red-600"
+                      >
+                        <Route size={14} />
+                      </button>
+                    )}
+                    <button
+                      onClick={() => geocodeNode(selectedNode.id)}
+                      disabled={loadingNodes.has(selectedNode.id)}
+                      title={`根据标题定位 (${GEOCODERS[geocoderId].label})`}
+                      className="rounded-lg p-1.5 text-slate-400 transition-colors hover:bg-slate-100 hover:text-red-600 disabled:opacity-40"
+                    >
+                      {loadingNodes.has(selectedNode.id) ? (
+                        <Loader2 size={14} className="animate-spin" />
+                      ) : (
+                        <LocateFixed size={14} />
+                      )}
+                    </button>
+                    <button
+                      onClick={() => deleteNode(selectedNode.id)}
+                      title="删除节点"
+                      className="rounded-lg p-1.5 text-slate-400 transition-colors hover:bg-red-50 hover:text-red-600"
+                    >
+                      <Trash2 size={14} />
+                    </button>
                   </div>
-                  <span className="text-xs font-medium text-slate-400">¥{node.cost}</span>
                 </div>
-                <div className="rounded-lg border border-slate-100 bg-slate-50 p-3 transition-all group-hover:bg-white group-hover:shadow-sm">
-                  <h3 className="mb-1 text-sm font-bold text-slate-800">{node.title}</h3>
-                  <p className="line-clamp-2 text-xs leading-relaxed text-slate-500">{node.content}</p>
+                <input
+                  value={selectedNode.title}
+                  onChange={(e) => updateNode(selectedNode.id, 'title', e.target.value)}
+                  className="w-full rounded-lg border border-slate-100 bg-slate-50 px-2 py-1.5 text-sm font-bold text-slate-800 outline-none focus:border-red-200 focus:bg-white"
+                  placeholder="标题..."
+                />
+                <textarea
+                  value={selectedNode.content}
+                  onChange={(e) => updateNode(selectedNode.id, 'content', e.target.value)}
+                  className="h-24 w-full resize-none rounded-lg border border-slate-100 bg-slate-50 p-2 text-sm text-slate-600 outline-none focus:border-red-200 focus:bg-white"
+                  placeholder="描述..."
+                />
+                <div className="grid grid-cols-2 gap-2">
+                  <input
+                    type="date"
+                    value={selectedNode.date}
+                    onChange={(e) => updateNode(selectedNode.id, 'date', e.target.value)}
+                    className="rounded-lg border border-slate-100 bg-slate-50 px-2 py-1.5 text-xs text-slate-600 outline-none"
+                  />
+                  <input
+                    type="time"
+                    value={selectedNode.time}
+                    onChange={(e) => updateNode(selectedNode.id, 'time', e.target.value)}
+                    className="rounded-lg border border-slate-100 bg-slate-50 px-2 py-1.5 text-xs text-slate-600 outline-none"
+                  />
+                  <input
+                    type="date"
+                    value={selectedNode.endDate}
+                    onChange={(e) => updateNode(selectedNode.id, 'endDate', e.target.value)}
+                    title={selectedNode.type === 'stay' ? '退房日期' : '结束日期'}
+                    className="rounded-lg border border-slate-100 bg-slate-50 px-2 py-1.5 text-xs text-slate-600 outline-none"
+                  />
+                  <input
+                    type="time"
+                    value={selectedNode.endTime}
+                    onChange={(e) => updateNode(selectedNode.id, 'endTime', e.target.value)}
+                    title={selectedNode.type === 'stay' ? '退房时间' : '结束时间'}
+                    className="rounded-lg border border-slate-100 bg-slate-50 px-2 py-1.5 text-xs text-slate-600 outline-none"
+                  />
+                  <CostInput
+                    key={`${selectedNode.id}-${formatCost(selectedNode.cost)}`}
+                    cost={selectedNode.cost}
+                    defaultCurrency={homeCurrency}
+                    onChange={(cost) => updateNode(selectedNode.id, 'cost', cost)}
+                    className="col-span-2 rounded-lg border border-slate-100 bg-slate-50 px-2 py-1.5"
+                  />
+                  <input
+                    type="number"
+                    step="0.0001"
+                    value={selectedNode.lat ?? ''}
+                    onChange={(e) =>
+                      setNodeCoords(
+                        selectedNode.id,
+                        e.target.value === '' ? null : Number(e.target.value),
+                        selectedNode.lng,
+                      )
+                    }
+                    className="rounded-lg border border-slate-100 bg-slate-50 px-2 py-1.5 text-xs text-slate-600 outline-none"
+                    placeholder="纬度"
+                  />
+                  <input
+                    type="number"
+                    step="0.0001"
+                    value={selectedNode.lng ?? ''}
+                    onChange={(e) =>
+                      setNodeCoords(
+                        selectedNode.id,
+                        selectedNode.lat,
+                        e.target.value === '' ? null : Number(e.target.value),
+                      )
+                    }
+                    className="rounded-lg border border-slate-100 bg-slate-50 px-2 py-1.5 text-xs text-slate-600 outline-none"
+                    placeholder="经度"
+                  />
                 </div>
+                {travellers.length > 0 && (
+                  <SplitEditor
+                    expense={selectedNode}
+                    travellers={travellers}
+                    onChange={(field, value) => updateNode(selectedNode.id, field, value)}
+                  />
+                )}
+                {scheduleWarnings.get(selectedNode.id)?.map((warning) => (
+                  <p key={warning} className="flex items-start gap-1 text-xs text-amber-600">
+                    <AlertTriangle size={12} className="mt-0.5 shrink-0" />
+                    {warning}
+                  </p>
+                ))}
               </div>
-            );
-          })}
+            ) : (
+              <p className="p-4 text-xs italic text-slate-400">点击地图上的节点进行编辑。</p>
+            )}
 
-          <div className="mt-8 border-t border-slate-100 pt-6 text-center">
-            <button className="flex w-full items-center justify-center gap-2 rounded-xl bg-slate-900 py-3 text-white transition-colors hover:bg-slate-800">
-              <Printer size={16} />
-              导出 PDF 路书
-            </button>
+            {nodes.some((n) => !isValidLatLng(n.lat, n.lng)) && (
+              <div className="max-h-48 overflow-y-auto border-t border-slate-100 bg-slate-50 p-3">
+                <h4 className="mb-2 text-xs font-bold uppercase tracking-wider text-slate-400">未定位的节点</h4>
+                {nodes
+                  .filter((n) => !isValidLatLng(n.lat, n.lng))
+                  .map((n) => (
+                    <button
+                      key={n.id}
+                      onClick={() => setSelectedNodeId(n.id)}
+                      className={`block w-full truncate rounded-md px-2 py-1 text-left text-xs ${n.id === selectedNodeId ? 'bg-red-50 text-red-600' : 'text-slate-600 hover:bg-white'}`}
+                    >
+                      {n.title || '未命名'}
+                    </button>
+                  ))}
+              </div>
+            )}
           </div>
-        </div>
-      </div>
-
+        )}
 
+        {/* 时间线视图：每天一列，列内按时段分组 */}
+        {viewMode === 'timeline' && (
+          <div className="absolute inset-0 z-0 flex gap-4 overflow-x-auto px-6 pb-6 pt-24">
+            {[...datedDays, { date: '', nodes: roadbookDays.find((d) => !d.date)?.nodes || [] }, { date: null, nodes: [] }].map(
+              (day, dayIndex) => {
+                // date 为 null 的是“新增一天”的占位列
+                const isNewDay = day.date === null;
+                const columnDate = isNewDay
+                  ? addDays(datedDays[datedDays.length - 1]?.date, 1) || new Date().toISOString().slice(0, 10)
+                  : day.date;
+                const slots = [{ id: 'unscheduled', label: '未定时间', start: null }, ...TIME_SLOTS];
 
-      {apiSettingsOpen && (
-        <div className="absolute inset-0 z-[70] flex items-center justify-center bg-slate-950/45 p-4 backdrop-blur-sm">
-          <div className="relative w-full max-w-xl overflow-hidden rounded-3xl border border-white/40 bg-white/90 p-0 shadow-2xl">
-            <div className="pointer-events-none absolute -left-20 -top-20 h-56 w-56 rounded-full bg-red-300/30 blur-3xl" />
-            <div className="pointer-events-none absolute -bottom-24 -right-16 h-64 w-64 rounded-full bg-orange-300/30 blur-3xl" />
+                return (
+                  <div
+                    key={isNewDay ? 'new-day' : day.date || 'undated'}
+                    className={`flex w-72 shrink-0 flex-col rounded-2xl border ${isNewDay ? 'border-dashed border-slate-300 bg-white/50' : 'border-slate-200 bg-white/90'} shadow-sm`}
+                  >
+                    <div className="border-b border-slate-100 px-4 py-3">
+                      <div className="flex items-center gap-2 text-sm font-bold text-slate-800">
+                        {isNewDay && <CalendarPlus size={14} className="text-slate-400" />}
+                        {isNewDay ? `新的一天 · ${columnDate}` : day.date ? `第 ${dayIndex + 1} 天 · ${day.date}` : '待定日期'}
+                      </div>
+                      {!isNewDay && (
+                        <div className="flex items-center justify-between text-xs text-slate-400">
+                          {day.nodes.length} 个行程点
+                          {day.date && day.nodes.length >= 3 && (
+                            <button
+                              onClick={() => openDayRouteOptimiser(day.date)}
+                              className="flex items-center gap-1 rounded-md px-1.5 py-0.5 text-slate-500 hover:bg-slate-100 hover:text-red-600"
+                            >
+                              <Route size={12} /> 优化路线
+                            </button>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                    <div className="flex-1 space-y-2 overflow-y-auto p-3">
+                      {(isNewDay || !day.date ? slots.slice(0, 1) : slots).map((slot) => {
+                        const slotNodes = day.nodes.filter((n) =>
+                          slot.start === null ? !timeSlotOf(n.time) : timeSlotOf(n.time)?.id === slot.id,
+                        );
+                        return (
+                          <div
+                            key={slot.id}
+                            onDragOver={(e) => e.preventDefault()}
+                            onDrop={(e) => {
+                              e.preventDefault();
+                              if (timelineDragId) {
+                                moveNodeInTimeline(timelineDragId, columnDate, slot.start === null ? null : slot);
+                              }
+                              setTimelineDragId(null);
+                            }}
+                            className={`min-h-[52px] rounded-xl border border-dashed p-2 transition-colors ${timelineDragId ? 'border-red-200 bg-red-50/40' : 'border-slate-200'}`}
+                          >
+                            <div className="mb-1 text-[10px] font-semibold uppercase tracking-wider text-slate-400">
+                              {isNewDay ? '拖到这里安排到新的一天' : slot.start ? `${slot.label} · ${slot.start}` : slot.label}
+                            </div>
+                            {slotNodes.map((node) => {
+                              const nodeTypeConfig = NODE_TYPES[(node.type || 'note').toUpperCase()] || NODE_TYPES.NOTE;
+                              return (
+                                <div
+                                  key={node.id}
+                                  draggable
+                                  onDragStart={(e) => {
+                                    e.dataTransfer.effectAllowed = 'move';
+                                    e.dataTransfer.setData('text/plain', node.id);
+                                    setTimelineDragId(node.id);
+                                  }}
+                                  onDragEnd={() => setTimelineDragId(null)}
+                                  onClick={() => setSelectedNodeId(node.id)}
+                                  onDoubleClick={showCanvasView}
+                                  className={`mb-1.5 flex cursor-grab items-center gap-2 rounded-lg border bg-white px-2 py-1.5 shadow-sm active:cursor-grabbing ${node.id === selectedNodeId ? 'border-red-300 ring-2 ring-red-100' : 'border-slate-100'}`}
+                                >
+                                  <div className={`h-2 w-2 shrink-0 rounded-full ${nodeTypeConfig.color}`} />
+                                  <span className="min-w-0 flex-1 truncate text-xs font-medium text-slate-700">
+                                    {node.title || '未命名'}
+                                  </span>
+                                  {scheduleWarnings.has(node.id) && (
+                                    <span title={scheduleWarnings.get(node.id).join('\n')} className="shrink-0">
+                                      <AlertTriangle size={12} className="text-amber-500" />
+                                    </span>
+                                  )}
+                                  {day.date && (
+                                    <input
+                                      type="time"
+                                      value={node.time}
+                                      onChange={(e) => updateNode(node.id, 'time', e.target.value)}
+                                      onClick={(e) => e.stopPropagation()}
+                                      className="w-[72px] shrink-0 border-none bg-transparent p-0 text-[10px] text-slate-500 outline-none"
+                                    />
+                                  )}
+                                </div>
+                              );
+                            })}
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </div>
+                );
+              },
+            )}
+          </div>
+        )}
 
-            <div className="relative border-b border-slate-100 bg-white/70 px-6 py-5">
-              <div className="mb-1 text-xs font-semibold uppercase tracking-wider text-red-500">VoyageBoard</div>
-              <div className="flex items-center justify-between">
-                <h3 className="text-xl font-black text-slate-800">ARK API 设置中心</h3>
+        {/* 连线编辑 */}
+        {viewMode === 'canvas' && selectedConnectionInfo && (
+          <div className="absolute left-1/2 top-24 z-40 w-[26rem] -translate-x-1/2 rounded-2xl border border-slate-200 bg-white/95 p-4 text-xs shadow-xl backdrop-blur">
+            <div className="mb-3 flex items-center gap-2">
+              <span className="truncate font-bold text-slate-700">{selectedConnectionEnds.from.title || '未命名'}</span>
+              <ArrowRight size={14} className="shrink-0 text-red-500" />
+              <span className="truncate font-bold text-slate-700">{selectedConnectionEnds.to.title || '未命名'}</span>
+              <div className="ml-auto flex shrink-0 items-center gap-1">
                 <button
-                  onClick={() => setApiSettingsOpen(false)}
-                  className="rounded-full p-1.5 text-slate-500 transition-colors hover:bg-slate-100"
+                  onClick={() =>
+                    updateConnection(selectedConnection.id, {
+                      from: selectedConnection.to,
+                      to: selectedConnection.from,
+                    })
+                  }
+                  disabled={connections.some(
+                    (c) => c.from === selectedConnection.to && c.to === selectedConnection.from,
+                  )}
+                  title="反转方向"
+                  className="rounded-md p-1 text-slate-400 hover:bg-slate-100 hover:text-slate-600 disabled:opacity-30"
+                >
+                  <ArrowLeftRight size={14} />
+                </button>
+                <button
+                  onClick={() => deleteConnection(selectedConnection.id)}
+                  title="删除连线 (Delete)"
+                  className="rounded-md p-1 text-slate-400 hover:bg-red-50 hover:text-red-600"
+                >
+                  <Trash2 size={14} />
+                </button>
+                <button
+                  onClick={() => setSelectedConnectionId(null)}
+                  className="rounded-md p-1 text-slate-400 hover:bg-slate-100"
                 >
-                  <X size={18} />
+                  <X size={14} />
                 </button>
               </div>
-              <p className="mt-1 text-xs text-slate-500">本地浏览器存储，不会自动上传到仓库。</p>
             </div>
 
-            <div className="relative space-y-4 px-6 py-5 text-sm">
-              <label className="block">
-                <div className="mb-1.5 text-xs font-semibold uppercase tracking-wide text-slate-500">API Key</div>
-                <input
-                  type="password"
-                  value={apiConfig.apiKey}
-                  onChange={(e) => setApiConfig((p) => ({ ...p, apiKey: e.target.value.trim() }))}
-                  placeholder="24037c8d-xxxx..."
-                  className="w-full rounded-xl border border-slate-200 bg-white/80 px-3 py-2.5 text-sm outline-none ring-red-200 transition-all focus:border-red-300 focus:ring-2"
-                />
-              </label>
+            <div className="mb-3 grid grid-cols-6 gap-1">
+              {[[null, { label: '自动', icon: Route }], ...Object.entries(TRANSPORT_MODES)].map(([modeId, mode]) => (
+                <button
+                  key={modeId || 'auto'}
+                  onClick={() => updateConnection(selectedConnection.id, { mode: modeId })}
+                  title={modeId ? mode.label : '按距离推荐交通方式'}
+                  className={`flex flex-col items-center gap-0.5 rounded-lg border py-1.5 ${(selectedConnection.mode || null) === modeId ? 'border-red-200 bg-red-50 text-red-600' : 'border-slate-100 text-slate-500 hover:bg-slate-50'}`}
+                >
+                  <mode.icon size={14} />
+                  {mode.label}
+                </button>
+              ))}
+            </div>
 
+            <div className="grid grid-cols-3 gap-2">
+              {[
+                ['departTime', '出发'],
+                ['arriveTime', '到达'],
+              ].map(([field, label]) => (
+                <label key={field} className="block">
+                  <span className="text-slate-400">{label}</span>
+                  <input
+                    type="time"
+                    value={selectedConnection[field] || ''}
+                    onChange={(e) =>
+                      updateConnection(
+                        selectedConnection.id,
+                        { [field]: e.target.value },
+                        `${field}-${selectedConnection.id}`,
+                      )
+                    }
+                    className="mt-0.5 w-full rounded-lg border border-slate-100 bg-slate-50 px-2 py-1.5 outline-none"
+                  />
+                </label>
+              ))}
               <label className="block">
-                <div className="mb-1.5 text-xs font-semibold uppercase tracking-wide text-slate-500">Model Endpoint ID</div>
+                <span className="text-slate-400">时长 (分钟)</span>
                 <input
-                  type="text"
-                  value={apiConfig.model}
-                  onChange={(e) => setApiConfig((p) => ({ ...p, model: e.target.value.trim() }))}
-                  placeholder="ep-20260217114921-wvt6d"
-                  className="w-full rounded-xl border border-slate-200 bg-white/80 px-3 py-2.5 text-sm outline-none ring-red-200 transition-all focus:border-red-300 focus:ring-2"
+                  type="number"
+                  min="1"
+                  value={selectedConnection.durationMin ?? ''}
+                  onChange={(e) => {
+                    const minutes = Math.round(Number(e.target.value));
+                    updateConnection(
+                      selectedConnection.id,
+                      { durationMin: e.target.value !== '' && minutes > 0 ? minutes : null },
+                      `duration-${selectedConnection.id}`,
+                    );
+                  }}
+                  placeholder={
+                    selectedConnectionInfo.minutes !== null ? String(selectedConnectionInfo.minutes) : '未知'
+                  }
+                  className="mt-0.5 w-full rounded-lg border border-slate-100 bg-slate-50 px-2 py-1.5 outline-none"
                 />
               </label>
+            </div>
 
-              <label className="block">
-                <div className="mb-1.5 text-xs font-semibold uppercase tracking-wide text-slate-500">Base URL</div>
-                <input
-                  type="text"
-                  value={apiConfig.baseUrl}
-                  onChange={(e) => setApiConfig((p) => ({ ...p, baseUrl: e.target.value.trim() }))}
-                  placeholder="https://ark.cn-beijing.volces.com/api/v3"
-                  className="w-full rounded-xl border border-slate-200 bg-white/80 px-3 py-2.5 text-sm outline-none ring-red-200 transition-all focus:border-red-300 focus:ring-2"
+            <label className="mt-2 flex items-center gap-2">
+              <span className="shrink-0 text-slate-400">费用</span>
+              <CostInput
+                key={`${selectedConnection.id}-${formatCost(selectedConnection.cost)}`}
+                cost={selectedConnection.cost}
+                defaultCurrency={homeCurrency}
+                onChange={(cost) => updateConnection(selectedConnection.id, { cost })}
+                className="flex-1 rounded-lg border border-slate-100 bg-slate-50 px-2 py-1.5"
+              />
+            </label>
+            {travellers.length > 0 && (
+              <div className="mt-2">
+                <SplitEditor
+                  expense={selectedConnection}
+                  travellers={travellers}
+                  onChange={(field, value) => updateConnection(selectedConnection.id, { [field]: value })}
                 />
-              </label>
+              </div>
+            )}
+            <p className="mt-2 text-slate-400">
+              {selectedConnectionInfo.minutes !== null
+                ? `${selectedConnectionInfo.estimated ? '预估' : ''}用时 ${formatDuration(selectedConnectionInfo.minutes)}`
+                : '两端都定位后可估算用时'}
+              {selectedConnectionInfo.distKm !== null && ` · 直线距离 ${Math.round(selectedConnectionInfo.distKm)}km`}
+              ，费用计入交通预算
+            </p>
+          </div>
+        )}
+
+        {/* 多选工具条 */}
+        {viewMode === 'canvas' && selection.length > 1 && (
+          <div className="absolute left-1/2 top-24 z-40 flex -translate-x-1/2 items-center gap-1 rounded-xl border border-slate-200 bg-white/95 px-2 py-1.5 text-xs shadow-lg backdrop-blur">
+            <span className="px-2 font-semibold text-slate-600">已选择 {selection.length} 个节点</span>
+            <button
+              onClick={copySelection}
+              title="复制到剪贴板 (Ctrl+C)，可粘贴到其他行程"
+              className="flex items-center gap-1 rounded-md px-2 py-1 font-semibold text-slate-600 hover:bg-slate-100"
+            >
+              <Copy size={12} /> 复制
+            </button>
+            <button
+              onClick={duplicateSelection}
+              title="创建副本 (Ctrl+D)"
+              className="flex items-center gap-1 rounded-md px-2 py-1 font-semibold text-slate-600 hover:bg-slate-100"
+            >
+              <CopyPlus size={12} /> 副本
+            </button>
+            <button
+              onClick={createFrameFromSelection}
+              title="把选中的节点放进一个分组"
+              className="flex items-center gap-1 rounded-md px-2 py-1 font-semibold text-slate-600 hover:bg-slate-100"
+            >
+              <Group size={12} /> 成组
+            </button>
+            <button
+              onClick={() => openRouteOptimiser(selection, `选中的 ${selection.length} 个节点`)}
+              className="flex items-center gap-1 rounded-md px-2 py-1 font-semibold text-slate-600 hover:bg-slate-100"
+            >
+              <Route size={12} /> 优化路线
+            </button>
+            <button
+              onClick={() => deleteNodes(selection)}
+              title="删除 (Delete)"
+              className="flex items-center gap-1 rounded-md px-2 py-1 font-semibold text-red-600 hover:bg-red-50"
+            >
+              <Trash2 size={12} /> 删除
+            </button>
+            <button
+              onClick={() => setSelection([])}
+              title="取消选择 (Esc)"
+              className="rounded-md p-1 text-slate-400 hover:bg-slate-100"
+            >
+              <X size={12} />
+            </button>
+          </div>
+        )}
+
+        {/* 右下角控制区 */}
+        <div className={`absolute bottom-6 right-6 z-50 flex flex-col items-end gap-4 ${viewMode !== 'canvas' ? 'hidden' : ''}`}>
+          {/* 连线模式提示 */}
+          {connectingSourceId && (
+            <div className="flex animate-bounce items-center gap-2 rounded-xl bg-red-600 px-4 py-2 text-sm font-medium text-white shadow-lg">
+              <LinkIcon size={16} />
+              点击另一个节点连线
             </div>
+          )}
+
+          {/* 小地图 (Minimap)：缩放到能容纳全部内容，点击跳转，拖动视口框平移画布 */}
+          <div
+            className="relative hidden cursor-pointer touch-none select-none overflow-hidden rounded-xl border border-slate-200 bg-white/90 shadow-lg backdrop-blur sm:block"
+            style={MINIMAP_SIZE}
+            onPointerDown={handleMinimapPointerDown}
+            onPointerMove={handleMinimapPointerMove}
+            onPointerUp={handleMinimapPointerUp}
+            onPointerCancel={handleMinimapPointerUp}
+            onLostPointerCapture={() => setMinimapGrab(null)}
+          >
+            <div className="absolute inset-0 bg-[radial-gradient(#cbd5e1_1px,transparent_1px)] bg-[length:4px_4px] opacity-20" />
+            <MinimapLayer
+              nodes={canvasNodes}
+              nodeById={nodeById}
+              connections={connections}
+              frameGroups={frameGroups}
+              collapsedFrameOf={collapsedFrameOf}
+              projection={minimapProjection}
+            />
+            {/* 视口框 */}
+            <div
+              className={`absolute border-2 border-red-500/30 bg-red-500/10 ${minimapGrab ? 'cursor-grabbing' : 'cursor-grab'}`}
+              style={{
+                left: viewportCanvasRect.x * minimapProjection.scale + minimapProjection.x,
+                top: viewportCanvasRect.y * minimapProjection.scale + minimapProjection.y,
+                width: viewportCanvasRect.width * minimapProjection.scale,
+                height: viewportCanvasRect.height * minimapProjection.scale,
+              }}
+            />
+          </div>
 
-            <div className="relative flex items-center justify-between border-t border-slate-100 bg-white/70 px-6 py-4">
+          {/* 自动布局 & 缩放控制 */}
+          <div className="flex flex-col gap-2">
+            <div className="flex flex-col overflow-hidden rounded-xl border border-slate-200 bg-white shadow-lg">
+              {Object.entries(AUTO_LAYOUTS).map(([id, layout]) => (
+                <button
+                  key={id}
+                  onClick={() => applyAutoLayout(id)}
+                  disabled={nodes.length === 0}
+                  title={layout.label}
+                  className="border-b border-slate-100 p-3 transition-colors last:border-b-0 hover:bg-slate-50 disabled:opacity-30"
+                >
+                  <layout.icon size={20} />
+                </button>
+              ))}
+            </div>
+            <div className="flex flex-col overflow-hidden rounded-xl border border-slate-200 bg-white shadow-lg">
               <button
-                onClick={() => setApiConfig(getDefaultArkConfig())}
-                className="rounded-xl border border-slate-200 px-3.5 py-2 text-xs font-semibold text-slate-600 transition-colors hover:bg-slate-50"
+                onClick={() => setCanvasTransform((p) => ({ ...p, scale: Math.min(p.scale + 0.1, 3) }))}
+                className="border-b border-slate-100 p-3 transition-colors hover:bg-slate-50"
               >
-                恢复默认
+                <Plus size={20} />
               </button>
               <button
-                onClick={() => setApiSettingsOpen(false)}
-                className="rounded-xl bg-gradient-to-r from-red-600 to-orange-500 px-4 py-2 text-sm font-semibold text-white shadow-md transition-all hover:brightness-105"
+                onClick={() => setCanvasTransform((p) => ({ ...p, scale: Math.max(p.scale - 0.1, 0.2) }))}
+                className="p-3 transition-colors hover:bg-slate-50"
               >
-                保存并关闭
+                <Minus size={20} />
               </button>
             </div>
-          </div>
-        </div>
-      )}
-
-      {showRoadbook && <div onClick={() => setShowRoadbook(false)} className="absolute inset-0 z-[55] bg-black/20 backdrop-blur-[1px]" />}
-
-      {/* 右下角控制区 */}
-      <div className="absolute bottom-6 right-6 z-50 flex flex-col items-end gap-4">
-        {/* 连线模式提示 */}
-        {connectingSourceId && (
-          <div className="flex animate-bounce items-center gap-2 rounded-xl bg-red-600 px-4 py-2 text-sm font-medium text-white shadow-lg">
-            <LinkIcon size={16} />
-            点击另一个节点连线
-          </div>
-        )}
-
-        {/* 小地图 (Minimap) */}
-        <div className="relative hidden h-32 w-32 overflow-hidden rounded-xl border border-slate-200 bg-white/90 shadow-lg backdrop-blur sm:block">
-          <div className="absolute inset-0 bg-[radial-gradient(#cbd5e1_1px,transparent_1px)] bg-[length:4px_4px] opacity-20" />
-          {nodes.map((n) => {
-            // 修复：确保 type 存在且有效
-            const typeKey = (n.type || 'note').toUpperCase();
-            const nodeTypeConfig = NODE_TYPES[typeKey] || NODE_TYPES.NOTE;
-            return (
-              <div
-                key={n.id}
-                className={`absolute h-1.5 w-1.5 rounded-full ${nodeTypeConfig.color}`}
-                style={{
-                  left: `${(n.x + 2000) * 0.03}px`,
-                  top: `${(n.y + 2000) * 0.03}px`,
-                }}
-              />
-            );
-          })}
-          {/* 视口框 */}
-          <div
-            className="absolute border-2 border-red-500/30 bg-red-500/10"
-            style={{
-              left: `${(-canvasTransform.x + 2000) * 0.03}px`,
-              top: `${(-canvasTransform.y + 2000) * 0.03}px`,
-              width: `${(window.innerWidth / canvasTransform.scale) * 0.03}px`,
-              height: `${(window.innerHeight / canvasTransform.scale) * 0.03}px`,
-            }}
-          />
-        </div>
-
-        {/* 缩放控制 */}
-        <div className="flex flex-col gap-2">
-          <div className="flex flex-col overflow-hidden rounded-xl border border-slate-200 bg-white shadow-lg">
-            <button
-              onClick={() => setCanvasTransform((p) => ({ ...p, scale: Math.min(p.scale + 0.1, 3) }))}
-              className="border-b border-slate-100 p-3 transition-colors hover:bg-slate-50"
-            >
-              <Plus size={20} />
-            </button>
             <button
-              onClick={() => setCanvasTransform((p) => ({ ...p, scale: Math.max(p.scale - 0.1, 0.2) }))}
-              className="p-3 transition-colors hover:bg-slate-50"
+              onClick={() => setCanvasTransform({ x: 0, y: 0, scale: 1 })}
+              className="rounded-xl border border-slate-200 bg-white p-3 shadow-lg transition-colors hover:bg-slate-50"
             >
-              <Minus size={20} />
+              <Maximize size={20} />
             </button>
           </div>
-          <button
-            onClick={() => setCanvasTransform({ x: 0, y: 0, scale: 1 })}
-            className="rounded-xl border border-slate-200 bg-white p-3 shadow-lg transition-colors hover:bg-slate-50"
-          >
-            <Maximize size={20} />
-          </button>
         </div>
-      </div>
 
-      {/* 画布区域 */}
-      <div
-        ref={viewportRef}
-        className="canvas-bg h-full w-full cursor-default"
-        onWheel={handleWheel}
-        onMouseDown={handleMouseDown}
-        onMouseMove={handleMouseMove}
-        onMouseUp={handleMouseUp}
-        onMouseLeave={handleMouseUp}
-      >
+        {/* 画布区域 */}
         <div
-          style={{
-            transform: `translate(${canvasTransform.x}px, ${canvasTransform.y}px) scale(${canvasTransform.scale})`,
-            transformOrigin: '0 0',
-            transition: isPanning || draggedNodeId ? 'none' : 'transform 0.15s cubic-bezier(0.4, 0, 0.2, 1)',
-          }}
-          className="relative h-0 w-0"
+          ref={viewportRef}
+          className={`canvas-bg h-full w-full cursor-default ${viewMode !== 'canvas' ? 'hidden' : ''}`}
+          onWheel={handleWheel}
+          onMouseDown={handleMouseDown}
+          onMouseMove={handleMouseMove}
+          onMouseUp={handleMouseUp}
+          onMouseLeave={handleMouseUp}
         >
-          {/* 背景网格 */}
           <div
-            className="pointer-events-none absolute"
             style={{
-              width: '20000px',
-              height: '20000px',
-              left: '-10000px',
-              top: '-10000px',
-              backgroundImage: 'radial-gradient(#cbd5e1 1.5px, transparent 1.5px)',
-              backgroundSize: '40px 40px',
-              opacity: 0.5,
+              transform: `translate(${canvasTransform.x}px, ${canvasTransform.y}px) scale(${canvasTransform.scale})`,
+              transformOrigin: '0 0',
+              transition:
+                isPanning || draggedNodeId || minimapGrab ? 'none' : 'transform 0.15s cubic-bezier(0.4, 0, 0.2, 1)',
             }}
-          />
+            className="relative h-0 w-0"
+          >
+            {/* 背景网格 */}
+            <div
+              className="pointer-events-none absolute"
+              style={{
+                width: '20000px',
+                height: '20000px',
+                left: '-10000px',
+                top: '-10000px',
+                backgroundImage: 'radial-gradient(#cbd5e1 1.5px, transparent 1.5px)',
+                backgroundSize: '40px 40px',
+                opacity: 0.5,
+              }}
+            />
 
-          {/* SVG 连线层 */}
-          <svg className="absolute left-[-10000px] top-[-10000px] z-0 h-[20000px] w-[20000px] pointer-events-none overflow-visible">
-            {connections.map((conn) => {
-              const fromNode = nodes.find((n) => n.id === conn.from);
-              const toNode = nodes.find((n) => n.id === conn.to);
-              if (!fromNode || !toNode) return null;
+            {/* 分组区域 */}
+            {frameGroups
+              .filter(({ frame }) => !frame.collapsed)
+              .map(({ frame, members, bounds, cost }) => {
+                const color = FRAME_COLORS[frame.color];
+                return (
+                  <div
+                    key={frame.id}
+                    className={`group absolute z-0 rounded-3xl border-2 ${color.border} ${color.fill}`}
+                    style={{
+                      transform: `translate(${bounds.x}px, ${bounds.y}px)`,
+                      width: bounds.width,
+                      height: bounds.height,
+                    }}
+                  >
+                    <div
+                      className="flex h-11 cursor-grab items-center gap-2 px-4 active:cursor-grabbing"
+                      onMouseDown={(e) => {
+                        e.stopPropagation();
+                        startDrag(
+                          e,
+                          frame.id,
+                          members.map((n) => n.id),
+                        );
+                      }}
+                    >
+                      <input
+                        value={frame.title}
+                        onChange={(e) => updateFrame(frame.id, { title: e.target.value }, `frame-title-${frame.id}`)}
+                        onMouseDown={(e) => e.stopPropagation()}
+                        placeholder="分组名称"
+                        className={`min-w-0 flex-1 bg-transparent text-sm font-bold outline-none ${color.text}`}
+                      />
+                      <span className="shrink-0 text-xs text-slate-500">
+                        {members.length} 个 · {formatMoney(cost, homeCurrency)}
+                      </span>
+                      <div
+                        className="hidden items-center gap-1 group-hover:flex"
+                        onMouseDown={(e) => e.stopPropagation()}
+                      >
+                        {Object.entries(FRAME_COLORS).map(([colorId, option]) => (
+                          <button
+                            key={colorId}
+                            onClick={() => updateFrame(frame.id, { color: colorId })}
+                            title={option.label}
+                            className={`h-2.5 w-2.5 rounded-full ${option.dot} ${frame.color === colorId ? 'ring-2 ring-slate-300 ring-offset-1' : ''}`}
+                          />
+                        ))}
+                        <button
+                          onClick={() => toggleFrameCollapsed(frame)}
+                          title="折叠分组"
+                          className="ml-1 rounded p-0.5 text-slate-400 hover:bg-white hover:text-slate-600"
+                        >
+                          <ChevronUp size={14} />
+                        </button>
+                        <button
+                          onClick={() => removeFrame(frame.id)}
+                          title="解散分组 (保留节点)"
+                          className="rounded p-0.5 text-slate-400 hover:bg-white hover:text-red-600"
+                        >
+                          <Ungroup size={14} />
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                );
+              })}
 
-              const fX = fromNode.x + 10000;
-              const fY = fromNode.y + 10000;
-              const tX = toNode.x + 10000;
-              const tY = toNode.y + 10000;
+            {/* SVG 连线层 */}
+            <svg className="absolute left-[-10000px] top-[-10000px] z-0 h-[20000px] w-[20000px] pointer-events-none overflow-visible">
+              <defs>
+                {[
+                  ['default', '#ef4444'],
+                  ['selected', '#b91c1c'],
+                  ['idle', '#94a3b8'],
+                ].map(([id, color]) => (
+                  <marker
+                    key={id}
+                    id={`edge-arrow-${id}`}
+                    viewBox="0 0 10 10"
+                    refX="9"
+                    refY="5"
+                    markerWidth="5"
+                    markerHeight="5"
+                    orient="auto-start-reverse"
+                  >
+                    <path d="M 0 0 L 10 5 L 0 10 z" fill={color} />
+                  </marker>
+                ))}
+              </defs>
+              {connections.map((conn) => {
+                const fromNode = nodeById.get(conn.from);
+                const toNode = nodeById.get(conn.to);
+                if (!fromNode || !toNode) return null;
+                const fromFrame = collapsedFrameOf.get(fromNode.id);
+                const toFrame = collapsedFrameOf.get(toNode.id);
+                if (fromFrame && fromFrame === toFrame) return null;
+                const fromPos = fromFrame ? collapsedCardPosition(fromFrame.bounds) : fromNode;
+                const toPos = toFrame ? collapsedCardPosition(toFrame.bounds) : toNode;
+                // 曲线不会超出两端锚点围成的矩形，矩形在视口外时整条连线都不渲染
+                if (
+                  !boxInView(visibleRect, { x: fromPos.x + 280, y: fromPos.y + 120 }, { x: toPos.x, y: toPos.y + 120 })
+                ) {
+                  return null;
+                }
 
-              const startX = fX + 280; // 节点宽度调整
-              const startY = fY + 120; // 节点高度调整
-              const endX = tX;
-              const endY = tY + 120;
+                const fX = fromPos.x + 10000;
+                const fY = fromPos.y + 10000;
+                const tX = toPos.x + 10000;
+                const tY = toPos.y + 10000;
 
-              // 计算距离 (模拟: 1px = 0.5km)
-              const distPx = Math.hypot(endX - startX, endY - startY);
-              const distKm = Math.round(distPx * 0.5);
+                const startX = fX + 280; // 节点宽度调整
+                const startY = fY + 120; // 节点高度调整
+                const endX = tX;
+                const endY = tY + 120;
 
-              const cp1X = startX + (endX - startX) / 2;
-              const d = `M ${startX} ${startY} C ${cp1X} ${startY}, ${cp1X} ${endY}, ${endX} ${endY}`;
+                // 标签：距离、交通方式 (未指定时按距离推荐)、时长、出发到达时间与费用
+                const info = describeConnection(conn, fromNode, toNode);
+                const ModeIcon = info.modeId ? TRANSPORT_MODES[info.modeId].icon : null;
+                const edgeLabel =
+                  [
+                    info.distKm !== null && `${info.distKm < 10 ? info.distKm.toFixed(1) : Math.round(info.distKm)}km`,
+                    info.modeId && TRANSPORT_MODES[info.modeId].label,
+                    info.minutes !== null && `${info.estimated ? '约' : ''}${formatDuration(info.minutes)}`,
+                    (conn.departTime || conn.arriveTime) && `${conn.departTime || '?'}-${conn.arriveTime || '?'}`,
+                    conn.cost && formatCost(conn.cost),
+                  ]
+                    .filter(Boolean)
+                    .join(' · ') || '未定位';
+                const labelWidth = Math.max(60, edgeLabel.length * 9 + 12) + (ModeIcon ? 16 : 0);
+                const isSelected = conn.id === selectedConnectionId;
+                const stroke = connectingSourceId ? '#94a3b8' : isSelected ? '#b91c1c' : '#ef4444';
+                const select = (e) => {
+                  e.stopPropagation();
+                  selectConnection(conn.id);
+                };
 
-              const midX = (startX + endX) / 2;
-              const midY = (startY + endY) / 2;
+                const cp1X = startX + (endX - startX) / 2;
+                const d = `M ${startX} ${startY} C ${cp1X} ${startY}, ${cp1X} ${endY}, ${endX} ${endY}`;
 
-              return (
-                <g key={conn.id}>
-                  <path d={d} stroke="#cbd5e1" strokeWidth="4" fill="none" />
-                  <path
-                    d={d}
-                    stroke={connectingSourceId ? '#94a3b8' : '#ef4444'}
-                    strokeWidth="2"
-                    fill="none"
-                    strokeDasharray={connectingSourceId ? '5,5' : '0'}
-                  />
+                const midX = (startX + endX) / 2;
+                const midY = (startY + endY) / 2;
 
-                  {/* 距离标签 */}
-                  {!connectingSourceId && (
-                    <g transform={`translate(${midX}, ${midY})`}>
-                      <rect x="-30" y="-12" width="60" height="24" rx="12" fill="white" stroke="#e2e8f0" />
-                      <text x="0" y="4" textAnchor="middle" className="fill-slate-500 text-[10px] font-medium">
-                        {distKm}km
-                      </text>
-                    </g>
-                  )}
-                </g>
-              );
-            })}
-          </svg>
-
-          {/* 节点层 */}
-          {nodes.map((node) => {
-            // 修复：确保 type 存在且有效
-            const typeKey = (node.type || 'note').toUpperCase();
-            const Config = NODE_TYPES[typeKey] || NODE_TYPES.NOTE;
-            const Icon = Config.icon;
-            const isConnecting = connectingSourceId === node.id;
-            const isLoading = loadingNodes.has(node.id);
-            const weatherIndex = typeof node.weather === 'number' ? node.weather : 0;
-            const safeWeather = WEATHER_TYPES[weatherIndex] || WEATHER_TYPES[0];
-            const WeatherIcon = safeWeather.icon;
+                return (
+                  <g key={conn.id}>
+                    <path d={d} stroke="#cbd5e1" strokeWidth={isSelected ? 6 : 4} fill="none" />
+                    <path
+                      d={d}
+                      stroke={stroke}
+                      strokeWidth={isSelected ? 3 : 2}
+                      fill="none"
+                      strokeDasharray={connectingSourceId ? '5,5' : '0'}
+                      markerEnd={`url(#edge-arrow-${isSelected ? 'selected' : connectingSourceId ? 'idle' : 'default'})`}
+                    />
+                    {/* 加宽的透明路径，方便点选连线 */}
+                    {!connectingSourceId && (
+                      <path
+                        d={d}
+                        stroke="transparent"
+                        strokeWidth="14"
+                        fill="none"
+                        className="cursor-pointer"
+                        style={{ pointerEvents: 'stroke' }}
+                        onMouseDown={select}
+                      />
+                    )}
 
-            return (
+                    {/* 交通信息标签 */}
+                    {!connectingSourceId && (
+                      <g
+                        transform={`translate(${midX}, ${midY})`}
+                        className="cursor-pointer"
+                        style={{ pointerEvents: 'all' }}
+                        onMouseDown={select}
+                      >
+                        <rect
+                          x={-labelWidth / 2}
+                          y="-12"
+                          width={labelWidth}
+                          height="24"
+                          rx="12"
+                          fill="white"
+                          stroke={isSelected ? '#f87171' : '#e2e8f0'}
+                        />
+                        {ModeIcon && <ModeIcon x={-labelWidth / 2 + 8} y={-6} size={12} className="text-slate-500" />}
+                        <text
+                          x={ModeIcon ? 8 : 0}
+                          y="4"
+                          textAnchor="middle"
+                          className="fill-slate-500 text-[10px] font-medium"
+                        >
+                          {edgeLabel}
+                        </text>
+                      </g>
+                    )}
+                  </g>
+                );
+              })}
+            </svg>
+
+            {/* 框选 */}
+            {selectionBox && (
               <div
-                key={node.id}
-                className={`absolute z-10 flex w-[280px] select-none flex-col rounded-2xl border bg-white shadow-sm transition-all duration-200
-                  ${isConnecting ? 'border-red-500 ring-4 ring-red-400 ring-opacity-50 shadow-xl' : 'border-slate-200 hover:shadow-2xl'}
-                  ${isLoading ? 'ring-2 ring-red-400 ring-opacity-50' : ''}
-                `}
+                className="pointer-events-none absolute z-20 rounded border border-red-400 bg-red-500/10"
                 style={{
-                  transform: `translate(${node.x}px, ${node.y}px)`,
-                  cursor: draggedNodeId === node.id ? 'grabbing' : 'auto',
+                  left: Math.min(selectionBox.start.x, selectionBox.end.x),
+                  top: Math.min(selectionBox.start.y, selectionBox.end.y),
+                  width: Math.abs(selectionBox.end.x - selectionBox.start.x),
+                  height: Math.abs(selectionBox.end.y - selectionBox.start.y),
                 }}
-              >
-                {/* 顶部把手 & 标题区 */}
-                <div
-                  className={`relative flex h-24 cursor-grab items-start justify-between overflow-hidden rounded-t-2xl p-3 active:cursor-grabbing
-                    ${!node.image ? Config.color : 'bg-slate-900'}
-                  `}
-                  onMouseDown={(e) => {
-                    e.stopPropagation();
-                    setDraggedNodeId(node.id);
-                    const rect = e.currentTarget.getBoundingClientRect();
-                    setDragOffset({
-                      x: (e.clientX - rect.left) / canvasTransform.scale,
-                      y: (e.clientY - rect.top) / canvasTransform.scale,
-                    });
-                  }}
-                >
-                  {/* 背景图 */}
-                  {node.image && (
-                    <div className="absolute inset-0 z-0">
-                      <img src={node.image} alt="cover" className="h-full w-full object-cover opacity-80" />
-                      <div className="absolute inset-0 bg-gradient-to-t from-black/80 to-transparent" />
-                    </div>
-                  )}
-
-                  <div className="relative z-10 flex w-full items-center gap-2 font-medium text-white">
-                    <div className={`rounded-lg p-1.5 shadow-sm ${Config.color}`}>
-                      <Icon size={16} />
-                    </div>
-                    <input
-                      value={node.title}
-                      onChange={(e) => updateNode(node.id, 'title', e.target.value)}
-                      className="w-full border-none bg-transparent text-base font-bold text-white outline-none drop-shadow-md placeholder:text-white/70 focus:ring-0"
-                      placeholder="标题..."
-                    />
-                  </div>
+              />
+            )}
 
-                  {/* 操作按钮组 */}
-                  <div className="relative z-10 flex gap-1 opacity-0 transition-opacity group-hover:opacity-100">
-                    <button
-                      onClick={(e) => startConnection(e, node.id)}
-                      className="rounded-lg bg-white/20 p-1.5 text-white backdrop-blur-sm transition-colors hover:bg-white hover:text-red-600"
-                    >
-                      <LinkIcon size={14} />
-                    </button>
-                    <button
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        deleteNode(node.id);
-                      }}
-                      className="rounded-lg bg-white/20 p-1.5 text-white backdrop-blur-sm transition-colors hover:bg-white hover:text-red-600"
+            {/* 折叠的分组：摘要卡片 */}
+            {frameGroups
+              .filter(({ frame }) => frame.collapsed)
+              .map(({ frame, members, bounds, cost }) => {
+                const color = FRAME_COLORS[frame.color];
+                const position = collapsedCardPosition(bounds);
+                const dates = members
+                  .map((n) => n.date)
+                  .filter(Boolean)
+                  .sort();
+                return (
+                  <div
+                    key={frame.id}
+                    onMouseDown={(e) => e.stopPropagation()}
+                    className={`absolute z-10 w-[280px] select-none overflow-hidden rounded-2xl border-2 bg-white shadow-sm hover:shadow-xl ${color.border}`}
+                    style={{ transform: `translate(${position.x}px, ${position.y}px)` }}
+                  >
+                    <div
+                      className={`flex cursor-grab items-center gap-2 px-4 py-3 active:cursor-grabbing ${color.fill}`}
+                      onMouseDown={(e) =>
+                        startDrag(
+                          e,
+                          frame.id,
+                          members.map((n) => n.id),
+                        )
+                      }
                     >
-                      <Trash2 size={14} />
-                    </button>
+                      <Layers size={16} className={color.text} />
+                      <span className={`min-w-0 flex-1 truncate text-sm font-bold ${color.text}`}>
+                        {frame.title || '未命名分组'}
+                      </span>
+                      <button
+                        onMouseDown={(e) => e.stopPropagation()}
+                        onClick={() => toggleFrameCollapsed(frame)}
+                        title="展开分组"
+                        className="rounded p-0.5 text-slate-400 hover:bg-white hover:text-slate-600"
+                      >
+                        <ChevronDown size={14} />
+                      </button>
+                    </div>
+                    <div className="space-y-1 px-4 py-3 text-xs text-slate-500">
+                      <div className="flex justify-between">
+                        <span>{members.length} 个节点</span>
+                        <span className="font-semibold text-slate-700">{formatMoney(cost, homeCurrency)}</span>
+                      </div>
+                      {dates.length > 0 && (
+                        <div>
+                          {dates[0] === dates[dates.length - 1] ? dates[0] : `${dates[0]} ~ ${dates[dates.length - 1]}`}
+                        </div>
+                      )}
+                      <p className="line-clamp-2 text-slate-400">
+                        {members.map((n) => n.title || '未命名').join(' · ')}
+                      </p>
+                    </div>
                   </div>
-                </div>
+                );
+              })}
 
-                {/* 内容区域 */}
-                <div className="relative flex-1 space-y-3 rounded-b-2xl bg-white p-4">
-                  {/* AI 输入/内容区 */}
-                  <div className="group/input relative">
-                    <textarea
-                      value={node.content}
-                      onChange={(e) => updateNode(node.id, 'content', e.target.value)}
-                      className={`h-16 w-full resize-none rounded-lg border border-slate-100 bg-slate-50 p-2 text-sm leading-relaxed text-slate-600 outline-none transition-all focus:border-red-200 focus:bg-white focus:ring-2 focus:ring-red-100
-                        ${isLoading ? 'opacity-50' : ''}
-                      `}
-                      placeholder="✨ AI 功能：输入'北京三日游'，点击右下角魔法棒..."
-                      disabled={isLoading}
-                    />
+            {/* 节点层：只渲染视口附近的卡片 */}
+            {visibleNodes.map((node) => (
+              <NodeCard
+                key={node.id}
+                node={node}
+                isSelected={selection.includes(node.id)}
+                isConnecting={connectingSourceId === node.id}
+                isLoading={loadingNodes.has(node.id)}
+                isDragging={draggedNodeId === node.id}
+                isAiRunning={Boolean(aiRequests[node.id])}
+                aiError={aiErrors[node.id]}
+                findings={findingsByNode.get(node.id)}
+                isFindingFocused={(findingsByNode.get(node.id) || []).some((f) => f.key === focusedFindingKey)}
+                warnings={scheduleWarnings.get(node.id)}
+                travellers={travellers}
+                homeCurrency={homeCurrency}
+                geocoderLabel={GEOCODERS[geocoderId].label}
+                actions={cardActions}
+                onRender={onCardRender}
+              />
+            ))}
+          </div>
+        </div>
+      </div>
 
-                    {/* AI 触发按钮 */}
-                    {/* 修复：增加 node.content 安全检查，防止 trim 报错 */}
-                    <button
-                      onClick={() => handleAIFill(node.id)}
-                      disabled={isLoading || !(node.content || '').trim()}
-                      className={`absolute bottom-2 right-2 flex items-center gap-1 rounded-md p-1.5 transition-all duration-300
-                        ${
-                          isLoading
-                            ? 'bg-red-50 text-red-400'
-                            : (node.content || '').trim()
-                              ? 'bg-red-100 text-red-600 hover:bg-red-600 hover:text-white'
-                              : 'hidden'
-                        }
-                      `}
-                      title="点击让 AI 规划行程"
-                    >
-                      {isLoading ? <Loader2 size={14} className="animate-spin" /> : <Wand2 size={14} />}
-                    </button>
-                  </div>
+      {/* 打印版路书 (仅在打印 / 另存为 PDF 时可见) */}
+      <div className="hidden bg-white font-sans text-slate-900 print:block">
+        {/* 封面 */}
+        <section className="flex min-h-[250mm] break-after-page flex-col justify-between">
+          <div>
+            <div className="text-sm font-semibold uppercase tracking-widest text-red-600">VoyageBoard</div>
+            <h1 className="mt-4 text-5xl font-black text-slate-900">旅行路书</h1>
+            <p className="mt-4 text-lg text-slate-500">
+              {datedDays.length > 0 ? datedDays[0].date : '日期待定'}
+              {datedDays.length > 1 && ` — ${datedDays[datedDays.length - 1].date}`}
+              <span className="ml-2 text-sm text-slate-400">({tripTimeZone})</span>
+            </p>
+          </div>
+          <div className="grid grid-cols-3 gap-6 border-t border-slate-200 pt-6">
+            <div>
+              <div className="text-xs text-slate-400">天数</div>
+              <div className="text-2xl font-bold">{datedDays.length}</div>
+            </div>
+            <div>
+              <div className="text-xs text-slate-400">行程点</div>
+              <div className="text-2xl font-bold">{nodes.length}</div>
+            </div>
+            <div>
+              <div className="text-xs text-slate-400">预估总花费</div>
+              <div className="text-2xl font-bold">{formatMoney(totalCost, homeCurrency)}</div>
+            </div>
+          </div>
+        </section>
 
-                  {/* 信息栏 */}
-                  <div className="flex items-center gap-2 pt-1">
-                    <div className="flex flex-1 items-center gap-2 rounded-lg border border-slate-100 bg-slate-50 p-1.5">
-                      <Calendar size={14} className="text-slate-400" />
-                      <input
-                        type="text"
-                        value={node.date}
-                        onChange={(e) => updateNode(node.id, 'date', e.target.value)}
-                        className="w-full border-none bg-transparent p-0 text-xs text-slate-600 outline-none"
-                        placeholder="日期"
-                      />
-                      <div
-                        className="cursor-pointer border-l border-slate-200 pl-2"
-                        onClick={() => updateNode(node.id, 'weather', ((node.weather || 0) + 1) % 3)}
-                      >
-                        <WeatherIcon size={14} className={safeWeather.color} />
-                      </div>
-                    </div>
+        {/* 逐日行程 */}
+        {roadbookDays.map((day) => (
+          <section key={day.date || 'undated'} className="break-after-page">
+            <h2 className="mb-6 border-b-2 border-red-600 pb-2 text-2xl font-bold">
+              {/* 按有日期的天数编号，待定日期一组排在前面时不占序号 */}
+              {day.date ? `第 ${datedDays.indexOf(day) + 1} 天 · ${day.date}` : '待定日期'}
+            </h2>
+            {day.nodes.map((node) => {
+              const typeKey = (node.type || 'note').toUpperCase();
+              const nodeTypeConfig = NODE_TYPES[typeKey] || NODE_TYPES.NOTE;
+              const weather = typeof node.weather === 'number' ? WEATHER_TYPES[node.weather] : null;
 
-                    <div className="flex w-24 items-center gap-1 rounded-lg border border-slate-100 bg-slate-50 p-1.5">
-                      <DollarSign size={14} className="text-slate-400" />
-                      <input
-                        type="text"
-                        value={node.cost}
-                        onChange={(e) => updateNode(node.id, 'cost', e.target.value)}
-                        className="w-full border-none bg-transparent p-0 text-xs font-medium text-slate-600 outline-none"
-                        placeholder="价格"
-                      />
+              return (
+                <article key={node.id} className="mb-6 flex break-inside-avoid gap-4 border-b border-slate-100 pb-6">
+                  {node.image && (
+                    <img src={node.image} alt={node.title} className="h-32 w-48 shrink-0 rounded-lg object-cover" />
+                  )}
+                  <div className="flex-1">
+                    <div className="mb-1 flex items-center gap-2 text-xs text-slate-500">
+                      <span className={`rounded px-1.5 py-0.5 text-white ${nodeTypeConfig.color}`}>
+                        {nodeTypeConfig.label}
+                      </span>
+                      {node.time && <span className="font-mono">{node.time}</span>}
+                      {node.date && weather && <span>天气: {weather.label}</span>}
+                      {node.cost && <span className="ml-auto font-semibold text-slate-700">{formatCost(node.cost)}</span>}
                     </div>
+                    <h3 className="text-lg font-bold">{node.title || '未命名'}</h3>
+                    {node.content && (
+                      <p className="mt-1 whitespace-pre-wrap text-sm leading-relaxed text-slate-600">{node.content}</p>
+                    )}
+                    {scheduleWarnings.get(node.id)?.map((warning) => (
+                      <p key={warning} className="mt-1 text-xs text-amber-700">
+                        ⚠ {warning}
+                      </p>
+                    ))}
                   </div>
+                </article>
+              );
+            })}
+          </section>
+        ))}
 
-                  {/* 推荐下一站 (悬浮球) */}
-                  {(node.type === 'location' || node.type === 'stay') && !isLoading && (
-                    <button
-                      onClick={() => generateNextStop(node.id)}
-                      className="absolute -right-4 top-1/2 z-20 translate-x-4 -translate-y-1/2 rounded-full border border-slate-100 bg-white p-2.5 text-red-600 opacity-0 shadow-[0_4px_12px_rgba(0,0,0,0.1)] transition-all duration-300 hover:scale-110 hover:text-red-700 group-hover:translate-x-0 group-hover:opacity-100"
-                      title="AI 推荐下一站"
+        {/* 预算汇总 */}
+        <section className="break-inside-avoid">
+          <h2 className="mb-6 border-b-2 border-red-600 pb-2 text-2xl font-bold">预算汇总</h2>
+          <table className="w-full text-sm">
+            <tbody>
+              {[
+                ['play', '玩乐'],
+                ['stay', '住宿'],
+                ['transport', '交通'],
+                ['other', '其他'],
+              ].map(([cat, label]) => (
+                <tr key={cat} className="border-b border-slate-100">
+                  <td className="py-2 text-slate-500">{label}</td>
+                  <td className="py-2 text-right text-slate-400">
+                    {tripBudget[cat] !== null && `预算 ${formatMoney(tripBudget[cat], homeCurrency)}`}
+                  </td>
+                  <td className={`py-2 text-right font-medium ${categoryOverspend[cat] > 0 ? 'text-red-600' : ''}`}>
+                    {formatMoney(budgetStats[cat], homeCurrency)}
+                  </td>
+                </tr>
+              ))}
+              <tr>
+                <td className="py-2 font-bold">合计</td>
+                <td className="py-2 text-right text-slate-400">
+                  {tripBudget.total !== null && `预算 ${formatMoney(tripBudget.total, homeCurrency)}`}
+                </td>
+                <td className={`py-2 text-right text-lg font-bold ${totalOverspend > 0 ? 'text-red-600' : ''}`}>
+                  {formatMoney(totalCost, homeCurrency)}
+                </td>
+              </tr>
+            </tbody>
+          </table>
+
+          {datedDays.length > 0 && (
+            <table className="mt-6 w-full text-sm">
+              <tbody>
+                {datedDays.map((day) => (
+                  <tr key={day.date} className="border-b border-slate-100">
+                    <td className="py-1.5 text-slate-500">{day.date}</td>
+                    <td
+                      className={`py-1.5 text-right ${tripBudget.perDay !== null && day.total > tripBudget.perDay ? 'font-semibold text-red-600' : ''}`}
                     >
-                      <Sparkles size={16} />
-                    </button>
-                  )}
-                </div>
-              </div>
-            );
-          })}
-        </div>
+                      {formatMoney(day.total, homeCurrency)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
       </div>
-    </div>
+    </>
   );
 };
 
@@ -0,0 +1,232 @@
+// @vitest-environment jsdom
+import { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import { afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import App from './App.jsx';
+
+// 每张卡片实际渲染时，App 的 onCardRender (卡片内的 Profiler 回调) 记下它的节点 id
+const cardRenders = [];
+let container;
+let root;
+
+beforeAll(() => {
+  globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+  // jsdom 没有 ResizeObserver，卡片高度沿用默认值即可
+  globalThis.ResizeObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+});
+
+beforeEach(() => {
+  localStorage.clear();
+  container = document.createElement('div');
+  document.body.appendChild(container);
+  root = createRoot(container);
+});
+
+const renderApp = () => act(async () => root.render(<App onCardRender={(id) => cardRenders.push(id)} />));
+
+afterEach(() => {
+  act(() => root.unmount());
+  container.remove();
+  cardRenders.length = 0;
+});
+
+const click = (el) => act(() => el.dispatchEvent(new MouseEvent('click', { bubbles: true })));
+const mouse = (el, type, clientX, clientY) =>
+  act(() => el.dispatchEvent(new MouseEvent(type, { bubbles: true, button: 0, clientX, clientY })));
+const buttonByText = (text) => [...container.querySelectorAll('button')].find((b) => b.textContent.includes(text));
+const visibleCardIds = () => [...container.querySelectorAll('[data-node-id]')].map((el) => el.dataset.nodeId);
+const cardText = (id) => container.querySelector(`[data-node-id="${id}"]`).textContent;
+
+const openBenchmarkTrip = async () => {
+  // 工具栏第一个按钮是行程切换器，菜单里有开发环境的「压测」按钮
+  await click(container.querySelector('header button'));
+  await click(buttonByText('压测'));
+};
+
+// 每次渲染都要处理 1000 个节点，放宽单个用例的超时
+describe('1000 节点压测画布', { timeout: 30000 }, () => {
+  beforeEach(renderApp);
+
+  it('只挂载与视口相交的卡片', async () => {
+    await openBenchmarkTrip();
+
+    // jsdom 视口 1024×768，加上四周 400px 的保留范围：4 列 (每列 380px) × 3 行 (每行 400px)
+    const ids = visibleCardIds();
+    expect(ids).toHaveLength(12);
+    expect(ids).toContain('bench-0');
+    expect(ids).not.toContain('bench-999');
+  });
+
+  it('拖动卡片时只有被拖动的卡片重渲染', async () => {
+    await openBenchmarkTrip();
+    const viewport = container.querySelector('.canvas-bg');
+    const handle = container.querySelector('[data-node-id="bench-0"] .cursor-grab');
+
+    // 选中并开始拖动时只有 bench-0 的状态变化
+    cardRenders.length = 0;
+    await mouse(handle, 'mousedown', 100, 50);
+    expect(new Set(cardRenders)).toEqual(new Set(['bench-0']));
+
+    cardRenders.length = 0;
+    for (let step = 1; step <= 5; step++) await mouse(viewport, 'mousemove', 100 + step * 10, 50 + step * 5);
+    await mouse(viewport, 'mouseup', 150, 75);
+
+    expect(cardRenders.length).toBeGreaterThan(0);
+    expect(new Set(cardRenders)).toEqual(new Set(['bench-0']));
+    expect(container.querySelector('[data-node-id="bench-0"]').style.transform).toBe('translate(50px, 25px)');
+  });
+
+  it('平移画布时留在视口内的卡片不重渲染', async () => {
+    await openBenchmarkTrip();
+    const viewport = container.querySelector('.canvas-bg');
+    const before = new Set(visibleCardIds());
+
+    cardRenders.length = 0;
+    await act(() => viewport.dispatchEvent(new WheelEvent('wheel', { bubbles: true, deltaX: 0, deltaY: 20 })));
+
+    expect(cardRenders.filter((id) => before.has(id))).toEqual([]);
+  });
+});
+
+describe('时间校验', () => {
+  // 通过旧版存储键写入行程，首次加载时会迁移为当前行程
+  const renderTrip = (nodes, connections = []) => {
+    localStorage.setItem('voyage_nodes', JSON.stringify(nodes));
+    localStorage.setItem('voyage_connections', JSON.stringify(connections));
+    return renderApp();
+  };
+  const hotel = {
+    id: 'hotel',
+    type: 'stay',
+    title: '王府井酒店',
+    x: 100,
+    y: 100,
+    date: '2026-11-01',
+    time: '15:00',
+    endTime: '11:00',
+  };
+
+  it('住宿未填退房日期时按次日退房，不误报退房早于入住', async () => {
+    await renderTrip([hotel, { ...hotel, id: 'same-day', x: 500, endDate: '2026-11-01' }]);
+
+    expect(cardText('hotel')).not.toContain('退房时间早于入住时间');
+    expect(cardText('same-day')).toContain('退房时间早于入住时间');
+  });
+
+  it('从住宿出发的换乘按入住时间校验', async () => {
+    const stop = (id, x, date, time) => ({ id, type: 'location', title: id, x, y: 600, date, time });
+    await renderTrip(
+      [hotel, stop('dinner', 100, '2026-11-01', '18:00'), stop('next-day', 500, '2026-11-02', '09:00')],
+      [
+        { id: 'c1', from: 'hotel', to: 'dinner' },
+        { id: 'c2', from: 'hotel', to: 'next-day' },
+      ],
+    );
+
+    expect(cardText('dinner')).not.toContain('早于上一站');
+    expect(cardText('next-day')).not.toContain('早于上一站');
+  });
+});
+
+describe('费用分摊', () => {
+  const renderTrip = (trip, data) => {
+    localStorage.setItem('voyage_trips', JSON.stringify([trip]));
+    localStorage.setItem('voyage_active_trip', trip.id);
+    localStorage.setItem(`voyage_trip_${trip.id}`, JSON.stringify(data));
+    return renderApp();
+  };
+  const cost = (amount) => ({ amount, max: null, currency: 'CNY' });
+  const settlementText = () =>
+    [...container.querySelectorAll('h3')].find((h) => h.textContent.includes('费用分摊')).parentElement.parentElement
+      .textContent;
+
+  it('连线上的交通费用参与结算，付款人未定的费用单独列出', async () => {
+    await renderTrip(
+      {
+        id: 'trip-split',
+        name: '分摊',
+        homeCurrency: 'CNY',
+        travellers: [
+          { id: 'a', name: '小明' },
+          { id: 'b', name: '小红' },
+        ],
+      },
+      {
+        nodes: [
+          { id: 'n1', type: 'location', title: '故宫', x: 100, y: 100, cost: cost(100), payerId: 'a' },
+          { id: 'n2', type: 'location', title: '景山', x: 500, y: 100 },
+        ],
+        connections: [
+          { id: 'c1', from: 'n1', to: 'n2', cost: cost(60), payerId: 'b' },
+          { id: 'c2', from: 'n2', to: 'n1', cost: cost(40) },
+        ],
+      },
+    );
+
+    const text = settlementText();
+    expect(text).toContain('小明已付 ¥100 · 应付 ¥80');
+    expect(text).toContain('小红已付 ¥60 · 应付 ¥80');
+    expect(text).toContain('小红  小明¥20');
+    expect(text).toContain('付款人未定 (未计入结算)¥40');
+  });
+});
+
+describe('撤销历史', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('取消推荐下一站后不留下空的撤销步骤', async () => {
+    localStorage.setItem(
+      'voyage_nodes',
+      JSON.stringify([{ id: 'a', type: 'location', title: '故宫', x: 100, y: 100 }]),
+    );
+    localStorage.setItem('voyage_connections', '[]');
+    // 本地模型不需要 API Key，默认配置即可发请求；请求一直挂起，直到被取消
+    localStorage.setItem('voyage_api_config', JSON.stringify({ provider: 'local' }));
+    vi.stubGlobal(
+      'fetch',
+      (url, { signal }) => new Promise((_, reject) => signal.addEventListener('abort', () => reject(signal.reason))),
+    );
+    await renderApp();
+    const undoButton = container.querySelector('button[title^="撤销"]');
+    expect(undoButton.disabled).toBe(true);
+
+    await click(container.querySelector('[data-node-id="a"] button[title="AI 推荐下一站"]'));
+    expect(visibleCardIds()).toHaveLength(2);
+    expect(undoButton.disabled).toBe(false);
+
+    await act(async () => container.querySelector('button[title="停止生成"]').click());
+    expect(visibleCardIds()).toEqual(['a']);
+    expect(undoButton.disabled).toBe(true);
+  });
+
+  it('智能填充失败回滚后不留下撤销步骤', async () => {
+    localStorage.setItem(
+      'voyage_nodes',
+      JSON.stringify([{ id: 'a', type: 'note', title: '计划', content: '北京一日游', x: 100, y: 100 }]),
+    );
+    localStorage.setItem('voyage_connections', '[]');
+    localStorage.setItem('voyage_api_config', JSON.stringify({ provider: 'local' }));
+    // 只要一套方案时直接写入画布，不经过备选方案面板
+    localStorage.setItem('voyage_ai_plan_count', '1');
+    // 输出在第二步中途截断：第一步完整，会先写入画布，整份输出 (包括修正重试) 都不是合法的 JSON
+    const content = '{"steps": [{"title": "故宫", "type": "location"}, {"title": "景';
+    vi.stubGlobal(
+      'fetch',
+      async () =>
+        new Response(JSON.stringify({ message: { content }, done: true }), {
+          headers: { 'content-type': 'application/json' },
+        }),
+    );
+    await renderApp();
+
+    await act(async () => container.querySelector('button[title="点击让 AI 规划行程"]').click());
+    expect(cardText('a')).toContain('AI 返回格式有误');
+    expect(container.querySelector('[data-node-id="a"] input').value).toBe('计划');
+    expect(visibleCardIds()).toEqual(['a']);
+    expect(container.querySelector('button[title^="撤销"]').disabled).toBe(true);
+  });
+});
@@ -0,0 +1,130 @@
+// 地理编码与距离：离线地名库 / 在线地理编码器、大圆距离，以及按交通方式估算路程耗时
+import { Footprints, TramFront, CarTaxiFront, TrainFront, Plane } from 'lucide-react';
+
+// 离线地名库：常用城市与景点的近似坐标，无需联网即可定位
+export const GAZETTEER = [
+  { name: '北京首都国际机场', aliases: ['首都机场'], lat: 40.0799, lng: 116.6031 },
+  { name: '北京大兴国际机场', aliases: ['大兴机场'], lat: 39.5098, lng: 116.4105 },
+  { name: '北京南站', lat: 39.8652, lng: 116.3786 },
+  { name: '王府井', lat: 39.9147, lng: 116.4109 },
+  { name: '故宫', aliases: ['紫禁城'], lat: 39.9163, lng: 116.3972 },
+  { name: '天安门', lat: 39.9087, lng: 116.3975 },
+  { name: '天坛', lat: 39.8822, lng: 116.4066 },
+  { name: '颐和园', lat: 39.9999, lng: 116.2755 },
+  { name: '八达岭长城', aliases: ['八达岭', '长城'], lat: 40.3597, lng: 116.02 },
+  { name: '南锣鼓巷', lat: 39.937, lng: 116.4031 },
+  { name: '798艺术区', aliases: ['798'], lat: 39.9841, lng: 116.4951 },
+  { name: '北京', lat: 39.9042, lng: 116.4074 },
+  { name: '外滩', lat: 31.24, lng: 121.49 },
+  { name: '上海浦东国际机场', aliases: ['浦东机场'], lat: 31.1443, lng: 121.8083 },
+  { name: '上海虹桥站', aliases: ['虹桥'], lat: 31.1945, lng: 121.3205 },
+  { name: '上海迪士尼', aliases: ['迪士尼'], lat: 31.144, lng: 121.657 },
+  { name: '上海', lat: 31.2304, lng: 121.4737 },
+  { name: '成都大熊猫繁育研究基地', aliases: ['熊猫基地'], lat: 30.733, lng: 104.145 },
+  { name: '宽窄巷子', lat: 30.6697, lng: 104.0559 },
+  { name: '春熙路', lat: 30.657, lng: 104.08 },
+  { name: '成都双流国际机场', aliases: ['双流机场'], lat: 30.5785, lng: 103.9471 },
+  { name: '成都天府国际机场', aliases: ['天府机场'], lat: 30.3125, lng: 104.444 },
+  { name: '成都', lat: 30.5728, lng: 104.0668 },
+  { name: '兵马俑', lat: 34.3841, lng: 109.2785 },
+  { name: '西安', lat: 34.3416, lng: 108.9398 },
+  { name: '西湖', lat: 30.245, lng: 120.15 },
+  { name: '杭州', lat: 30.2741, lng: 120.1551 },
+  { name: '广州', lat: 23.1291, lng: 113.2644 },
+  { name: '深圳', lat: 22.5431, lng: 114.0579 },
+  { name: '重庆', lat: 29.563, lng: 106.5516 },
+  { name: '南京', lat: 32.0603, lng: 118.7969 },
+  { name: '苏州', lat: 31.299, lng: 120.5853 },
+  { name: '厦门', lat: 24.4798, lng: 118.0894 },
+  { name: '青岛', lat: 36.0671, lng: 120.3826 },
+  { name: '三亚', lat: 18.2528, lng: 109.5119 },
+  { name: '昆明', lat: 25.0389, lng: 102.7183 },
+  { name: '大理', lat: 25.6065, lng: 100.2676 },
+  { name: '丽江', lat: 26.8721, lng: 100.2299 },
+  { name: '拉萨', lat: 29.652, lng: 91.1721 },
+  { name: '香港', lat: 22.3193, lng: 114.1694 },
+  { name: '澳门', lat: 22.1987, lng: 113.5439 },
+  { name: '东京', lat: 35.6762, lng: 139.6503 },
+  { name: '大阪', lat: 34.6937, lng: 135.5023 },
+  { name: '京都', lat: 35.0116, lng: 135.7681 },
+  { name: '首尔', lat: 37.5665, lng: 126.978 },
+  { name: '曼谷', lat: 13.7563, lng: 100.5018 },
+  { name: '新加坡', lat: 1.3521, lng: 103.8198 },
+];
+
+// 在地名库中查找查询文本包含的最长地名，越具体的地名优先
+export const geocodeWithGazetteer = async (query) => {
+  const text = (query || '').trim();
+  if (!text) return null;
+  let best = null;
+  let bestLength = 0;
+  GAZETTEER.forEach((place) => {
+    [place.name, ...(place.aliases || [])].forEach((alias) => {
+      if (alias.length > bestLength && text.includes(alias)) {
+        best = place;
+        bestLength = alias.length;
+      }
+    });
+  });
+  return best ? { lat: best.lat, lng: best.lng, label: best.name } : null;
+};
+
+const geocodeWithNominatim = async (query) => {
+  const text = (query || '').trim();
+  if (!text) return null;
+  const response = await fetch(
+    `https://nominatim.openstreetmap.org/search?format=json&limit=1&accept-language=zh-CN&q=${encodeURIComponent(text)}`,
+  );
+  if (!response.ok) throw new Error(`Nominatim Error: ${response.status}`);
+  const [place] = await response.json();
+  return place ? { lat: Number(place.lat), lng: Number(place.lon), label: place.display_name } : null;
+};
+
+// 可插拔的地理编码器：geocode(query) => Promise<{ lat, lng, label } | null>
+export const GEOCODERS = {
+  gazetteer: { label: '离线地名库', geocode: geocodeWithGazetteer },
+  nominatim: { label: 'OpenStreetMap Nominatim (在线)', geocode: geocodeWithNominatim },
+};
+export const DEFAULT_GEOCODER = 'gazetteer';
+
+export const isValidLat = (lat) => Number.isFinite(lat) && Math.abs(lat) <= 90;
+export const isValidLng = (lng) => Number.isFinite(lng) && Math.abs(lng) <= 180;
+export const isValidLatLng = (lat, lng) => isValidLat(lat) && isValidLng(lng);
+
+// 大圆距离 (Haversine)，单位 km
+export const greatCircleKm = (a, b) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+};
+
+// detour: 实际路程相对直线距离的放大系数；overheadMin: 候车、安检等固定耗时
+export const TRANSPORT_MODES = {
+  walk: { label: '步行', icon: Footprints, speedKmh: 5, detour: 1.3, overheadMin: 0 },
+  metro: { label: '地铁', icon: TramFront, speedKmh: 30, detour: 1.3, overheadMin: 10 },
+  taxi: { label: '打车', icon: CarTaxiFront, speedKmh: 35, detour: 1.4, overheadMin: 5 },
+  train: { label: '火车', icon: TrainFront, speedKmh: 200, detour: 1.2, overheadMin: 30 },
+  flight: { label: '飞机', icon: Plane, speedKmh: 700, detour: 1.05, overheadMin: 120 },
+};
+
+export const suggestTransportMode = (distKm) => {
+  if (distKm < 2) return 'walk';
+  if (distKm < 15) return 'metro';
+  if (distKm < 80) return 'taxi';
+  if (distKm < 800) return 'train';
+  return 'flight';
+};
+
+export const estimateTravelMinutes = (distKm, modeId) => {
+  const mode = TRANSPORT_MODES[modeId] || TRANSPORT_MODES.taxi;
+  return Math.round(((distKm * mode.detour) / mode.speedKmh) * 60 + mode.overheadMin);
+};
+
+export const formatDuration = (minutes) => {
+  if (minutes < 60) return `${minutes}分钟`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `${hours}小时${rest}分` : `${hours}小时`;
+};
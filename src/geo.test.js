@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest';
+import {
+  GEOCODERS,
+  estimateTravelMinutes,
+  formatDuration,
+  geocodeWithGazetteer,
+  greatCircleKm,
+  isValidLatLng,
+  suggestTransportMode,
+} from './geo.js';
+
+const BEIJING = { lat: 39.9042, lng: 116.4074 };
+const SHANGHAI = { lat: 31.2304, lng: 121.4737 };
+
+describe('离线地名库', () => {
+  it('命中查询文本中最长的地名或别名', async () => {
+    // 「首都机场」比「北京」更具体，优先命中
+    expect(await geocodeWithGazetteer('从首都机场出发去北京')).toEqual({
+      lat: 40.0799,
+      lng: 116.6031,
+      label: '北京首都国际机场',
+    });
+    expect(await geocodeWithGazetteer('参观紫禁城')).toMatchObject({ label: '故宫' });
+    expect(await geocodeWithGazetteer('上海')).toEqual({ ...SHANGHAI, label: '上海' });
+  });
+
+  it('查不到或查询为空时返回 null', async () => {
+    expect(await geocodeWithGazetteer('巴黎铁塔')).toBeNull();
+    expect(await geocodeWithGazetteer('   ')).toBeNull();
+    expect(await geocodeWithGazetteer(undefined)).toBeNull();
+  });
+
+  it('作为默认地理编码器注册', () => {
+    expect(GEOCODERS.gazetteer.geocode).toBe(geocodeWithGazetteer);
+  });
+});
+
+describe('坐标与距离', () => {
+  it('校验经纬度范围', () => {
+    expect(isValidLatLng(39.9, 116.4)).toBe(true);
+    expect(isValidLatLng(-90, 180)).toBe(true);
+    expect(isValidLatLng(91, 0)).toBe(false);
+    expect(isValidLatLng(0, -181)).toBe(false);
+    expect(isValidLatLng(null, 0)).toBe(false);
+    expect(isValidLatLng(Number.NaN, 0)).toBe(false);
+  });
+
+  it('按大圆距离计算两点间的公里数', () => {
+    expect(greatCircleKm(BEIJING, SHANGHAI)).toBeCloseTo(1067.3, 1);
+    expect(greatCircleKm(SHANGHAI, BEIJING)).toBeCloseTo(greatCircleKm(BEIJING, SHANGHAI), 6);
+    expect(greatCircleKm(BEIJING, BEIJING)).toBe(0);
+  });
+});
+
+describe('交通方式与耗时', () => {
+  it('按距离推荐交通方式，阈值处取较远一档', () => {
+    expect(suggestTransportMode(0.5)).toBe('walk');
+    expect(suggestTransportMode(2)).toBe('metro');
+    expect(suggestTransportMode(15)).toBe('taxi');
+    expect(suggestTransportMode(80)).toBe('train');
+    expect(suggestTransportMode(799)).toBe('train');
+    expect(suggestTransportMode(800)).toBe('flight');
+  });
+
+  it('耗时 = 直线距离 × 绕行系数 ÷ 速度 + 固定耗时，四舍五入到分钟', () => {
+    // 10 × 1.3 ÷ 30 × 60 + 10 = 36
+    expect(estimateTravelMinutes(10, 'metro')).toBe(36);
+    // 1 × 1.3 ÷ 5 × 60 = 15.6
+    expect(estimateTravelMinutes(1, 'walk')).toBe(16);
+    expect(estimateTravelMinutes(greatCircleKm(BEIJING, SHANGHAI), 'flight')).toBe(216);
+    expect(estimateTravelMinutes(0, 'train')).toBe(30);
+  });
+
+  it('未知的交通方式按打车估算', () => {
+    expect(estimateTravelMinutes(10, 'teleport')).toBe(estimateTravelMinutes(10, 'taxi'));
+    expect(estimateTravelMinutes(10, 'teleport')).toBe(29);
+  });
+
+  it('把分钟数格式化为中文时长', () => {
+    expect(formatDuration(45)).toBe('45分钟');
+    expect(formatDuration(120)).toBe('2小时');
+    expect(formatDuration(125)).toBe('2小时5分');
+  });
+});
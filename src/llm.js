@@ -0,0 +1,153 @@
+// LLM provider 抽象：各 provider 的默认配置、请求构造与响应解析，以及发送请求、读取流式输出
+const DEFAULT_ARK_API_BASE = import.meta.env.VITE_ARK_API_BASE || 'https://ark.cn-beijing.volces.com/api/v3';
+const DEFAULT_ARK_MODEL = import.meta.env.VITE_ARK_MODEL || '';
+const DEFAULT_ARK_API_KEY = import.meta.env.VITE_ARK_API_KEY || '';
+
+const chatMessages = (systemInstruction, prompt) => [
+  { role: 'system', content: systemInstruction },
+  { role: 'user', content: prompt },
+];
+
+// 每个 provider 描述：默认配置、请求构造与响应解析
+export const LLM_PROVIDERS = {
+  ark: {
+    label: 'Volcengine ARK',
+    requiresApiKey: true,
+    modelLabel: 'Model Endpoint ID',
+    placeholders: { apiKey: '24037c8d-xxxx...', model: 'ep-20260217114921-wvt6d' },
+    defaults: { apiKey: DEFAULT_ARK_API_KEY, model: DEFAULT_ARK_MODEL, baseUrl: DEFAULT_ARK_API_BASE },
+    streamFormat: 'sse',
+    buildRequest: ({ model, baseUrl }, systemInstruction, prompt, stream) => ({
+      url: `${baseUrl}/responses`,
+      body: {
+        model,
+        input: [
+          { role: 'system', content: [{ type: 'input_text', text: systemInstruction }] },
+          { role: 'user', content: [{ type: 'input_text', text: prompt }] },
+        ],
+        ...(stream ? { stream: true } : {}),
+      },
+    }),
+    parseResponse: (data) => data.output_text || data?.output?.[0]?.content?.[0]?.text || '',
+    parseStreamChunk: (event) => (event.type === 'response.output_text.delta' ? event.delta : ''),
+    parseUsage: (data) => {
+      const usage = data?.usage || data?.response?.usage;
+      return usage ? { input: usage.input_tokens, output: usage.output_tokens } : null;
+    },
+  },
+  openai: {
+    label: 'OpenAI 兼容',
+    requiresApiKey: true,
+    modelLabel: 'Model',
+    placeholders: { apiKey: 'sk-...', model: 'gpt-4o-mini' },
+    defaults: {
+      apiKey: import.meta.env.VITE_OPENAI_API_KEY || '',
+      model: import.meta.env.VITE_OPENAI_MODEL || '',
+      baseUrl: import.meta.env.VITE_OPENAI_API_BASE || 'https://api.openai.com/v1',
+    },
+    streamFormat: 'sse',
+    buildRequest: ({ model, baseUrl }, systemInstruction, prompt, stream) => ({
+      url: `${baseUrl}/chat/completions`,
+      body: {
+        model,
+        messages: chatMessages(systemInstruction, prompt),
+        ...(stream ? { stream: true, stream_options: { include_usage: true } } : {}),
+      },
+    }),
+    parseResponse: (data) => data?.choices?.[0]?.message?.content || '',
+    parseStreamChunk: (chunk) => chunk?.choices?.[0]?.delta?.content || '',
+    parseUsage: (data) =>
+      data?.usage ? { input: data.usage.prompt_tokens, output: data.usage.completion_tokens } : null,
+  },
+  local: {
+    label: '本地模型 (Ollama)',
+    requiresApiKey: false,
+    modelLabel: 'Model',
+    placeholders: { apiKey: '可留空', model: 'qwen2.5:7b' },
+    defaults: {
+      apiKey: '',
+      model: import.meta.env.VITE_LOCAL_LLM_MODEL || 'qwen2.5:7b',
+      baseUrl: import.meta.env.VITE_LOCAL_LLM_BASE || 'http://localhost:11434',
+    },
+    streamFormat: 'ndjson',
+    buildRequest: ({ model, baseUrl }, systemInstruction, prompt, stream) => ({
+      url: `${baseUrl}/api/chat`,
+      body: { model, messages: chatMessages(systemInstruction, prompt), stream: Boolean(stream) },
+    }),
+    parseResponse: (data) => data?.message?.content || '',
+    parseStreamChunk: (chunk) => chunk?.message?.content || '',
+    parseUsage: (data) => (data?.done ? { input: data.prompt_eval_count || 0, output: data.eval_count || 0 } : null),
+  },
+};
+export const DEFAULT_LLM_PROVIDER = 'ark';
+
+// 逐行读取流式响应 (SSE 的 data: 行或 NDJSON)，每段增量文本回调 onDelta(delta, fullText)
+export const readLLMStream = async (response, provider, onDelta) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let fullText = '';
+  let usage = null;
+
+  const handleLine = (rawLine) => {
+    let line = rawLine.trim();
+    if (provider.streamFormat === 'sse') {
+      if (!line.startsWith('data:')) return;
+      line = line.slice(5).trim();
+      if (line === '[DONE]') return;
+    }
+    if (!line) return;
+    try {
+      const chunk = JSON.parse(line);
+      usage = provider.parseUsage(chunk) || usage;
+      const delta = provider.parseStreamChunk(chunk);
+      if (delta) {
+        fullText += delta;
+        onDelta(delta, fullText);
+      }
+    } catch {
+      // 忽略心跳等非 JSON 行
+    }
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+  handleLine(buffer);
+  return { text: fullText, usage };
+};
+
+export const requestLLM = async (provider, config, prompt, systemInstruction, { signal, onDelta }) => {
+  const stream = Boolean(onDelta);
+  const { url, body } = provider.buildRequest(config, systemInstruction, prompt, stream);
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}),
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  if (!response.ok) {
+    throw new Error(`${provider.label} API Error: ${response.status}`);
+  }
+
+  // 部分兼容服务会忽略 stream 参数直接返回完整 JSON
+  const isJson = (response.headers.get('content-type') || '').includes('application/json');
+  if (stream && response.body && !isJson) {
+    return readLLMStream(response, provider, onDelta);
+  }
+
+  const data = await response.json();
+  const text = provider.parseResponse(data);
+  if (stream && text) onDelta(text, text);
+  return { text, usage: provider.parseUsage(data) };
+};
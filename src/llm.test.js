@@ -0,0 +1,190 @@
+import { createServer } from 'node:http';
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { LLM_PROVIDERS, requestLLM } from './llm.js';
+
+// 本地模拟服务：记录收到的请求，按 reply 的设置返回完整 JSON 或分段写出的流式响应
+let server;
+let baseUrl;
+let received;
+let reply;
+
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', async () => {
+      received = { method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) };
+      res.writeHead(reply.status || 200, { 'Content-Type': reply.contentType });
+      if (reply.json) {
+        res.end(JSON.stringify(reply.json));
+        return;
+      }
+      // 逐段写出，段与段之间稍作停顿，模拟一行被拆在两次读取里的情况
+      for (const part of reply.parts) {
+        res.write(part);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+      }
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  received = null;
+  reply = null;
+});
+
+const request = (providerId, config, onDelta) =>
+  requestLLM(LLM_PROVIDERS[providerId], { baseUrl, model: 'test-model', ...config }, '北京三日游', '你是助手', {
+    onDelta,
+  });
+
+const collectDeltas = () => {
+  const deltas = [];
+  const onDelta = (delta, fullText) => deltas.push([delta, fullText]);
+  return { deltas, onDelta };
+};
+
+describe('OpenAI 兼容 provider', () => {
+  it('按 chat/completions 格式发送请求并带上 API Key', async () => {
+    reply = { contentType: 'application/json', json: { choices: [{ message: { content: '{}' } }] } };
+    await request('openai', { apiKey: 'sk-test' });
+
+    expect(received.method).toBe('POST');
+    expect(received.url).toBe('/chat/completions');
+    expect(received.headers.authorization).toBe('Bearer sk-test');
+    expect(received.headers['content-type']).toBe('application/json');
+    expect(received.body).toEqual({
+      model: 'test-model',
+      messages: [
+        { role: 'system', content: '你是助手' },
+        { role: 'user', content: '北京三日游' },
+      ],
+    });
+  });
+
+  it('解析非流式响应的文本与用量', async () => {
+    reply = {
+      contentType: 'application/json',
+      json: {
+        choices: [{ message: { content: '{"steps":[]}' } }],
+        usage: { prompt_tokens: 12, completion_tokens: 34 },
+      },
+    };
+    expect(await request('openai', { apiKey: 'sk-test' })).toEqual({
+      text: '{"steps":[]}',
+      usage: { input: 12, output: 34 },
+    });
+  });
+
+  it('流式请求读取 SSE 增量，并取最后一个用量块', async () => {
+    const event = (data) => `data: ${JSON.stringify(data)}\n\n`;
+    const sse = [
+      ': keep-alive\n\n',
+      event({ choices: [{ delta: { content: '{"steps"' } }] }),
+      event({ choices: [{ delta: { content: ':[]}' } }] }),
+      event({ choices: [], usage: { prompt_tokens: 5, completion_tokens: 7 } }),
+      'data: [DONE]\n\n',
+    ].join('');
+    reply = { contentType: 'text/event-stream', parts: [sse.slice(0, 40), sse.slice(40, 90), sse.slice(90)] };
+    const { deltas, onDelta } = collectDeltas();
+    const result = await request('openai', { apiKey: 'sk-test' }, onDelta);
+
+    expect(received.body.stream).toBe(true);
+    expect(received.body.stream_options).toEqual({ include_usage: true });
+    expect(deltas).toEqual([
+      ['{"steps"', '{"steps"'],
+      [':[]}', '{"steps":[]}'],
+    ]);
+    expect(result).toEqual({ text: '{"steps":[]}', usage: { input: 5, output: 7 } });
+  });
+
+  it('服务忽略 stream 参数返回完整 JSON 时，一次性回调全部文本', async () => {
+    reply = { contentType: 'application/json', json: { choices: [{ message: { content: 'hello' } }] } };
+    const { deltas, onDelta } = collectDeltas();
+    const result = await request('openai', { apiKey: 'sk-test' }, onDelta);
+
+    expect(deltas).toEqual([['hello', 'hello']]);
+    expect(result).toEqual({ text: 'hello', usage: null });
+  });
+
+  it('非 2xx 响应抛出带 provider 名称与状态码的错误', async () => {
+    reply = { status: 401, contentType: 'application/json', json: { error: 'unauthorized' } };
+    await expect(request('openai', { apiKey: 'sk-bad' })).rejects.toThrow('OpenAI 兼容 API Error: 401');
+  });
+});
+
+describe('本地模型 provider (Ollama)', () => {
+  it('按 /api/chat 格式发送请求，没有 API Key 时不带 Authorization', async () => {
+    reply = { contentType: 'application/json', json: { message: { content: '{}' }, done: true } };
+    await request('local', { apiKey: '' });
+
+    expect(received.url).toBe('/api/chat');
+    expect(received.headers.authorization).toBeUndefined();
+    expect(received.body).toEqual({
+      model: 'test-model',
+      messages: [
+        { role: 'system', content: '你是助手' },
+        { role: 'user', content: '北京三日游' },
+      ],
+      stream: false,
+    });
+  });
+
+  it('解析非流式响应的文本与用量', async () => {
+    reply = {
+      contentType: 'application/json',
+      json: { message: { content: '好的' }, done: true, prompt_eval_count: 20, eval_count: 8 },
+    };
+    expect(await request('local', { apiKey: '' })).toEqual({ text: '好的', usage: { input: 20, output: 8 } });
+  });
+
+  it('流式请求逐行读取 NDJSON，用量取自 done 行', async () => {
+    const ndjson = [
+      { message: { content: '{"title":' }, done: false },
+      { message: { content: '"故宫"}' }, done: false },
+      { message: { content: '' }, done: true, prompt_eval_count: 3, eval_count: 4 },
+    ]
+      .map((line) => `${JSON.stringify(line)}\n`)
+      .join('');
+    reply = { contentType: 'application/x-ndjson', parts: [ndjson.slice(0, 25), ndjson.slice(25)] };
+    const { deltas, onDelta } = collectDeltas();
+    const result = await request('local', { apiKey: '' }, onDelta);
+
+    expect(received.body.stream).toBe(true);
+    expect(deltas.map(([delta]) => delta)).toEqual(['{"title":', '"故宫"}']);
+    expect(result).toEqual({ text: '{"title":"故宫"}', usage: { input: 3, output: 4 } });
+  });
+
+  it('最后一行没有换行符时也能读到', async () => {
+    reply = {
+      contentType: 'application/x-ndjson',
+      parts: [JSON.stringify({ message: { content: 'end' }, done: true, prompt_eval_count: 1, eval_count: 1 })],
+    };
+    const { onDelta } = collectDeltas();
+    expect(await request('local', { apiKey: '' }, onDelta)).toEqual({ text: 'end', usage: { input: 1, output: 1 } });
+  });
+});
+
+describe('Volcengine ARK provider', () => {
+  it('按 responses 格式发送请求并读取 SSE 增量', async () => {
+    const sse = [
+      { type: 'response.output_text.delta', delta: '你' },
+      { type: 'response.output_text.delta', delta: '好' },
+      { type: 'response.completed', response: { usage: { input_tokens: 9, output_tokens: 2 } } },
+    ]
+      .map((event) => `data: ${JSON.stringify(event)}\n\n`)
+      .join('');
+    reply = { contentType: 'text/event-stream', parts: [sse] };
+    const { onDelta } = collectDeltas();
+    const result = await request('ark', { apiKey: 'ark-key' }, onDelta);
+
+    expect(received.url).toBe('/responses');
+    expect(received.body.input[1]).toEqual({ role: 'user', content: [{ type: 'input_text', text: '北京三日游' }] });
+    expect(result).toEqual({ text: '你好', usage: { input: 9, output: 2 } });
+  });
+});